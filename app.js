@@ -7,18 +7,48 @@
  * CDN globals (classic scripts in index.html): maplibregl, pmtiles, turf.
  */
 
-import { TILE_URL, MAP_CONFIG, LAYER_GROUPS } from "./config.js";
+import { TILE_URL, MAP_CONFIG, LAYER_GROUPS, GRADE_COLORS } from "./config.js";
 import { LayerStyleManager, buildStyleControls, toggleStyleControls } from "./layer-styles.js";
 import {
   isDrawingRoute,
   isDeleteMode,
+  isEditingRoute,
+  isPlacingWaypoint,
+  isPickingTrailSection,
+  isDraggingPoint,
   handleDeleteClick,
   handleMapClickForRoute,
+  handleMapClickForWaypoint,
+  handleMapClickForTrailSection,
   handleMapDblClickForRoute,
+  initTrailNetwork,
+  initPointDragging,
+  addPoiToTrip,
+  startRouteAtPoi,
+  describeTrail,
+  appendTrailToRoute,
+  startTrailSectionPick,
 } from "./planning.js";
-import { initTripPanel, TripManager, POINT_TYPE_LABELS, escapeHTML, getDisplayType } from "./trip-panel.js";
+import {
+  initTripPanel,
+  TripManager,
+  POINT_TYPE_LABELS,
+  escapeHTML,
+  escapeAttr,
+  getDisplayType,
+  getFeatureLabel,
+  openSidebar,
+  buildSparklineSVG,
+} from "./trip-panel.js";
 import { getInitialRegion, regionMaxBounds, initRegionPicker } from "./region-picker.js";
 import { initTripsHome } from "./trips-home.js";
+import { initElevationQueue } from "./elevation-queue.js";
+import { getSplittableVertices, findJoinableRoutes, splitRoute, joinRoutes, reverseRoute } from "./route-ops.js";
+import { computeElevationProfile } from "./elevation.js";
+import { initElevationChartLink } from "./elevation-chart.js";
+import { M_PER_MI, FT_PER_M } from "./geometry.js";
+import { isMeasuring, handleMapClickForMeasure, initMeasureTool } from "./measure.js";
+import { initCueSheets } from "./cue-sheet.js";
 
 // ---------------------------------------------------------------------------
 // PMTiles protocol registration
@@ -297,9 +327,18 @@ const homeIconSvg = `<svg width="18" height="18" viewBox="0 0 20 20" fill="none"
   <line x1="7.5" y1="10" x2="12.5" y2="10"/>
 </svg>`;
 
+const measureIconSvg = `<svg width="18" height="18" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" xmlns="http://www.w3.org/2000/svg">
+  <rect x="1.5" y="7" width="17" height="6" rx="1"/>
+  <line x1="5" y1="7" x2="5" y2="10"/>
+  <line x1="8.5" y1="7" x2="8.5" y2="11"/>
+  <line x1="12" y1="7" x2="12" y2="10"/>
+  <line x1="15.5" y1="7" x2="15.5" y2="11"/>
+</svg>`;
+
 map.addControl(makeMapControl("homeBtn", "My Trips", homeIconSvg), "top-left");
 map.addControl(makeMapControl("planBtn", "Trip Planning", planIconSvg), "top-left");
 map.addControl(makeMapControl("layersBtn", "Map Layers", layersIconSvg), "top-left");
+map.addControl(makeMapControl("measureBtn", "Measure Distance", measureIconSvg), "top-left");
 
 // ---------------------------------------------------------------------------
 // Loading state
@@ -326,6 +365,19 @@ function addTripLayers() {
     data: { type: "FeatureCollection", features: [] },
   });
 
+  // Imported GPS tracks — solid slate line under the planned routes
+  map.addLayer({
+    id: "trip-gps-tracks",
+    type: "line",
+    source: "trip",
+    filter: ["==", ["get", "type"], "gps_track"],
+    paint: {
+      "line-color": "#475569",
+      "line-width": 2.5,
+      "line-opacity": 0.8,
+    },
+  });
+
   // Trip routes — bold orange dashed line
   map.addLayer({
     id: "trip-routes",
@@ -339,6 +391,28 @@ function addTripLayers() {
     },
   });
 
+  // Route grade coloring — solid bands over the routes, filled by
+  // trip-panel.js when grade coloring is on (see grade.js)
+  map.addSource("trip-grades", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] },
+  });
+
+  map.addLayer({
+    id: "trip-route-grades",
+    type: "line",
+    source: "trip-grades",
+    layout: {
+      "line-cap": "round",
+      "line-join": "round",
+      visibility: "none",
+    },
+    paint: {
+      "line-color": ["match", ["get", "band"], ...GRADE_COLORS.slice(0, -1).flatMap((c, i) => [i, c]), GRADE_COLORS[GRADE_COLORS.length - 1]],
+      "line-width": 4.5,
+    },
+  });
+
   // Trip dayhike spurs — amber dashed line
   map.addLayer({
     id: "trip-dayhike-spurs",
@@ -522,6 +596,47 @@ function addTripLayers() {
     },
   });
 
+  // -------------------------------------------------------------------
+  // Route editing — draggable vertex handles for a finished route
+  // -------------------------------------------------------------------
+  map.addSource("route-edit", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] },
+  });
+
+  // Straight guides to the neighbours that re-route when the drag ends
+  map.addLayer({
+    id: "route-edit-guides",
+    type: "line",
+    source: "route-edit",
+    filter: ["==", ["geometry-type"], "LineString"],
+    paint: {
+      "line-color": "#e85d04",
+      "line-width": 2,
+      "line-dasharray": [2, 2],
+      "line-opacity": 0.7,
+    },
+  });
+
+  map.addLayer({
+    id: "route-edit-handles",
+    type: "circle",
+    source: "route-edit",
+    filter: ["==", ["geometry-type"], "Point"],
+    paint: {
+      "circle-radius": 7,
+      "circle-color": "#fff",
+      "circle-stroke-width": 3,
+      "circle-stroke-color": [
+        "case",
+        ["==", ["get", "point_type"], "camp"], "#2d6a4f",
+        ["==", ["get", "point_type"], "dayhike"], "#d97706",
+        ["==", ["get", "point_type"], "rest"], "#7c3aed",
+        "#e85d04",
+      ],
+    },
+  });
+
   // Snap preview — ghost marker showing where next click will land
   map.addSource("snap-preview", {
     type: "geojson",
@@ -533,7 +648,8 @@ function addTripLayers() {
     type: "circle",
     source: "snap-preview",
     paint: {
-      "circle-radius": 8,
+      // Bigger under a finger, which hides a small marker
+      "circle-radius": ["case", ["get", "touch"], 14, 8],
       "circle-color": ["case", ["get", "snapped"], "#3b82f6", "#e85d04"],
       "circle-opacity": 0.6,
       "circle-stroke-width": 2,
@@ -541,6 +657,68 @@ function addTripLayers() {
       "circle-stroke-opacity": 0.8,
     },
   });
+
+  // Elevation chart hover — the spot under the chart cursor (elevation-chart.js)
+  map.addSource("elevation-hover", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] },
+  });
+
+  map.addLayer({
+    id: "elevation-hover-marker",
+    type: "circle",
+    source: "elevation-hover",
+    paint: {
+      "circle-radius": 6,
+      "circle-color": "#e85d04",
+      "circle-stroke-width": 2,
+      "circle-stroke-color": "#fff",
+    },
+  });
+
+  // Measure tool (measure.js) — straight legs dashed, trail paths solid
+  map.addSource("measure", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] },
+  });
+
+  map.addLayer({
+    id: "measure-straight",
+    type: "line",
+    source: "measure",
+    filter: ["in", ["get", "kind"], ["literal", ["straight", "preview"]]],
+    paint: {
+      "line-color": "#1f2937",
+      "line-width": 2,
+      "line-dasharray": [2, 2],
+      "line-opacity": ["case", ["==", ["get", "kind"], "preview"], 0.5, 0.8],
+    },
+  });
+
+  map.addLayer({
+    id: "measure-trail",
+    type: "line",
+    source: "measure",
+    filter: ["==", ["get", "kind"], "trail"],
+    paint: {
+      "line-color": "#0ea5e9",
+      "line-width": 4,
+      "line-opacity": 0.85,
+    },
+  });
+
+  map.addLayer({
+    id: "measure-points",
+    type: "circle",
+    source: "measure",
+    filter: ["==", ["geometry-type"], "Point"],
+    paint: {
+      "circle-radius": 5,
+      "circle-color": ["case", ["get", "snapped"], "#0ea5e9", "#1f2937"],
+      "circle-stroke-width": 2,
+      "circle-stroke-color": "#fff",
+    },
+  });
 }
 
 /**
@@ -565,6 +743,12 @@ map.on("load", () => {
   // Initialize trip planning tools
   // -------------------------------------------------------------------
   initTripPanel();
+  initTrailNetwork();
+  initPointDragging();
+  initElevationQueue();
+  initElevationChartLink();
+  initMeasureTool();
+  initCueSheets();
 
   // -------------------------------------------------------------------
   // Apply saved layer style overrides
@@ -582,12 +766,25 @@ map.on("load", () => {
   // Click handlers for route drawing + trip features
   // -------------------------------------------------------------------
   map.on("click", (e) => {
+    if (isMeasuring) {
+      handleMapClickForMeasure(e);
+      return;
+    }
     if (isDeleteMode) {
       handleDeleteClick(e);
       return;
     }
+    if (isPickingTrailSection) {
+      handleMapClickForTrailSection(e);
+      return;
+    }
     if (isDrawingRoute) {
-      handleMapClickForRoute(e);
+      // Alt+click opens the trail popup instead of placing a point
+      if (!e.originalEvent.altKey) handleMapClickForRoute(e);
+      return;
+    }
+    if (isPlacingWaypoint) {
+      handleMapClickForWaypoint(e);
     }
   });
 
@@ -598,22 +795,31 @@ map.on("load", () => {
     }
   });
 
-  // Trip feature click — show popup (skip during route drawing)
+  // Trip feature click — show popup (skip while drawing or placing waypoints).
+  // The points can also be dragged (planning.js), hence the grab cursor.
   for (const layerId of ["trip-camps", "trip-dayhikes", "trip-rest", "trip-waypoints"]) {
     map.on("click", layerId, (e) => {
-      if (isDrawingRoute) return;
+      if (isDrawingRoute || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
       showTripFeaturePopup(e);
     });
-    // Don't clobber the crosshair cursor while drawing or in delete mode
+    // Don't clobber the crosshair / grab cursors of the drawing and edit modes
     map.on("mouseenter", layerId, () => {
-      if (isDrawingRoute || isDeleteMode) return;
-      map.getCanvas().style.cursor = "pointer";
+      if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+      if (isDraggingPoint) return;
+      map.getCanvas().style.cursor = "grab";
     });
     map.on("mouseleave", layerId, () => {
-      if (isDrawingRoute || isDeleteMode) return;
+      if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+      if (isDraggingPoint) return;
       map.getCanvas().style.cursor = "";
     });
   }
+
+  // Right-click a route for split / join / reverse
+  map.on("contextmenu", "trip-routes", (e) => {
+    if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+    showRouteContextMenu(e);
+  });
 });
 
 map.on("error", (e) => {
@@ -755,11 +961,12 @@ map.on("click", () => {
 });
 
 // ---------------------------------------------------------------------------
-// POI click interaction — show a popup with name and details
+// POI click interaction — show a popup with name, details and "Add to trip"
+// actions
 // ---------------------------------------------------------------------------
 
 map.on("click", "pois", (e) => {
-  if (isDrawingRoute) return;
+  if (isDrawingRoute || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
   if (!e.features || e.features.length === 0) return;
 
   const f = e.features[0];
@@ -772,27 +979,170 @@ map.on("click", "pois", (e) => {
     html += `<br><span style="color:#6b7280;font-size:0.85em">${escapeHTML(props.poi_category)}</span>`;
   }
   if (props.elevation) {
-    const ft = Math.round(props.elevation * 3.28084);
+    const ft = Math.round(props.elevation * FT_PER_M);
     html += `<br><span style="color:#6b7280;font-size:0.85em">${ft} ft</span>`;
   }
-
-  new maplibregl.Popup({ offset: 8, maxWidth: "240px" })
+  html += `
+    <div class="popup-actions">
+      <button type="button" class="popup-action-btn" data-poi-action="camp">Add as camp</button>
+      <button type="button" class="popup-action-btn" data-poi-action="waypoint">Add as waypoint</button>
+      <button type="button" class="popup-action-btn" data-poi-action="route">Start route here</button>
+    </div>`;
+
+  const popup = new maplibregl.Popup({ offset: 8, maxWidth: "240px" })
     .setLngLat(coords)
     .setHTML(html)
     .addTo(map);
+
+  popup.getElement().querySelector(".popup-actions").addEventListener("click", (ev) => {
+    const action = ev.target.closest("[data-poi-action]")?.dataset.poiAction;
+    if (!action) return;
+    popup.remove();
+    // No trip yet — the planner opens on the new-trip prompt instead
+    openSidebar();
+    if (!TripManager.currentTrip) return;
+    if (action === "route") startRouteAtPoi(f);
+    else addPoiToTrip(f, action);
+  });
 });
 
 // Pointer cursor on hoverable features (not while drawing / delete mode,
 // which own the crosshair cursor)
 map.on("mouseenter", "pois", () => {
-  if (isDrawingRoute || isDeleteMode) return;
+  if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+  if (isDraggingPoint) return;
   map.getCanvas().style.cursor = "pointer";
 });
 map.on("mouseleave", "pois", () => {
-  if (isDrawingRoute || isDeleteMode) return;
+  if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+  if (isDraggingPoint) return;
   map.getCanvas().style.cursor = "";
 });
 
+// ---------------------------------------------------------------------------
+// Trail click interaction — popup with the whole trail's length, an
+// elevation mini-profile and "add to route" actions
+// ---------------------------------------------------------------------------
+
+map.on("click", "trails", async (e) => {
+  if (isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+  // While drawing, plain clicks place route points; Alt+click asks about the trail
+  if (isDrawingRoute && !e.originalEvent.altKey) return;
+  if (!e.features || e.features.length === 0) return;
+  // A POI or trip point on top of the trail gets its own popup
+  const pointLayers = ["pois", "trip-camps", "trip-dayhikes", "trip-rest", "trip-waypoints"]
+    .filter(id => map.getLayer(id));
+  if (map.queryRenderedFeatures(e.point, { layers: pointLayers }).length > 0) return;
+
+  // Tracing the whole trail runs in the geometry worker
+  const trail = await describeTrail(e.features[0]);
+  let html = `<strong>${escapeHTML(trail.trailName || "Unnamed trail")}</strong>`;
+  const details = [];
+  if (trail.difficulty) details.push(escapeHTML(trail.difficulty));
+  details.push(`${(trail.lengthMeters / M_PER_MI).toFixed(1)} mi`);
+  html += `<br><span style="color:#6b7280;font-size:0.85em">${details.join(" · ")}</span>`;
+  html += `<div class="trail-profile">Loading elevation…</div>`;
+  if (TripManager.currentTrip) {
+    const verb = isDrawingRoute ? "Add" : "Start route with";
+    html += `
+      <div class="popup-actions">
+        <button type="button" class="popup-action-btn" data-trail-action="whole">${verb} whole trail</button>
+        <button type="button" class="popup-action-btn" data-trail-action="section">${verb} a section…</button>
+      </div>`;
+  }
+
+  const popup = new maplibregl.Popup({ offset: 8, maxWidth: "240px" })
+    .setLngLat(e.lngLat)
+    .setHTML(html)
+    .addTo(map);
+
+  popup.getElement().querySelector(".popup-actions")?.addEventListener("click", (ev) => {
+    const action = ev.target.closest("[data-trail-action]")?.dataset.trailAction;
+    if (!action) return;
+    popup.remove();
+    openSidebar();
+    if (action === "whole") appendTrailToRoute(trail);
+    else startTrailSectionPick(trail);
+  });
+
+  const profileEl = popup.getElement().querySelector(".trail-profile");
+  computeElevationProfile(trail.coords)
+    .then(({ profileFt, gainFt, lossFt }) => {
+      if (!popup.isOpen()) return;
+      const minFt = Math.min(...profileFt), maxFt = Math.max(...profileFt);
+      profileEl.innerHTML = `${buildSparklineSVG(profileFt, 200, 40, "trail-profile-chart")}
+        <span class="trail-profile-range">${minFt.toLocaleString()}–${maxFt.toLocaleString()} ft</span>
+        <span class="trail-profile-stats">↑ ${gainFt.toLocaleString()} ft · ↓ ${lossFt.toLocaleString()} ft</span>`;
+    })
+    .catch((err) => {
+      console.warn("[elevation] trail profile failed:", err.message);
+      if (popup.isOpen()) profileEl.textContent = "Elevation unavailable";
+    });
+});
+
+map.on("mouseenter", "trails", () => {
+  if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+  if (isDraggingPoint) return;
+  map.getCanvas().style.cursor = "pointer";
+});
+map.on("mouseleave", "trails", () => {
+  if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+  if (isDraggingPoint) return;
+  map.getCanvas().style.cursor = "";
+});
+
+// ---------------------------------------------------------------------------
+// Route context menu — split / join / reverse (route-ops.js)
+// ---------------------------------------------------------------------------
+
+// A right-click this close to a vertex offers splitting there
+const SPLIT_PICK_RADIUS_PX = 30;
+
+function showRouteContextMenu(e) {
+  const trip = TripManager.currentTrip;
+  const routeId = e.features?.[0]?.properties._id;
+  const route = trip?.features.find(f => f.properties._id === routeId);
+  if (!route) return;
+  e.preventDefault();
+
+  // Nearest vertex the route can be split at, if the click was near one
+  let splitAt = null;
+  let best = SPLIT_PICK_RADIUS_PX;
+  for (const i of getSplittableVertices(route)) {
+    const d = map.project(route.properties.vertex_coords[i]).dist(e.point);
+    if (d <= best) {
+      best = d;
+      splitAt = i;
+    }
+  }
+
+  let html = `<strong>${escapeHTML(getFeatureLabel(route.properties, "route"))}</strong>
+    <div class="popup-actions">
+      <button type="button" class="popup-action-btn" data-route-action="reverse">Reverse direction</button>`;
+  if (splitAt !== null) {
+    const type = route.properties.vertex_types[splitAt];
+    html += `<button type="button" class="popup-action-btn" data-route-action="split">Split at point ${splitAt + 1} (${escapeHTML(POINT_TYPE_LABELS[type] || type)})</button>`;
+  }
+  for (const other of findJoinableRoutes(trip, routeId)) {
+    html += `<button type="button" class="popup-action-btn" data-route-action="join" data-other-id="${escapeAttr(other.properties._id)}">Join with ${escapeHTML(getFeatureLabel(other.properties, "route"))}</button>`;
+  }
+  html += `</div>`;
+
+  const popup = new maplibregl.Popup({ offset: 8, maxWidth: "240px" })
+    .setLngLat(e.lngLat)
+    .setHTML(html)
+    .addTo(map);
+
+  popup.getElement().querySelector(".popup-actions").addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-route-action]");
+    if (!btn) return;
+    popup.remove();
+    if (btn.dataset.routeAction === "reverse") reverseRoute(routeId);
+    else if (btn.dataset.routeAction === "split") splitRoute(routeId, splitAt);
+    else joinRoutes(routeId, btn.dataset.otherId);
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Trip feature popup
 // ---------------------------------------------------------------------------
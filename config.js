@@ -200,3 +200,43 @@ export const LAYER_STYLE_DEFAULTS = {
     hasDataDrivenRadius: true,
   },
 };
+
+// ---------------------------------------------------------------------------
+// Hiking pace defaults (user-adjustable; see preferences.js + pace.js)
+// ---------------------------------------------------------------------------
+// naismith — flat speed plus a fixed time per foot climbed
+// tobler   — hiking function: speed varies continuously with grade, using
+//            the elevation profile (falls back to flat speed without one)
+export const PACE_DEFAULTS = {
+  model: "naismith",
+  flatMph: 2.5,
+  climbFtPerHour: 2000,
+};
+
+// ---------------------------------------------------------------------------
+// Snapping defaults (user-adjustable; see preferences.js + planning.js)
+// ---------------------------------------------------------------------------
+// radiusPx         — how far (screen pixels) a click reaches for a line
+// layers           — style layers to snap to: "trails", "roads", "waterways"
+// ignoreHardTrails — pass over trails tagged difficulty "hard"
+// namedTrailsOnly  — pass over unnamed trails (social paths, fragments)
+export const SNAP_DEFAULTS = {
+  radiusPx: 30,
+  layers: ["trails"],
+  ignoreHardTrails: false,
+  namedTrailsOnly: false,
+};
+
+// ---------------------------------------------------------------------------
+// Grade coloring defaults (user-adjustable; see preferences.js + grade.js)
+// ---------------------------------------------------------------------------
+// enabled      — color trip routes by grade on the map and show the legend
+// thresholdPct — three rising grades (percent, either direction) splitting
+//                route sections into four bands, easy → brutal
+export const GRADE_DEFAULTS = {
+  enabled: false,
+  thresholdPct: [10, 15, 20],
+};
+
+// Band colors, easiest first (one more than there are thresholds)
+export const GRADE_COLORS = ["#52b788", "#e9c46a", "#f4845f", "#b5179e"];
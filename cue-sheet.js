@@ -0,0 +1,391 @@
+/**
+ * OutHere Cue Sheet — turn-by-turn cues along a route
+ *
+ * For printed itineraries: one cue wherever the route changes trails, plus
+ * the start and the finish. Each cue carries the distance from the start,
+ * the turn to make, the elevation there and the POIs (trailheads, water…)
+ * within POI_RADIUS_METERS.
+ *
+ * The trail changes come from the route's edge_trails (route-trails.js),
+ * laid out along its line. Loaded tiles only refine them: where both trails
+ * are in a loaded tile, the turn is placed at their junction
+ * (findTrailJunctions), and the POIs come from the tiles too. Routes without edge_trails (drawn before they existed, or
+ * imported) fall back to matching the line against the loaded trails
+ * segment by segment, so their stretches outside the tiles read as off
+ * trail.
+ *
+ * Cues are never stored; the last sheet built for a route is kept until its
+ * line, profile or edge_trails change or new tiles load, so re-rendering
+ * the trip panel doesn't rebuild it but more tiles can still refine it.
+ */
+
+import { map } from "./app.js"; // circular; only used at runtime
+import { haversineMeters, closestPointOnSegment, findTrailJunctions, trailInfo } from "./trail-graph.js";
+import { buildSnapIndex, findNearestLine } from "./snap-index.js";
+import { M_PER_MI } from "./geometry.js";
+
+const MATCH_METERS = 15;            // a route segment follows a trail this close to its midpoint
+const MIN_RUN_METERS = 40;          // shorter runs are crossings or noise, not trail changes
+const JUNCTION_SEARCH_METERS = 150; // how far from the change a junction may sit
+const TURN_SAMPLE_METERS = 40;      // bearings in and out are measured over this much line
+const POI_RADIUS_METERS = 150;
+const MAX_POIS_PER_CUE = 3;
+
+// ---------------------------------------------------------------------------
+// Line helpers
+// ---------------------------------------------------------------------------
+
+function cumulativeMeters(line) {
+  const cumulative = [0];
+  for (let i = 1; i < line.length; i++) cumulative.push(cumulative[i - 1] + haversineMeters(line[i - 1], line[i]));
+  return cumulative;
+}
+
+/** The point `meters` along the line. */
+function coordAt(line, cumulative, meters) {
+  const d = Math.max(0, Math.min(cumulative[cumulative.length - 1], meters));
+  let i = 1;
+  while (i < cumulative.length - 1 && cumulative[i] < d) i++;
+  const span = cumulative[i] - cumulative[i - 1];
+  const t = span > 0 ? (d - cumulative[i - 1]) / span : 0;
+  const a = line[i - 1], b = line[i];
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+/** Distance along the line of the point on segments fromIdx..toIdx nearest `coord`. */
+function locateMeters(line, cumulative, coord, fromIdx, toIdx) {
+  let best = { distance: Infinity, meters: cumulative[fromIdx] };
+  for (let i = Math.max(1, fromIdx + 1); i <= toIdx; i++) {
+    const hit = closestPointOnSegment(coord, line[i - 1], line[i]);
+    if (hit.distance < best.distance) {
+      best = { distance: hit.distance, meters: cumulative[i - 1] + hit.t * (cumulative[i] - cumulative[i - 1]) };
+    }
+  }
+  return best.meters;
+}
+
+/** Initial bearing from a to b, degrees clockwise from north. */
+function bearing(a, b) {
+  const toRad = Math.PI / 180;
+  const y = Math.sin((b[0] - a[0]) * toRad) * Math.cos(b[1] * toRad);
+  const x = Math.cos(a[1] * toRad) * Math.sin(b[1] * toRad) -
+    Math.sin(a[1] * toRad) * Math.cos(b[1] * toRad) * Math.cos((b[0] - a[0]) * toRad);
+  return Math.atan2(y, x) / toRad;
+}
+
+/**
+ * Turn direction at `meters` along the line, from the change in bearing
+ * between the stretch before and the stretch after it.
+ * @returns {string} "straight", "bear left", "left", "sharp left", … or "" when undetermined
+ */
+function turnAt(line, cumulative, meters) {
+  const total = cumulative[cumulative.length - 1];
+  if (meters <= 0 || meters >= total) return "";
+  const at = coordAt(line, cumulative, meters);
+  const before = coordAt(line, cumulative, meters - TURN_SAMPLE_METERS);
+  const after = coordAt(line, cumulative, meters + TURN_SAMPLE_METERS);
+  if (haversineMeters(before, at) < 1 || haversineMeters(at, after) < 1) return "";
+  const delta = ((bearing(at, after) - bearing(before, at)) % 360 + 540) % 360 - 180;
+  const side = delta > 0 ? "right" : "left";
+  const angle = Math.abs(delta);
+  if (angle < 20) return "straight";
+  if (angle < 60) return `bear ${side}`;
+  if (angle < 135) return side;
+  return `sharp ${side}`;
+}
+
+/** Elevation (ft) `meters` along a line from its evenly sampled profile, or null. */
+function elevationAt(profileFt, totalMeters, meters) {
+  if (!Array.isArray(profileFt) || profileFt.length < 2 || !(totalMeters > 0)) return null;
+  const x = Math.max(0, Math.min(1, meters / totalMeters)) * (profileFt.length - 1);
+  const i = Math.min(profileFt.length - 2, Math.floor(x));
+  return profileFt[i] + (profileFt[i + 1] - profileFt[i]) * (x - i);
+}
+
+// ---------------------------------------------------------------------------
+// Trail runs
+// ---------------------------------------------------------------------------
+
+/** What counts as the same trail: the name when it has one, else the feature id. */
+function trailKey(feature) {
+  if (!feature) return null;
+  const info = trailInfo(feature);
+  return info.trailName ? `name:${info.trailName}` : `id:${info.trailId}`;
+}
+
+/** trailKey for an edge_trails run. */
+function runKey(run) {
+  if (run.off_trail) return null;
+  return run.name ? `name:${run.name}` : `id:${run.trail_id}`;
+}
+
+/**
+ * Runs from the route's edge_trails, laid out along the line. Their
+ * distances were measured on the edges before the line was simplified, so
+ * they're scaled to the line's length.
+ * @returns {{ key: string|null, trail: object, start: number, end: number }[]}
+ *   start / end are meters along the line
+ */
+function runsFromEdgeTrails(edgeTrails, total) {
+  const runs = edgeTrails.flat();
+  const sum = runs.reduce((s, run) => s + run.distance_mi, 0);
+  const scale = sum > 0 ? total / sum : 0;
+  let at = 0;
+  return runs.map(run => {
+    const start = at;
+    at += run.distance_mi * scale;
+    return {
+      key: runKey(run),
+      trail: { name: run.off_trail ? null : run.name ?? null, difficulty: run.difficulty ?? null, off_trail: !!run.off_trail },
+      start,
+      end: at,
+    };
+  });
+}
+
+/**
+ * Runs from matching the line segment by segment against trail geometry,
+ * for routes without edge_trails.
+ * @returns {{ key: string|null, trail: object, features: object[], start: number, end: number }[]}
+ */
+function runsFromTrails(line, cumulative, trails) {
+  const index = buildSnapIndex(trails, "trails");
+  const runs = [];
+  for (let i = 1; i < line.length; i++) {
+    const mid = [(line[i - 1][0] + line[i][0]) / 2, (line[i - 1][1] + line[i][1]) / 2];
+    const hit = findNearestLine(index, mid, MATCH_METERS);
+    const key = trailKey(hit?.feature);
+    const run = runs[runs.length - 1];
+    if (run && run.key === key) {
+      run.end = cumulative[i];
+    } else {
+      const info = hit ? trailInfo(hit.feature) : null;
+      runs.push({
+        key,
+        trail: { name: info?.trailName ?? null, difficulty: info?.difficulty ?? null, off_trail: !info },
+        features: hit ? [hit.feature] : [],
+        start: cumulative[i - 1],
+        end: cumulative[i],
+      });
+    }
+  }
+  return runs;
+}
+
+/** Merge runs along the same trail and absorb runs shorter than MIN_RUN_METERS into their neighbours. */
+function absorbShortRuns(runs) {
+  const length = (run) => run.end - run.start;
+  const absorbed = [];
+  for (const run of runs) {
+    const last = absorbed[absorbed.length - 1];
+    if (last && (length(run) < MIN_RUN_METERS || last.key === run.key)) {
+      last.end = run.end;
+    } else if (last && length(last) < MIN_RUN_METERS && absorbed.length === 1) {
+      // A short first run takes the trail that follows it
+      absorbed[0] = { ...run, start: last.start };
+    } else {
+      absorbed.push({ ...run });
+    }
+  }
+  return absorbed;
+}
+
+/** The coordinate lists of a LineString / MultiLineString feature. */
+function featureLines(feature) {
+  const g = feature.geometry;
+  if (g?.type === "LineString") return [g.coordinates];
+  if (g?.type === "MultiLineString") return g.coordinates;
+  return [];
+}
+
+/** Whether any of the feature's lines passes within `meters` of coord. */
+function passesNear(feature, coord, meters) {
+  return featureLines(feature).some(coords => {
+    for (let i = 1; i < coords.length; i++) {
+      if (closestPointOnSegment(coord, coords[i - 1], coords[i]).distance <= meters) return true;
+    }
+    return false;
+  });
+}
+
+/** Index of the first line coordinate at least `meters` along it. */
+function indexAt(cumulative, meters) {
+  let i = 0;
+  while (i < cumulative.length - 1 && cumulative[i] < meters) i++;
+  return i;
+}
+
+/**
+ * Where the route passes from one run's trail onto the next: the nearest
+ * junction of the two trails in the loaded tiles, else the point where the
+ * run changes.
+ * @param {Map<string, object[]>} trailsByKey - loaded trail features by trailKey
+ * @returns {number} meters along the line
+ */
+function locateChange(line, cumulative, from, to, trailsByKey) {
+  const changeMeters = from.end;
+  if (!from.key || !to.key) return changeMeters;
+  const changeCoord = coordAt(line, cumulative, changeMeters);
+  const near = (run) => (run.features || trailsByKey.get(run.key) || [])
+    .filter(f => passesNear(f, changeCoord, JUNCTION_SEARCH_METERS));
+  const featuresB = near(to);
+  let best = null;
+  for (const a of near(from)) {
+    for (const coordsA of featureLines(a)) {
+      for (const b of featuresB) {
+        for (const coordsB of featureLines(b)) {
+          for (const { ai } of findTrailJunctions(coordsA, coordsB)) {
+            const d = haversineMeters(coordsA[ai], changeCoord);
+            if (d <= JUNCTION_SEARCH_METERS && (!best || d < best.distance)) best = { coord: coordsA[ai], distance: d };
+          }
+        }
+      }
+    }
+  }
+  if (!best) return changeMeters;
+  const fromIdx = Math.max(0, indexAt(cumulative, from.start) - 1);
+  return locateMeters(line, cumulative, best.coord, fromIdx, indexAt(cumulative, to.end));
+}
+
+// ---------------------------------------------------------------------------
+// Cue sheet
+// ---------------------------------------------------------------------------
+
+/**
+ * Cues along a line.
+ * @param {number[][]} line - the route's coordinates
+ * @param {number[]|null} profileFt - elevation profile, evenly sampled along line
+ * @param {object[][]|null} edgeTrails - the route's edge_trails; null to match the line against `trails`
+ * @param {object[]} trails - trail features (LineString / MultiLineString)
+ * @param {object[]} pois - POI point features (name, poi_category)
+ * @returns {{ kind: "start"|"turn"|"finish", mi: number, coord: number[], turn: string,
+ *   trail: { name: string|null, difficulty: string|null, off_trail: boolean },
+ *   elevationFt: number|null, pois: { name: string|null, category: string|null, meters: number }[] }[]}
+ *   trail is the one walked from the cue on (the last one walked, for the finish)
+ */
+export function buildCueSheet(line, profileFt, edgeTrails, trails, pois) {
+  if (!Array.isArray(line) || line.length < 2) return [];
+  const cumulative = cumulativeMeters(line);
+  const total = cumulative[cumulative.length - 1];
+  const hasEdgeTrails = Array.isArray(edgeTrails) && edgeTrails.length > 0;
+  const runs = absorbShortRuns(hasEdgeTrails
+    ? runsFromEdgeTrails(edgeTrails, total)
+    : runsFromTrails(line, cumulative, trails));
+  if (runs.length === 0) return [];
+
+  // Loaded features of the trails the runs follow, for placing junctions
+  const keys = new Set(runs.map(run => run.key));
+  const trailsByKey = new Map();
+  if (hasEdgeTrails) {
+    for (const feature of trails || []) {
+      const key = trailKey(feature);
+      if (!keys.has(key)) continue;
+      if (!trailsByKey.has(key)) trailsByKey.set(key, []);
+      trailsByKey.get(key).push(feature);
+    }
+  }
+
+  const cueAt = (kind, meters, run, turn) => {
+    const coord = coordAt(line, cumulative, meters);
+    return {
+      kind,
+      mi: meters / M_PER_MI,
+      coord,
+      turn,
+      trail: run.trail,
+      elevationFt: elevationAt(profileFt, total, meters),
+      pois: nearbyPois(pois, coord),
+    };
+  };
+
+  const cues = [cueAt("start", 0, runs[0], "")];
+  let lastMeters = 0;
+  for (let k = 1; k < runs.length; k++) {
+    const meters = Math.max(lastMeters, locateChange(line, cumulative, runs[k - 1], runs[k], trailsByKey));
+    cues.push(cueAt("turn", meters, runs[k], turnAt(line, cumulative, meters)));
+    lastMeters = meters;
+  }
+  cues.push(cueAt("finish", total, runs[runs.length - 1], ""));
+  return cues;
+}
+
+/** POIs within POI_RADIUS_METERS of a coordinate, nearest first. */
+function nearbyPois(pois, coord) {
+  const near = [];
+  const seen = new Set();
+  for (const poi of pois || []) {
+    if (poi.geometry?.type !== "Point") continue;
+    const meters = haversineMeters(coord, poi.geometry.coordinates);
+    if (meters > POI_RADIUS_METERS) continue;
+    // Tiles overlap, so the same POI can come back more than once
+    const key = poi.id ?? `${poi.properties?.name}|${poi.geometry.coordinates.join(",")}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    near.push({ name: poi.properties?.name || null, category: poi.properties?.poi_category || null, meters });
+  }
+  return near.sort((a, b) => a.meters - b.meters).slice(0, MAX_POIS_PER_CUE);
+}
+
+// route line → { profileFt, edgeTrails, cues } of the last sheet built for it
+let cueSheetCache = new WeakMap();
+
+/**
+ * Drop the kept cue sheets whenever an `outhere` tile loads: its junctions
+ * and POIs may refine them. Called once from app.js on map load.
+ */
+export function initCueSheets() {
+  map.on("sourcedata", (e) => {
+    if (e.sourceId === "outhere" && e.tile) cueSheetCache = new WeakMap();
+  });
+}
+
+/**
+ * Cue sheet for a route feature: trail changes from its edge_trails, placed
+ * and annotated against the trails and POIs in the loaded tiles. Reuses the
+ * last sheet built while the route's line, profile and edge_trails stay the
+ * same and no new tiles have loaded.
+ */
+export function buildRouteCueSheet(route) {
+  const line = route.geometry?.coordinates;
+  if (!Array.isArray(line) || line.length < 2) return [];
+  const { elevation_profile: profileFt, edge_trails: edgeTrails } = route.properties;
+  const cached = cueSheetCache.get(line);
+  if (cached && cached.profileFt === profileFt && cached.edgeTrails === edgeTrails) return cached.cues;
+
+  const trails = map.querySourceFeatures("outhere", { sourceLayer: "trails" });
+  const pois = map.querySourceFeatures("outhere", { sourceLayer: "pois" });
+  const cues = buildCueSheet(line, profileFt, edgeTrails ?? null, trails, pois);
+  cueSheetCache.set(line, { profileFt, edgeTrails, cues });
+  return cues;
+}
+
+// ---------------------------------------------------------------------------
+// Wording
+// ---------------------------------------------------------------------------
+
+const TURN_PHRASES = {
+  "": "Continue",
+  straight: "Continue straight",
+  "bear left": "Bear left",
+  "bear right": "Bear right",
+  left: "Turn left",
+  right: "Turn right",
+  "sharp left": "Sharp left",
+  "sharp right": "Sharp right",
+};
+
+/** "Turn left onto Highline Trail", "Start on …", "Finish" and the like. */
+export function describeCue(cue) {
+  const trail = cue.trail.name || "unnamed trail";
+  if (cue.kind === "start") return cue.trail.off_trail ? "Start off trail" : `Start on ${trail}`;
+  if (cue.kind === "finish") return "Finish";
+  const phrase = TURN_PHRASES[cue.turn] || TURN_PHRASES[""];
+  return cue.trail.off_trail ? `${phrase}, leaving the trail` : `${phrase} onto ${trail}`;
+}
+
+/** "Logan Pass TH (trailhead), Spring (water)" */
+export function describeCuePois(cue) {
+  return cue.pois
+    .map(p => `${p.name || "Unnamed"}${p.category ? ` (${p.category})` : ""}`)
+    .join(", ");
+}
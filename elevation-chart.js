@@ -0,0 +1,341 @@
+/**
+ * OutHere Elevation Chart — interactive elevation profile linked to the map
+ *
+ * Charts a route, or a whole day (several routes / legs back to back), with
+ * distance and elevation axes, camp / dayhike markers and min / max labels.
+ * Hovering the chart moves a marker along the line on the map; hovering a
+ * trip route on the map moves the cursor of every chart showing that spot.
+ *
+ * A chart is built from segments, each a stretch of line with its profile:
+ *   { coords: [[lng, lat], ...], profile: [ft, ...],
+ *     markers: [{ index, type, label }] }
+ * where a marker's index is the line coordinate it sits at. Profiles are
+ * sampled evenly along their line (see elevation.js), so profile position
+ * maps linearly to distance.
+ */
+
+import { map } from "./app.js"; // circular; only used at runtime
+import { haversineMeters, closestPointOnSegment } from "./trail-graph.js";
+import { M_PER_MI } from "./geometry.js";
+
+// SVG layout (viewBox units; the SVG scales to its container's width)
+const WIDTH = 460;
+const HEIGHT = 132;
+const PAD = { left: 44, right: 10, top: 16, bottom: 20 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+// Map hover farther than this from a charted line leaves that chart alone
+const MAP_HOVER_TOLERANCE_METERS = 60;
+
+// Same colors as the trip point layers on the map
+const MARKER_COLORS = { camp: "#2d6a4f", dayhike: "#d97706", rest: "#7c3aed" };
+
+const HOVER_SOURCE = "elevation-hover";
+
+// Charts currently on the page; pruned as the sidebar re-renders
+const mountedCharts = new Set();
+
+// ---------------------------------------------------------------------------
+// Series — segments laid end to end along one distance axis
+// ---------------------------------------------------------------------------
+
+/**
+ * Lay the segments end to end: cumulative distances per line coordinate,
+ * the profile as (meters, ft) samples and markers at their distance.
+ * Segments without a line or a profile are skipped.
+ */
+function buildSeries(segments) {
+  const series = { parts: [], samples: [], markers: [], totalMeters: 0 };
+  for (const seg of segments) {
+    const { coords, profile } = seg;
+    if (!Array.isArray(coords) || coords.length < 2 || !Array.isArray(profile) || profile.length < 2) continue;
+
+    const cumulative = [0];
+    for (let i = 1; i < coords.length; i++) {
+      cumulative.push(cumulative[i - 1] + haversineMeters(coords[i - 1], coords[i]));
+    }
+    const length = cumulative[cumulative.length - 1];
+    const offset = series.totalMeters;
+    series.parts.push({ coords, cumulative, offset, length });
+
+    profile.forEach((ft, i) => {
+      // The first sample repeats the previous segment's last one
+      if (i === 0 && series.samples.length > 0) return;
+      series.samples.push({ meters: offset + (length * i) / (profile.length - 1), ft });
+    });
+    for (const m of seg.markers || []) {
+      const index = Math.max(0, Math.min(coords.length - 1, m.index));
+      series.markers.push({ meters: offset + cumulative[index], type: m.type, label: m.label });
+    }
+    series.totalMeters += length;
+  }
+  return series.samples.length >= 2 && series.totalMeters > 0 ? series : null;
+}
+
+/** Elevation at a distance along the series, interpolated between samples. */
+function elevationAt(series, meters) {
+  const s = series.samples;
+  let lo = 0, hi = s.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (s[mid].meters <= meters) lo = mid;
+    else hi = mid;
+  }
+  const span = s[hi].meters - s[lo].meters;
+  const t = span > 0 ? Math.max(0, Math.min(1, (meters - s[lo].meters) / span)) : 0;
+  return s[lo].ft + (s[hi].ft - s[lo].ft) * t;
+}
+
+/** Map coordinate at a distance along the series. */
+function coordAt(series, meters) {
+  const part = series.parts.find(p => meters <= p.offset + p.length) || series.parts[series.parts.length - 1];
+  const { coords, cumulative } = part;
+  const d = Math.max(0, Math.min(part.length, meters - part.offset));
+  let i = 1;
+  while (i < cumulative.length - 1 && cumulative[i] < d) i++;
+  const span = cumulative[i] - cumulative[i - 1];
+  const t = span > 0 ? (d - cumulative[i - 1]) / span : 0;
+  const a = coords[i - 1], b = coords[i];
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+/**
+ * Distance along the series of the line position nearest a coordinate.
+ * @returns {{ meters: number, distance: number }|null} distance = meters off the line
+ */
+function locateOnSeries(series, coord) {
+  let best = null;
+  for (const part of series.parts) {
+    const { coords, cumulative } = part;
+    for (let i = 1; i < coords.length; i++) {
+      const hit = closestPointOnSegment(coord, coords[i - 1], coords[i]);
+      if (best && hit.distance >= best.distance) continue;
+      const meters = part.offset + cumulative[i - 1] + (cumulative[i] - cumulative[i - 1]) * hit.t;
+      best = { meters, distance: hit.distance };
+    }
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// SVG rendering
+// ---------------------------------------------------------------------------
+
+/** Round step (1, 2 or 5 × 10^n) giving roughly `count` ticks over `range`. */
+function niceStep(range, count) {
+  const raw = range / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  return (norm < 1.5 ? 1 : norm < 3.5 ? 2 : norm < 7.5 ? 5 : 10) * mag;
+}
+
+function formatFeet(ft) {
+  return `${Math.round(ft).toLocaleString()} ft`;
+}
+
+function formatMiles(meters) {
+  const mi = meters / M_PER_MI;
+  return `${mi < 10 ? mi.toFixed(1) : Math.round(mi)} mi`;
+}
+
+function escapeXML(str) {
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function buildChartSVG(series, scale) {
+  const { x, y, minFt, maxFt } = scale;
+  const totalMi = series.totalMeters / M_PER_MI;
+
+  // Elevation axis: gridlines at round elevations between min and max
+  const elevStep = niceStep(maxFt - minFt || 100, 3);
+  let yAxis = "";
+  for (let ft = Math.ceil(minFt / elevStep) * elevStep; ft <= maxFt; ft += elevStep) {
+    yAxis += `<line class="elev-chart-grid" x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y(ft).toFixed(1)}" y2="${y(ft).toFixed(1)}"/>`;
+    yAxis += `<text class="elev-chart-tick" x="${PAD.left - 4}" y="${(y(ft) + 3).toFixed(1)}" text-anchor="end">${Math.round(ft).toLocaleString()}</text>`;
+  }
+
+  // Distance axis: ticks at round mileages
+  const distStep = niceStep(totalMi || 1, 5);
+  let xAxis = `<line class="elev-chart-axis" x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${PAD.top + PLOT_H}" y2="${PAD.top + PLOT_H}"/>`;
+  for (let mi = 0; mi <= totalMi + 1e-9; mi += distStep) {
+    const px = x(mi * M_PER_MI).toFixed(1);
+    const label = mi === 0 ? "0 mi" : distStep < 1 ? mi.toFixed(1) : Math.round(mi);
+    xAxis += `<line class="elev-chart-axis" x1="${px}" x2="${px}" y1="${PAD.top + PLOT_H}" y2="${PAD.top + PLOT_H + 3}"/>`;
+    xAxis += `<text class="elev-chart-tick" x="${px}" y="${HEIGHT - 6}" text-anchor="middle">${label}</text>`;
+  }
+
+  // Profile line + area
+  const pts = series.samples.map(s => `${x(s.meters).toFixed(1)},${y(s.ft).toFixed(1)}`);
+  const base = (PAD.top + PLOT_H).toFixed(1);
+  const area = `M ${x(0).toFixed(1)},${base} L ${pts.join(" L ")} L ${x(series.totalMeters).toFixed(1)},${base} Z`;
+
+  // Min / max labels at the lowest and highest samples
+  const hiSample = series.samples.reduce((a, b) => (b.ft > a.ft ? b : a));
+  const loSample = series.samples.reduce((a, b) => (b.ft < a.ft ? b : a));
+  const extremeLabel = (s, dy, cls) => {
+    const px = x(s.meters);
+    const anchor = px < PAD.left + 40 ? "start" : px > WIDTH - PAD.right - 40 ? "end" : "middle";
+    return `<text class="elev-chart-extreme ${cls}" x="${px.toFixed(1)}" y="${(y(s.ft) + dy).toFixed(1)}" text-anchor="${anchor}">${formatFeet(s.ft)}</text>`;
+  };
+
+  const markers = series.markers.map(m => {
+    const px = x(m.meters).toFixed(1);
+    const py = y(elevationAt(series, m.meters)).toFixed(1);
+    const color = MARKER_COLORS[m.type] || "#e85d04";
+    return `<g class="elev-chart-marker">
+      <title>${escapeXML(m.label)} · ${formatMiles(m.meters)}</title>
+      <line x1="${px}" x2="${px}" y1="${PAD.top}" y2="${PAD.top + PLOT_H}" stroke="${color}"/>
+      <circle cx="${px}" cy="${py}" r="3.5" fill="${color}"/>
+    </g>`;
+  }).join("");
+
+  return `<svg class="elev-chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Elevation profile, ${formatMiles(series.totalMeters)}, ${formatFeet(minFt)} to ${formatFeet(maxFt)}">
+    ${yAxis}
+    <path class="elev-chart-area" d="${area}"/>
+    <polyline class="elev-chart-line" points="${pts.join(" ")}"/>
+    ${xAxis}
+    ${markers}
+    ${extremeLabel(hiSample, -5, "elev-chart-max")}
+    ${extremeLabel(loSample, 11, "elev-chart-min")}
+    <g class="elev-chart-cursor" visibility="hidden">
+      <line x1="0" x2="0" y1="${PAD.top}" y2="${PAD.top + PLOT_H}"/>
+      <circle cx="0" cy="0" r="3.5"/>
+    </g>
+  </svg>`;
+}
+
+// ---------------------------------------------------------------------------
+// Chart element
+// ---------------------------------------------------------------------------
+
+/**
+ * Build an interactive elevation chart.
+ * @param {object[]} segments - see the module comment
+ * @param {string} [className] - extra class for the wrapper
+ * @returns {HTMLElement|null} null when no segment has a line and a profile
+ */
+export function createElevationChart(segments, className = "") {
+  const series = buildSeries(segments);
+  if (!series) return null;
+
+  const fts = series.samples.map(s => s.ft);
+  const minFt = Math.min(...fts);
+  const maxFt = Math.max(...fts);
+  const range = maxFt - minFt || 1;
+  const scale = {
+    minFt,
+    maxFt,
+    x: (meters) => PAD.left + (meters / series.totalMeters) * PLOT_W,
+    y: (ft) => PAD.top + PLOT_H * (1 - (ft - minFt) / range),
+  };
+
+  const el = document.createElement("div");
+  el.className = `elev-chart${className ? ` ${className}` : ""}`;
+  el.innerHTML = `${buildChartSVG(series, scale)}<div class="elev-chart-readout" aria-live="off"></div>`;
+
+  const chart = {
+    el,
+    series,
+    cursor: el.querySelector(".elev-chart-cursor"),
+    readout: el.querySelector(".elev-chart-readout"),
+    scale,
+    hovering: false,
+  };
+
+  const svg = el.querySelector("svg");
+  const metersFromEvent = (e) => {
+    const rect = svg.getBoundingClientRect();
+    const vx = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    return Math.max(0, Math.min(1, (vx - PAD.left) / PLOT_W)) * series.totalMeters;
+  };
+  svg.addEventListener("pointermove", (e) => {
+    const meters = metersFromEvent(e);
+    chart.hovering = true;
+    setCursor(chart, meters);
+    setMapHover(coordAt(series, meters));
+  });
+  svg.addEventListener("pointerleave", () => {
+    chart.hovering = false;
+    setCursor(chart, null);
+    setMapHover(null);
+  });
+  // Clicks on the chart shouldn't zoom / toggle whatever contains it, and
+  // pressing on it shouldn't pick up a draggable tile around it
+  el.addEventListener("click", (e) => e.stopPropagation());
+  el.draggable = true;
+  el.addEventListener("dragstart", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  pruneCharts();
+  mountedCharts.add(chart);
+  return el;
+}
+
+/** Move a chart's cursor to a distance along it, or hide it (null). */
+function setCursor(chart, meters) {
+  if (meters === null) {
+    chart.cursor.setAttribute("visibility", "hidden");
+    chart.readout.textContent = "";
+    return;
+  }
+  const ft = elevationAt(chart.series, meters);
+  const px = chart.scale.x(meters).toFixed(1);
+  chart.cursor.setAttribute("visibility", "visible");
+  chart.cursor.querySelector("line").setAttribute("x1", px);
+  chart.cursor.querySelector("line").setAttribute("x2", px);
+  chart.cursor.querySelector("circle").setAttribute("cx", px);
+  chart.cursor.querySelector("circle").setAttribute("cy", chart.scale.y(ft).toFixed(1));
+  chart.readout.textContent = `${formatMiles(meters)} · ${formatFeet(ft)}`;
+}
+
+/** Forget charts the sidebar has since replaced. */
+function pruneCharts() {
+  for (const chart of mountedCharts) {
+    if (chart.el.isConnected) continue;
+    mountedCharts.delete(chart);
+    // Removed mid-hover: pointerleave never fires
+    if (chart.hovering) setMapHover(null);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Map link
+// ---------------------------------------------------------------------------
+
+function setMapHover(coord) {
+  map.getSource(HOVER_SOURCE)?.setData({
+    type: "FeatureCollection",
+    features: coord ? [{ type: "Feature", geometry: { type: "Point", coordinates: coord }, properties: {} }] : [],
+  });
+}
+
+/**
+ * Link trip routes on the map to the charts: hovering a route moves the
+ * cursor of each visible chart that passes under the pointer.
+ * Called once after the map loads; the marker layer lives in app.js.
+ */
+export function initElevationChartLink() {
+  let frame = 0;
+  let lastCoord = null;
+
+  const update = () => {
+    frame = 0;
+    pruneCharts();
+    for (const chart of mountedCharts) {
+      // Collapsed day sections keep their chart, just hidden
+      if (chart.el.offsetParent === null) continue;
+      const hit = lastCoord ? locateOnSeries(chart.series, lastCoord) : null;
+      setCursor(chart, hit && hit.distance <= MAP_HOVER_TOLERANCE_METERS ? hit.meters : null);
+    }
+  };
+  const schedule = (coord) => {
+    lastCoord = coord;
+    if (!frame) frame = requestAnimationFrame(update);
+  };
+
+  map.on("mousemove", "trip-routes", (e) => schedule([e.lngLat.lng, e.lngLat.lat]));
+  map.on("mouseleave", "trip-routes", () => schedule(null));
+}
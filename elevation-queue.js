@@ -0,0 +1,145 @@
+/**
+ * OutHere Elevation Queue — keeps routes' elevation profiles filled in
+ *
+ * Every profile request is queued in localStorage before it runs and
+ * dequeued once it lands, so a failed lookup (offline, API error, tab
+ * closed mid-request) is never lost:
+ *   outhere_elevation_queue — [{ trip_id, feature_id, queued_at, attempts }]
+ *
+ * While queued, the route carries `elevation_pending: true`, which the trip
+ * panel shows on its tile. Pending routes of the open trip are retried when
+ * the browser comes back online and whenever the trip is (re)opened.
+ */
+
+import { TripManager } from "./trip-panel.js"; // circular; only used at runtime
+import { TripsStore } from "./trips-home.js"; // circular; only used at runtime
+import { computeElevationProfile } from "./elevation.js";
+
+const QUEUE_KEY = "outhere_elevation_queue";
+
+// feature _id → geometry being profiled, so retries don't double up and a
+// result for a since-reshaped route is discarded
+const inFlight = new Map();
+
+// ---------------------------------------------------------------------------
+// Queue persistence
+// ---------------------------------------------------------------------------
+
+function readQueue() {
+  try {
+    const raw = localStorage.getItem(QUEUE_KEY);
+    if (!raw) return [];
+    const queue = JSON.parse(raw);
+    if (!Array.isArray(queue)) throw new Error("invalid queue shape");
+    return queue;
+  } catch (err) {
+    console.warn("[elevation] discarding corrupt elevation queue:", err.message);
+    localStorage.removeItem(QUEUE_KEY);
+    return [];
+  }
+}
+
+function writeQueue(queue) {
+  try {
+    if (queue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(QUEUE_KEY);
+  } catch (err) {
+    console.warn("[elevation] could not write elevation queue:", err.message);
+  }
+}
+
+function enqueue(tripId, featureId) {
+  const queue = readQueue();
+  const entry = queue.find(e => e.trip_id === tripId && e.feature_id === featureId);
+  if (entry) entry.attempts = (entry.attempts || 0) + 1;
+  else queue.push({ trip_id: tripId, feature_id: featureId, queued_at: new Date().toISOString(), attempts: 1 });
+  writeQueue(queue);
+}
+
+function dequeue(tripId, featureId) {
+  writeQueue(readQueue().filter(e => !(e.trip_id === tripId && e.feature_id === featureId)));
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Compute (or recompute) the elevation profile of a route (or dayhike spur)
+ * in the open trip from its current geometry. Marks the feature pending
+ * until the profile lands; on failure it stays pending and queued for a
+ * later retry.
+ * @param {string} featureId - the line feature's _id
+ */
+export async function requestRouteElevation(featureId) {
+  const trip = TripManager.currentTrip;
+  const feature = trip?.features.find(f => f.properties._id === featureId);
+  const coords = feature?.geometry?.coordinates;
+  if (!feature || !Array.isArray(coords) || coords.length < 2) return;
+
+  const geometry = feature.geometry;
+  if (inFlight.get(featureId) === geometry) return;
+  inFlight.set(featureId, geometry);
+
+  const tripId = trip.properties.trip_id;
+  enqueue(tripId, featureId);
+  if (!feature.properties.elevation_pending) TripManager.patchFeature(feature, { elevation_pending: true });
+
+  try {
+    const result = await computeElevationProfile(coords);
+
+    // The trip was switched or the route reshaped meanwhile — the queue
+    // entry stays, and the newer request (or a reopen) takes it from here
+    if (TripManager.currentTrip !== trip || feature.geometry !== geometry) return;
+
+    dequeue(tripId, featureId);
+    // Derived data, so it stays out of the undo history
+    TripManager.patchFeature(feature, {
+      elevation_profile: result.profileFt,
+      elevation_gain_ft: result.gainFt,
+      elevation_loss_ft: result.lossFt,
+      elevation_source: result.source,
+      elevation_pending: undefined,
+    });
+  } catch (err) {
+    console.warn("[elevation] profile failed, queued for retry:", err.message);
+  } finally {
+    if (inFlight.get(featureId) === geometry) inFlight.delete(featureId);
+  }
+}
+
+/**
+ * Retry every pending route in the open trip: queued entries plus routes
+ * still flagged pending (e.g. imported, or saved mid-request). Also drops
+ * queue entries whose trip or route no longer exists.
+ */
+export function retryPendingElevation() {
+  const trip = TripManager.currentTrip;
+  const knownTrips = new Set(TripsStore.readIndex().trips.map(t => t.id));
+  const queue = readQueue().filter(e => knownTrips.has(e.trip_id));
+
+  const pending = new Set();
+  if (trip) {
+    const tripId = trip.properties.trip_id;
+    const routeIds = new Set(trip.features.map(f => f.properties._id));
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].trip_id !== tripId) continue;
+      if (routeIds.has(queue[i].feature_id)) pending.add(queue[i].feature_id);
+      else queue.splice(i, 1);
+    }
+    for (const f of trip.features) {
+      if (f.properties.elevation_pending) pending.add(f.properties._id);
+    }
+  }
+  writeQueue(queue);
+
+  for (const featureId of pending) requestRouteElevation(featureId);
+}
+
+/**
+ * Retry pending profiles whenever the connection comes back. (Opening a
+ * trip retries on its own — see TripManager.)
+ */
+export function initElevationQueue() {
+  window.addEventListener("online", retryPendingElevation);
+}
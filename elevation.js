@@ -0,0 +1,240 @@
+/**
+ * OutHere Elevation — route elevation profiles from pluggable providers
+ *
+ * A provider turns a list of [lng, lat] samples into elevations in meters:
+ *   { id, isAvailable(), sample(coords) → Promise<number[]> }
+ *
+ * Providers are tried in order until one succeeds:
+ *   dem   — decodes the active region's raster-DEM PMTiles archive in the
+ *           browser. Declared per region in the catalog:
+ *             "dem": { "url": "https://…/utah_dem.pmtiles",
+ *                      "encoding": "terrarium" | "mapbox", "maxzoom": 12 }
+ *           (a bare URL string means terrarium at the archive's max zoom).
+ *           Needs no third-party API, so it keeps working on a flaky or
+ *           cached-only connection.
+ *   http  — Open-Meteo elevation API, 100 points per request.
+ *
+ * Routes are resampled at even distances along the line (not per vertex),
+ * so profile index maps linearly to distance. Gain / loss are summed in the
+ * geometry worker (computeGainLoss in geometry.js).
+ *
+ * CDN global: pmtiles (classic script in index.html).
+ */
+
+import { haversineMeters } from "./trail-graph.js";
+import { GeometryWorker } from "./geometry-client.js";
+import { FT_PER_M } from "./geometry.js";
+import { getActiveRegion } from "./region-picker.js"; // circular via app.js; only used at runtime
+
+// Sample spacing targets. DEM tiles at z12 are ~30 m/px, so sampling much
+// finer than that only adds interpolation noise.
+const DEM_SPACING_M = 30;
+const DEM_MAX_SAMPLES = 1000;
+const HTTP_SPACING_M = 100;
+const HTTP_MAX_SAMPLES = 300;
+const HTTP_BATCH_SIZE = 100; // Open-Meteo per-request coordinate limit
+
+const DEM_TILE_CACHE_SIZE = 64;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Compute an elevation profile for a line, trying each available provider.
+ * @param {number[][]} coords - [lng, lat] line coordinates
+ * @returns {Promise<{ profileFt: number[], gainFt: number, lossFt: number, source: string }>}
+ * @throws {Error} when every provider fails
+ */
+export async function computeElevationProfile(coords) {
+  if (!Array.isArray(coords) || coords.length < 2) throw new Error("need at least 2 coordinates");
+
+  let lastError = null;
+  for (const provider of getElevationProviders()) {
+    if (!provider.isAvailable()) continue;
+    try {
+      const samples = resampleLine(coords, provider.spacingMeters, provider.maxSamples);
+      const meters = await provider.sample(samples);
+      if (meters.length !== samples.length || meters.some(m => !Number.isFinite(m))) {
+        throw new Error("incomplete elevation data");
+      }
+      const profileFt = meters.map(m => Math.round(m * FT_PER_M));
+      const { gainFt, lossFt } = await GeometryWorker.profileStats(profileFt);
+      return { profileFt, gainFt, lossFt, source: provider.id };
+    } catch (err) {
+      console.warn(`[elevation] ${provider.id} provider failed:`, err.message);
+      lastError = err;
+    }
+  }
+  throw lastError || new Error("no elevation provider available");
+}
+
+/** Providers in preference order for the active region. */
+export function getElevationProviders() {
+  const providers = [];
+  const dem = normalizeDemConfig(getActiveRegion()?.dem);
+  if (dem) providers.push(createDemProvider(dem));
+  providers.push(openMeteoProvider);
+  return providers;
+}
+
+// ---------------------------------------------------------------------------
+// Sampling helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Points at even distances along a line, always including both endpoints.
+ * Spacing widens as needed to stay within maxSamples.
+ */
+function resampleLine(coords, spacingMeters, maxSamples) {
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineMeters(coords[i - 1], coords[i]));
+  }
+  const total = cumulative[cumulative.length - 1];
+  if (total === 0) return [coords[0], coords[coords.length - 1]];
+
+  const count = Math.min(maxSamples, Math.max(2, Math.ceil(total / spacingMeters) + 1));
+  const step = total / (count - 1);
+  const samples = [];
+  let seg = 1;
+  for (let k = 0; k < count; k++) {
+    const target = k === count - 1 ? total : k * step;
+    while (seg < coords.length - 1 && cumulative[seg] < target) seg++;
+    const segLen = cumulative[seg] - cumulative[seg - 1];
+    const t = segLen > 0 ? (target - cumulative[seg - 1]) / segLen : 0;
+    const a = coords[seg - 1];
+    const b = coords[seg];
+    samples.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+  }
+  return samples;
+}
+
+// ---------------------------------------------------------------------------
+// DEM provider — raster-DEM PMTiles decoded in the browser
+// ---------------------------------------------------------------------------
+
+const demArchives = new Map(); // url → pmtiles.PMTiles
+const demTiles = new Map();    // "url/z/x/y" → Promise<{ size, heights: Float32Array }|null>
+
+function normalizeDemConfig(dem) {
+  if (!dem) return null;
+  if (typeof dem === "string") return { url: dem, encoding: "terrarium", maxzoom: null };
+  if (typeof dem.url !== "string") return null;
+  return {
+    url: dem.url,
+    encoding: dem.encoding === "mapbox" ? "mapbox" : "terrarium",
+    maxzoom: Number.isInteger(dem.maxzoom) ? dem.maxzoom : null,
+  };
+}
+
+function createDemProvider(dem) {
+  return {
+    id: "dem",
+    spacingMeters: DEM_SPACING_M,
+    maxSamples: DEM_MAX_SAMPLES,
+    isAvailable: () => typeof pmtiles !== "undefined" && typeof createImageBitmap === "function",
+    async sample(coords) {
+      const archive = getDemArchive(dem.url);
+      const zoom = dem.maxzoom ?? (await archive.getHeader()).maxZoom;
+      const out = [];
+      for (const coord of coords) {
+        out.push(await sampleDemAt(archive, dem, zoom, coord));
+      }
+      return out;
+    },
+  };
+}
+
+function getDemArchive(url) {
+  if (!demArchives.has(url)) demArchives.set(url, new pmtiles.PMTiles(url));
+  return demArchives.get(url);
+}
+
+/** Bilinearly interpolated elevation (meters) at one coordinate. */
+async function sampleDemAt(archive, dem, zoom, [lng, lat]) {
+  const scale = 2 ** zoom;
+  const worldX = ((lng + 180) / 360) * scale;
+  const latRad = (lat * Math.PI) / 180;
+  const worldY = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale;
+  const tx = Math.floor(worldX);
+  const ty = Math.floor(worldY);
+
+  const tile = await loadDemTile(archive, dem, zoom, tx, ty);
+  if (!tile) throw new Error(`no DEM tile at ${zoom}/${tx}/${ty}`);
+
+  // Pixel centers sit at +0.5; clamp at tile edges rather than fetch neighbours
+  const px = Math.min(Math.max((worldX - tx) * tile.size - 0.5, 0), tile.size - 1);
+  const py = Math.min(Math.max((worldY - ty) * tile.size - 0.5, 0), tile.size - 1);
+  const x0 = Math.floor(px), y0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, tile.size - 1), y1 = Math.min(y0 + 1, tile.size - 1);
+  const fx = px - x0, fy = py - y0;
+  const h = (x, y) => tile.heights[y * tile.size + x];
+  return (h(x0, y0) * (1 - fx) + h(x1, y0) * fx) * (1 - fy) +
+         (h(x0, y1) * (1 - fx) + h(x1, y1) * fx) * fy;
+}
+
+function loadDemTile(archive, dem, z, x, y) {
+  const key = `${dem.url}/${z}/${x}/${y}`;
+  if (!demTiles.has(key)) {
+    // Forget failures so a later request can retry the tile
+    demTiles.set(key, decodeDemTile(archive, dem.encoding, z, x, y).catch((err) => {
+      demTiles.delete(key);
+      throw err;
+    }));
+    // Evict the oldest decoded tile (Map keeps insertion order)
+    if (demTiles.size > DEM_TILE_CACHE_SIZE) demTiles.delete(demTiles.keys().next().value);
+  }
+  return demTiles.get(key);
+}
+
+async function decodeDemTile(archive, encoding, z, x, y) {
+  const resp = await archive.getZxy(z, x, y);
+  if (!resp?.data) return null;
+
+  const bitmap = await createImageBitmap(new Blob([resp.data]));
+  const size = bitmap.width;
+  const canvas = typeof OffscreenCanvas !== "undefined"
+    ? new OffscreenCanvas(size, size)
+    : Object.assign(document.createElement("canvas"), { width: size, height: size });
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  const rgba = ctx.getImageData(0, 0, size, size).data;
+
+  const heights = new Float32Array(size * size);
+  for (let i = 0; i < heights.length; i++) {
+    const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+    heights[i] = encoding === "mapbox"
+      ? -10000 + (r * 65536 + g * 256 + b) * 0.1
+      : r * 256 + g + b / 256 - 32768;
+  }
+  return { size, heights };
+}
+
+// ---------------------------------------------------------------------------
+// HTTP provider — Open-Meteo elevation API
+// ---------------------------------------------------------------------------
+
+const openMeteoProvider = {
+  id: "open-meteo",
+  spacingMeters: HTTP_SPACING_M,
+  maxSamples: HTTP_MAX_SAMPLES,
+  isAvailable: () => navigator.onLine !== false,
+  async sample(coords) {
+    const out = [];
+    for (let i = 0; i < coords.length; i += HTTP_BATCH_SIZE) {
+      const batch = coords.slice(i, i + HTTP_BATCH_SIZE);
+      const lats = batch.map(c => c[1].toFixed(5)).join(",");
+      const lons = batch.map(c => c[0].toFixed(5)).join(",");
+      const res = await fetch(
+        `https://api.open-meteo.com/v1/elevation?latitude=${lats}&longitude=${lons}`
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (!Array.isArray(data.elevation)) throw new Error("Unexpected response shape");
+      out.push(...data.elevation);
+    }
+    return out;
+  },
+};
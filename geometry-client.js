@@ -0,0 +1,106 @@
+/**
+ * OutHere Geometry Client — async access to the geometry worker
+ *
+ * GeometryWorker posts each call to geometry-worker.js and resolves with its
+ * answer. Where module workers aren't available (or the worker fails to
+ * load) the same service runs inline on the main thread instead, still
+ * behind promises, so callers never need to know which one they got.
+ */
+
+import { createGeometryService } from "./geometry.js";
+
+// ---------------------------------------------------------------------------
+// GeometryWorker — singleton facade over the worker
+// ---------------------------------------------------------------------------
+
+export const GeometryWorker = {
+  _worker: undefined, // Worker, or null once fallen back to inline
+  _inline: null,      // createGeometryService() when running inline
+  _trailArgs: null,   // last setTrails args, to seed an inline fallback
+  _pending: new Map(), // call id → { op, args, resolve, reject }
+  _nextId: 1,
+
+  /** Replace the trail features the network is built from (lazily). */
+  setTrails(features) {
+    this._trailArgs = { features };
+    return this._call("setTrails", this._trailArgs);
+  },
+
+  /**
+   * Shortest trail path between two coordinates (see findRoute in
+   * trail-graph.js); the line comes back lightly simplified.
+   * @returns {Promise<{ coords, distanceMeters, trails }|null>}
+   */
+  findRoute(from, to, options = {}) {
+    return this._call("findRoute", { from, to, options });
+  },
+
+  /** @returns {Promise<{ coords, lengthMeters, pathMeters }|null>} see traceTrail */
+  traceTrail(trail) {
+    return this._call("traceTrail", { trail });
+  },
+
+  /** @returns {Promise<{ gainFt, lossFt, minFt, maxFt }>} see profileStats in geometry.js */
+  profileStats(profileFt) {
+    return this._call("profileStats", { profileFt });
+  },
+
+  _call(op, args) {
+    return new Promise((resolve, reject) => {
+      const worker = this._getWorker();
+      if (!worker) {
+        this._runInline(op, args, resolve, reject);
+        return;
+      }
+      const id = this._nextId++;
+      this._pending.set(id, { op, args, resolve, reject });
+      worker.postMessage({ id, op, args });
+    });
+  },
+
+  _getWorker() {
+    if (this._worker !== undefined) return this._worker;
+    try {
+      this._worker = new Worker(new URL("./geometry-worker.js", import.meta.url), { type: "module" });
+      this._worker.onmessage = ({ data }) => {
+        const call = this._pending.get(data.id);
+        if (!call) return;
+        this._pending.delete(data.id);
+        if ("error" in data) call.reject(new Error(data.error));
+        else call.resolve(data.result);
+      };
+      this._worker.onerror = (e) => {
+        e.preventDefault();
+        this._fallBackInline(e.message || "worker failed to load");
+      };
+    } catch (err) {
+      this._fallBackInline(err.message);
+    }
+    return this._worker;
+  },
+
+  /** Drop the worker and answer everything it still owes on the main thread. */
+  _fallBackInline(reason) {
+    console.warn("[geometry] worker unavailable, running on the main thread:", reason);
+    this._worker?.terminate();
+    this._worker = null;
+    const pending = [...this._pending.values()];
+    this._pending.clear();
+    for (const { op, args, resolve, reject } of pending) this._runInline(op, args, resolve, reject);
+  },
+
+  _runInline(op, args, resolve, reject) {
+    if (!this._inline) {
+      this._inline = createGeometryService();
+      if (this._trailArgs) this._inline.setTrails(this._trailArgs);
+    }
+    // Keep the async contract: answer on a later tick, like the worker
+    setTimeout(() => {
+      try {
+        resolve(this._inline[op](args));
+      } catch (err) {
+        reject(err);
+      }
+    }, 0);
+  },
+};
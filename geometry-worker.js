@@ -0,0 +1,24 @@
+/**
+ * OutHere Geometry Worker — runs the geometry service (geometry.js) off the
+ * main thread, so graph building and route searches never stall the map.
+ *
+ * Protocol (see GeometryWorker in geometry-client.js):
+ *   in:  { id, op, args }
+ *   out: { id, result } | { id, error }
+ * Messages are handled in order, so a setTrails posted before a findRoute
+ * is always in place when the route is searched.
+ */
+
+import { createGeometryService } from "./geometry.js";
+
+const service = createGeometryService();
+
+self.onmessage = ({ data }) => {
+  const { id, op, args } = data;
+  try {
+    if (!service[op]) throw new Error(`unknown op "${op}"`);
+    self.postMessage({ id, result: service[op](args) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
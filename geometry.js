@@ -0,0 +1,158 @@
+/**
+ * OutHere Geometry — the heavy, map-free geometry behind routing
+ *
+ * Everything here works on plain coordinate arrays and feature objects, so
+ * it runs the same inside the geometry worker (geometry-worker.js) and, as
+ * a fallback, on the main thread:
+ *   - the trail network: graph building, shortest paths and whole-trail
+ *     tracing (trail-graph.js), kept as state in createGeometryService()
+ *   - elevation profile statistics (gain / loss, min / max)
+ *   - line simplification (Douglas–Peucker, meters) of routed lines
+ *
+ * The service is reached through the async GeometryWorker facade in
+ * geometry-client.js. lineLengthMeters and computeGainLoss are cheap and
+ * shared directly by the main-thread modules that need them.
+ */
+
+import { buildTrailGraph, findRoute, traceTrail, haversineMeters } from "./trail-graph.js";
+
+export const M_PER_MI = 1609.344; // meters per statute mile
+export const FT_PER_M = 3.28084;  // feet per meter
+
+// Elevation changes smaller than this between counted points are treated as
+// DEM noise when summing gain / loss.
+const GAIN_THRESHOLD_FT = 10;
+
+// Routed lines are simplified this much: drops the near-collinear points
+// that tile seams and dense trail geometry leave, without visibly moving
+// the line off the trail.
+const ROUTE_SIMPLIFY_METERS = 1;
+
+// ---------------------------------------------------------------------------
+// Lines and profiles
+// ---------------------------------------------------------------------------
+
+export function lineLengthMeters(coords) {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += haversineMeters(coords[i - 1], coords[i]);
+  return total;
+}
+
+/**
+ * Cumulative gain / loss, only counting a climb or descent once it exceeds
+ * GAIN_THRESHOLD_FT from the last counted point.
+ */
+export function computeGainLoss(profileFt) {
+  let gain = 0, loss = 0;
+  let ref = profileFt[0];
+  for (let i = 1; i < profileFt.length; i++) {
+    const diff = profileFt[i] - ref;
+    if (Math.abs(diff) < GAIN_THRESHOLD_FT) continue;
+    if (diff > 0) gain += diff;
+    else loss += -diff;
+    ref = profileFt[i];
+  }
+  // Count whatever is left over at the end of the line
+  const tail = profileFt[profileFt.length - 1] - ref;
+  if (tail > 0) gain += tail;
+  else loss += -tail;
+  return { gain: Math.round(gain), loss: Math.round(loss) };
+}
+
+/**
+ * Statistics of an elevation profile.
+ * @param {number[]|null} profileFt
+ * @returns {{ gainFt: number|null, lossFt: number|null, minFt: number|null, maxFt: number|null }}
+ *   all null without at least two samples
+ */
+export function profileStats(profileFt) {
+  const stats = {
+    gainFt: null,
+    lossFt: null,
+    minFt: null,
+    maxFt: null,
+  };
+  if (Array.isArray(profileFt) && profileFt.length >= 2) {
+    const { gain, loss } = computeGainLoss(profileFt);
+    stats.gainFt = gain;
+    stats.lossFt = loss;
+    stats.minFt = profileFt.reduce((m, v) => Math.min(m, v), Infinity);
+    stats.maxFt = profileFt.reduce((m, v) => Math.max(m, v), -Infinity);
+  }
+  return stats;
+}
+
+/**
+ * Douglas–Peucker simplification with a tolerance in meters (local
+ * equirectangular projection). Both ends are kept exactly, so simplified
+ * segments still meet their vertices.
+ */
+export function simplifyLine(coords, toleranceMeters) {
+  if (!Array.isArray(coords) || coords.length <= 2 || !(toleranceMeters > 0)) return coords;
+  const kx = Math.cos(coords[0][1] * Math.PI / 180) * 111320;
+  const ky = 110540;
+  const xy = coords.map(c => [c[0] * kx, c[1] * ky]);
+
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDist = 0, index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(xy[i], xy[first], xy[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDist > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
+/** Distance from projected point p to segment a→b. */
+function segmentDistance(p, a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const lenSq = dx * dx + dy * dy;
+  let t = lenSq > 0 ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lenSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(p[0] - (a[0] + dx * t), p[1] - (a[1] + dy * t));
+}
+
+// ---------------------------------------------------------------------------
+// Geometry service — the operations the worker answers
+// ---------------------------------------------------------------------------
+
+/**
+ * A set of geometry operations sharing one trail network. The graph is
+ * built lazily from the last setTrails() features, on the first query that
+ * needs it.
+ * @returns {Record<string, (args: object) => any>} op name → handler
+ */
+export function createGeometryService() {
+  let trailFeatures = [];
+  let graph = null;
+  const getGraph = () => graph || (graph = buildTrailGraph(trailFeatures));
+
+  return {
+    setTrails({ features }) {
+      trailFeatures = features || [];
+      graph = null;
+    },
+    findRoute({ from, to, options }) {
+      const route = findRoute(getGraph(), from, to, options);
+      if (route) route.coords = simplifyLine(route.coords, ROUTE_SIMPLIFY_METERS);
+      return route;
+    },
+    traceTrail({ trail }) {
+      return traceTrail(getGraph(), trail);
+    },
+    profileStats({ profileFt }) {
+      return profileStats(profileFt);
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * OutHere GPX — trip exchange with GPS devices and other planners
+ *
+ * Export (GPX 1.1):
+ *   route, dayhike_spur, gps_track   → <trk>, one <trkseg> per day leg
+ *   camp, dayhike, rest, waypoint    → <wpt> with name, notes (<desc>) and
+ *                                      date (<time>, midnight UTC)
+ * Routes go out as tracks rather than <rte>: a device re-routes an <rte>
+ * over its own map, losing the trail-following line drawn here.
+ * Every element carries our feature type in <type>, so a GPX written here
+ * comes back as the same kinds of features.
+ *
+ * Import:
+ *   <trk>  → route (typed "route" by us) / dayhike_spur, else gps_track
+ *   <rte>  → route
+ *   <wpt>  → camp / dayhike / rest, else waypoint (subtype from <type> or
+ *            <sym>)
+ * Trip assembly (days, spur links, elevation) is shared with KML — see
+ * trip-formats.js.
+ */
+
+import {
+  ISO_DATE_RE,
+  LINE_TYPES,
+  TRIP_POINT_TYPES,
+  makePointFeature,
+  makeLineFeature,
+  createImportedTrip,
+  parseXML,
+  escapeXML,
+  getChildren,
+  childText,
+} from "./trip-formats.js";
+
+const GPX_NS = "http://www.topografix.com/GPX/1/1";
+
+// Garmin-style symbols so devices show something sensible
+const WPT_SYMBOLS = {
+  camp: "Campground",
+  dayhike: "Trail Head",
+  rest: "Lodging",
+  water: "Drinking Water",
+  hazard: "Danger Area",
+  resupply: "Shopping Center",
+  scenic: "Scenic Area",
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a trip as a GPX 1.1 document.
+ * @param {object} trip - trip FeatureCollection
+ * @returns {string} GPX XML
+ */
+export function buildTripGPX(trip) {
+  const p = trip.properties || {};
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="OutHere" xmlns="${GPX_NS}">`,
+    `  <metadata>`,
+    `    <name>${escapeXML(p.name || "Untitled Trip")}</name>`,
+  ];
+  const desc = p.readme || p.notes || "";
+  if (desc) out.push(`    <desc>${escapeXML(desc)}</desc>`);
+  out.push(`    <time>${new Date().toISOString()}</time>`, `  </metadata>`);
+
+  const features = trip.features || [];
+  // GPX orders waypoints before routes and tracks
+  for (const f of features) {
+    if (f.geometry?.type === "Point" && isExportedPoint(f.properties)) out.push(...buildWaypoint(f));
+  }
+  for (const f of features) {
+    if (f.geometry?.type === "LineString" && LINE_TYPES.has(f.properties.type)) out.push(...buildTrack(f));
+  }
+
+  out.push(`</gpx>`, "");
+  return out.join("\n");
+}
+
+/** Download a trip as <slug>.gpx. */
+export function downloadTripGPX(trip) {
+  if (!trip) return;
+  const blob = new Blob([buildTripGPX(trip)], { type: "application/gpx+xml" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  const slug = (trip.properties?.name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_") || "trip";
+  a.download = `${slug}.gpx`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function isExportedPoint(props) {
+  return TRIP_POINT_TYPES.has(props.type) || props.type === "waypoint";
+}
+
+function buildWaypoint(feature) {
+  const props = feature.properties;
+  const [lng, lat] = feature.geometry.coordinates;
+  const kind = props.type === "waypoint" ? props.subtype : props.type;
+  const lines = [`  <wpt lat="${formatCoord(lat)}" lon="${formatCoord(lng)}">`];
+  if (ISO_DATE_RE.test(props.date || "")) lines.push(`    <time>${props.date}T00:00:00Z</time>`);
+  if (props.name) lines.push(`    <name>${escapeXML(props.name)}</name>`);
+  if (props.notes) lines.push(`    <desc>${escapeXML(props.notes)}</desc>`);
+  if (WPT_SYMBOLS[kind]) lines.push(`    <sym>${WPT_SYMBOLS[kind]}</sym>`);
+  if (kind) lines.push(`    <type>${escapeXML(kind)}</type>`);
+  lines.push(`  </wpt>`);
+  return lines;
+}
+
+function buildTrack(feature) {
+  const props = feature.properties;
+  const coords = feature.geometry.coordinates;
+  const lines = [`  <trk>`];
+  if (props.name) lines.push(`    <name>${escapeXML(props.name)}</name>`);
+  if (props.notes) lines.push(`    <desc>${escapeXML(props.notes)}</desc>`);
+  lines.push(`    <type>${props.type}</type>`);
+
+  // Multi-day routes get a segment per leg, so devices can show each day
+  const ranges = Array.isArray(props.legs) && props.legs.length > 0
+    ? props.legs.map(leg => leg.line_range)
+    : [[0, coords.length - 1]];
+  for (const [start, end] of ranges) {
+    lines.push(`    <trkseg>`);
+    for (const c of coords.slice(start, end + 1)) {
+      const ele = Number.isFinite(c[2]) ? `<ele>${c[2].toFixed(1)}</ele>` : "";
+      lines.push(`      <trkpt lat="${formatCoord(c[1])}" lon="${formatCoord(c[0])}">${ele}</trkpt>`);
+    }
+    lines.push(`    </trkseg>`);
+  }
+  lines.push(`  </trk>`);
+  return lines;
+}
+
+function formatCoord(value) {
+  return Number(value).toFixed(6);
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a GPX document into a new trip FeatureCollection, ready for
+ * TripManager.loadFromGeoJSON.
+ * @param {string} text - GPX XML
+ * @param {string} [fallbackName] - trip name when the file has no <metadata><name>
+ * @returns {object} trip FeatureCollection
+ * @throws {Error} when the XML is malformed or holds no usable geometry
+ */
+export function parseTripGPX(text, fallbackName = "Imported Trip") {
+  const root = parseXML(text, "gpx", "GPX");
+
+  const features = [];
+  for (const el of root.getElementsByTagName("wpt")) {
+    const coord = readLatLon(el);
+    if (!coord) continue;
+    features.push(makePointFeature(coord, childText(el, "type").toLowerCase(), {
+      ...readText(el),
+      date: childText(el, "time").slice(0, 10),
+      hint: childText(el, "sym"),
+    }));
+  }
+  for (const el of root.getElementsByTagName("rte")) {
+    const feature = makeLineFeature(readPoints(getChildren(el, "rtept")), "route", readText(el));
+    if (feature) features.push(feature);
+  }
+  for (const el of root.getElementsByTagName("trk")) {
+    const points = getChildren(el, "trkseg").flatMap(seg => getChildren(seg, "trkpt"));
+    const type = childText(el, "type");
+    const feature = makeLineFeature(readPoints(points), LINE_TYPES.has(type) ? type : "gps_track", readText(el));
+    if (feature) features.push(feature);
+  }
+
+  const metadata = getChildren(root, "metadata")[0];
+  return createImportedTrip({
+    name: (metadata && childText(metadata, "name")) || fallbackName,
+    readme: (metadata && childText(metadata, "desc")) || "",
+    features,
+  });
+}
+
+/** [lng, lat] of a wpt / rtept / trkpt, or null. */
+function readLatLon(el) {
+  const lat = parseFloat(el.getAttribute("lat"));
+  const lng = parseFloat(el.getAttribute("lon"));
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lng, lat] : null;
+}
+
+/** [lng, lat, ele?] positions of a point list, skipping malformed ones. */
+function readPoints(points) {
+  const coords = [];
+  for (const pt of points) {
+    const coord = readLatLon(pt);
+    if (!coord) continue;
+    const ele = parseFloat(childText(pt, "ele"));
+    if (Number.isFinite(ele)) coord.push(ele);
+    coords.push(coord);
+  }
+  return coords;
+}
+
+function readText(el) {
+  return { name: childText(el, "name"), notes: childText(el, "desc") || childText(el, "cmt") };
+}
@@ -0,0 +1,171 @@
+/**
+ * OutHere Grade — route steepness from elevation profiles
+ *
+ * With grade coloring on, each route's line is cut into sections of one
+ * grade band (bands are set by the user's thresholds, see GRADE_DEFAULTS)
+ * for the "trip-route-grades" map layer, and the distance walked above each
+ * threshold is summed for the legend.
+ *
+ * Grades come from the elevation profile, which is sampled evenly along the
+ * line (see elevation.js), smoothed over GRADE_WINDOW_METERS so DEM noise on
+ * short steps doesn't break the line into confetti. Uphill and downhill
+ * count alike for the bands; the summary keeps them apart.
+ */
+
+import { GRADE_DEFAULTS } from "./config.js";
+import { Preferences } from "./preferences.js";
+import { haversineMeters } from "./trail-graph.js";
+import { FT_PER_M } from "./geometry.js";
+
+// Grades are measured over at least this much line
+const GRADE_WINDOW_METERS = 100;
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * Grade settings with thresholds sanitized: three rising percentages,
+ * else the defaults.
+ * @returns {{ enabled: boolean, thresholdPct: number[] }}
+ */
+export function getGradeSettings() {
+  const grade = Preferences.get("grade");
+  const t = Array.isArray(grade.thresholdPct) ? grade.thresholdPct.map(Number) : [];
+  const valid = t.length === GRADE_DEFAULTS.thresholdPct.length &&
+    t.every((v, i) => Number.isFinite(v) && v > 0 && (i === 0 || v > t[i - 1]));
+  return {
+    enabled: !!grade.enabled,
+    thresholdPct: valid ? t : [...GRADE_DEFAULTS.thresholdPct],
+  };
+}
+
+/** Band index for a grade (percent, either sign): 0 below the first threshold. */
+export function gradeBand(gradePct, thresholdPct) {
+  const g = Math.abs(gradePct);
+  let band = 0;
+  while (band < thresholdPct.length && g >= thresholdPct[band]) band++;
+  return band;
+}
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+/**
+ * Grade of each profile interval, smoothed over GRADE_WINDOW_METERS.
+ * @returns {{ stepMeters: number, gradePct: number[] }|null} null without a usable profile
+ */
+function intervalGrades(coords, profileFt) {
+  if (!Array.isArray(coords) || coords.length < 2 || !Array.isArray(profileFt) || profileFt.length < 2) return null;
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += haversineMeters(coords[i - 1], coords[i]);
+  const n = profileFt.length;
+  const stepMeters = total / (n - 1);
+  if (!(stepMeters > 0)) return null;
+
+  // Half-window in profile steps
+  const k = Math.max(1, Math.round(GRADE_WINDOW_METERS / 2 / stepMeters));
+  const gradePct = [];
+  for (let i = 0; i < n - 1; i++) {
+    const lo = Math.max(0, i + 1 - k);
+    const hi = Math.min(n - 1, i + k);
+    gradePct.push(((profileFt[hi] - profileFt[lo]) / FT_PER_M) / ((hi - lo) * stepMeters) * 100);
+  }
+  return { stepMeters, gradePct };
+}
+
+/**
+ * Cut a line into runs of one grade band, and sum the distance above each
+ * threshold.
+ * @param {number[][]} coords
+ * @param {number[]} profileFt - evenly sampled along coords
+ * @param {number[]} thresholdPct
+ * @returns {{ sections: { coords: number[][], band: number, maxGradePct: number }[],
+ *             above: { upMeters: number, downMeters: number }[] }|null}
+ *   above has one entry per threshold; null without a usable profile
+ */
+export function computeGradeSections(coords, profileFt, thresholdPct) {
+  const grades = intervalGrades(coords, profileFt);
+  if (!grades) return null;
+  const { stepMeters, gradePct } = grades;
+
+  const above = thresholdPct.map(() => ({ upMeters: 0, downMeters: 0 }));
+  const runs = [];
+  gradePct.forEach((g, i) => {
+    const band = gradeBand(g, thresholdPct);
+    for (let t = 0; t < band; t++) {
+      if (g > 0) above[t].upMeters += stepMeters;
+      else above[t].downMeters += stepMeters;
+    }
+    const run = runs[runs.length - 1];
+    if (run && run.band === band) {
+      run.end = i + 1;
+      run.maxGradePct = Math.max(run.maxGradePct, Math.abs(g));
+    } else {
+      runs.push({ band, start: i, end: i + 1, maxGradePct: Math.abs(g) });
+    }
+  });
+
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i++) cumulative.push(cumulative[i - 1] + haversineMeters(coords[i - 1], coords[i]));
+  const sections = runs.map(run => ({
+    coords: sliceLine(coords, cumulative, run.start * stepMeters, run.end * stepMeters),
+    band: run.band,
+    maxGradePct: run.maxGradePct,
+  }));
+  return { sections, above };
+}
+
+/** The part of a line between two distances along it (cumulative = meters per coordinate). */
+function sliceLine(coords, cumulative, fromMeters, toMeters) {
+  const at = (d) => {
+    let i = 1;
+    while (i < cumulative.length - 1 && cumulative[i] < d) i++;
+    const span = cumulative[i] - cumulative[i - 1];
+    const t = span > 0 ? Math.max(0, Math.min(1, (d - cumulative[i - 1]) / span)) : 0;
+    const a = coords[i - 1], b = coords[i];
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  };
+  const line = [at(fromMeters)];
+  for (let i = 0; i < coords.length; i++) {
+    if (cumulative[i] > fromMeters && cumulative[i] < toMeters) line.push(coords[i]);
+  }
+  line.push(at(toMeters));
+  return line;
+}
+
+// ---------------------------------------------------------------------------
+// Trip-wide
+// ---------------------------------------------------------------------------
+
+/**
+ * Grade sections of every profiled route in a trip, as map features
+ * (properties: _id of the route, band, max_grade_pct), plus the trip's
+ * distance above each threshold.
+ * @returns {{ collection: object, above: { upMeters: number, downMeters: number }[], profiled: number }}
+ *   profiled = routes that had a profile to grade
+ */
+export function buildTripGrades(trip, thresholdPct) {
+  const features = [];
+  const above = thresholdPct.map(() => ({ upMeters: 0, downMeters: 0 }));
+  let profiled = 0;
+  for (const f of trip?.features || []) {
+    if (f.properties.type !== "route") continue;
+    const result = computeGradeSections(f.geometry?.coordinates, f.properties.elevation_profile, thresholdPct);
+    if (!result) continue;
+    profiled++;
+    result.above.forEach((a, t) => {
+      above[t].upMeters += a.upMeters;
+      above[t].downMeters += a.downMeters;
+    });
+    for (const s of result.sections) {
+      features.push({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: s.coords },
+        properties: { _id: f.properties._id, band: s.band, max_grade_pct: Math.round(s.maxGradePct) },
+      });
+    }
+  }
+  return { collection: { type: "FeatureCollection", features }, above, profiled };
+}
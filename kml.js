@@ -0,0 +1,332 @@
+/**
+ * OutHere KML — trip exchange with Google Earth and friends
+ *
+ * Export (KML 2.2): a folder per trip day (plus "Unassigned"), each
+ * placemark styled like its trip-* map layer and carrying our feature type,
+ * waypoint subtype and date in <ExtendedData>, so a KML written here comes
+ * back as the same kinds of features on the same days.
+ *
+ * Import (KML, or KMZ unpacked with readKMZ):
+ *   Point                     → camp / dayhike / rest, else waypoint
+ *   LineString, MultiGeometry → route / dayhike_spur / gps_track when typed
+ *                               by us, else route
+ *   gx:Track                  → gps_track
+ * Placemarks inside a dated day folder land on that day. Trip assembly is
+ * shared with GPX — see trip-formats.js.
+ */
+
+import {
+  ISO_DATE_RE,
+  LINE_TYPES,
+  TRIP_POINT_TYPES,
+  makePointFeature,
+  makeLineFeature,
+  createImportedTrip,
+  parseXML,
+  escapeXML,
+  getChildren,
+  childText,
+} from "./trip-formats.js";
+
+const KML_NS = "http://www.opengis.net/kml/2.2";
+
+// Mirrors the trip-* layer paint in app.js: [color, opacity, line width]
+const LINE_STYLES = {
+  route: ["#e85d04", 1, 3.5],
+  dayhike_spur: ["#d97706", 0.7, 2.5],
+  gps_track: ["#475569", 0.8, 2.5],
+};
+const POINT_STYLES = {
+  camp: "#2d6a4f",
+  dayhike: "#d97706",
+  rest: "#7c3aed",
+  "waypoint-water": "#3b82f6",
+  "waypoint-hazard": "#ef4444",
+  "waypoint-scenic": "#eab308",
+  "waypoint-resupply": "#8b5cf6",
+  waypoint: "#6b7280",
+};
+const POINT_ICON = "https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png";
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a trip as a KML 2.2 document.
+ * @param {object} trip - trip FeatureCollection
+ * @returns {string} KML XML
+ */
+export function buildTripKML(trip) {
+  const p = trip.properties || {};
+  const byId = new Map((trip.features || []).map(f => [f.properties._id, f]));
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="${KML_NS}">`,
+    `<Document>`,
+    `  <name>${escapeXML(p.name || "Untitled Trip")}</name>`,
+  ];
+  const desc = p.readme || p.notes || "";
+  if (desc) out.push(`  <description>${escapeXML(desc)}</description>`);
+  out.push(...buildStyles());
+
+  (trip.days || []).forEach((day, i) => {
+    const title = day.date ? `Day ${i + 1} · ${day.date}` : `Day ${i + 1}`;
+    const features = (day.features || []).map(id => byId.get(id)).filter(Boolean);
+    out.push(...buildFolder(title, day.date, day.notes, features));
+  });
+  const unassigned = (trip.unassigned || []).map(id => byId.get(id)).filter(Boolean);
+  if (unassigned.length > 0) out.push(...buildFolder("Unassigned", null, "", unassigned));
+
+  out.push(`</Document>`, `</kml>`, "");
+  return out.join("\n");
+}
+
+/** Download a trip as <slug>.kml. */
+export function downloadTripKML(trip) {
+  if (!trip) return;
+  const blob = new Blob([buildTripKML(trip)], { type: "application/vnd.google-earth.kml+xml" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  const slug = (trip.properties?.name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_") || "trip";
+  a.download = `${slug}.kml`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function buildStyles() {
+  const lines = [];
+  for (const [id, [color, opacity, width]] of Object.entries(LINE_STYLES)) {
+    lines.push(
+      `  <Style id="${id}">`,
+      `    <LineStyle><color>${kmlColor(color, opacity)}</color><width>${width}</width></LineStyle>`,
+      `  </Style>`
+    );
+  }
+  for (const [id, color] of Object.entries(POINT_STYLES)) {
+    lines.push(
+      `  <Style id="${id}">`,
+      `    <IconStyle><color>${kmlColor(color, 1)}</color><Icon><href>${POINT_ICON}</href></Icon></IconStyle>`,
+      `  </Style>`
+    );
+  }
+  return lines;
+}
+
+function buildFolder(title, date, notes, features) {
+  const lines = [`  <Folder>`, `    <name>${escapeXML(title)}</name>`];
+  if (notes) lines.push(`    <description>${escapeXML(notes)}</description>`);
+  if (date) lines.push(`    <ExtendedData><Data name="date"><value>${date}</value></Data></ExtendedData>`);
+  for (const f of features) {
+    const placemark = buildPlacemark(f);
+    if (placemark) lines.push(...placemark);
+  }
+  lines.push(`  </Folder>`);
+  return lines;
+}
+
+function buildPlacemark(feature) {
+  const props = feature.properties;
+  const geom = feature.geometry;
+  let geometryXML, styleId;
+  if (geom?.type === "Point" && (TRIP_POINT_TYPES.has(props.type) || props.type === "waypoint")) {
+    styleId = props.type === "waypoint" && POINT_STYLES[`waypoint-${props.subtype}`] ? `waypoint-${props.subtype}` : props.type;
+    geometryXML = `<Point><coordinates>${formatPosition(geom.coordinates)}</coordinates></Point>`;
+  } else if (geom?.type === "LineString" && LINE_TYPES.has(props.type)) {
+    styleId = props.type;
+    geometryXML = `<LineString><tessellate>1</tessellate><coordinates>${geom.coordinates.map(formatPosition).join(" ")}</coordinates></LineString>`;
+  } else {
+    return null;
+  }
+
+  const data = { type: props.type };
+  if (props.subtype) data.subtype = props.subtype;
+  if (ISO_DATE_RE.test(props.date || "")) data.date = props.date;
+
+  const lines = [`    <Placemark>`];
+  if (props.name) lines.push(`      <name>${escapeXML(props.name)}</name>`);
+  if (props.notes) lines.push(`      <description>${escapeXML(props.notes)}</description>`);
+  lines.push(`      <styleUrl>#${styleId}</styleUrl>`);
+  lines.push(`      <ExtendedData>`);
+  for (const [key, value] of Object.entries(data)) {
+    lines.push(`        <Data name="${key}"><value>${escapeXML(value)}</value></Data>`);
+  }
+  lines.push(`      </ExtendedData>`, `      ${geometryXML}`, `    </Placemark>`);
+  return lines;
+}
+
+/** "#rrggbb" + opacity → KML's aabbggrr. */
+function kmlColor(hex, opacity) {
+  const alpha = Math.round(opacity * 255).toString(16).padStart(2, "0");
+  return `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+}
+
+function formatPosition(c) {
+  const pos = `${Number(c[0]).toFixed(6)},${Number(c[1]).toFixed(6)}`;
+  return Number.isFinite(c[2]) ? `${pos},${c[2].toFixed(1)}` : pos;
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a KML document into a new trip FeatureCollection, ready for
+ * TripManager.loadFromGeoJSON.
+ * @param {string} text - KML XML
+ * @param {string} [fallbackName] - trip name when the document has none
+ * @returns {object} trip FeatureCollection
+ * @throws {Error} when the XML is malformed or holds no usable placemarks
+ */
+export function parseTripKML(text, fallbackName = "Imported Trip") {
+  const root = parseXML(text, "kml", "KML");
+  const documentEl = getChildren(root, "Document")[0] || getChildren(root, "Folder")[0] || root;
+
+  const features = [];
+  const featureDates = new Map();
+  for (const placemark of root.getElementsByTagName("Placemark")) {
+    const data = readExtendedData(placemark);
+    const styleId = childText(placemark, "styleUrl").replace(/^.*#/, "");
+    const fields = { name: childText(placemark, "name"), notes: childText(placemark, "description") };
+    const folderDate = findFolderDate(placemark);
+
+    for (const geom of flattenGeometry(placemark)) {
+      let feature = null;
+      if (geom.localName === "Point") {
+        const coord = parseCoordinates(childText(geom, "coordinates"))[0];
+        if (!coord) continue;
+        const kind = data.type === "waypoint" ? data.subtype : (data.type || styleId.replace(/^waypoint-/, ""));
+        feature = makePointFeature(coord, (kind || "").toLowerCase(), {
+          ...fields,
+          date: data.date || folderDate || "",
+          hint: `${styleId} ${fields.name}`,
+        });
+      } else if (geom.localName === "LineString") {
+        const type = LINE_TYPES.has(data.type) ? data.type : LINE_TYPES.has(styleId) ? styleId : "route";
+        feature = makeLineFeature(parseCoordinates(childText(geom, "coordinates")), type, fields);
+      } else if (geom.localName === "Track") {
+        const coords = getChildren(geom, "coord").map(c => c.textContent.trim().split(/\s+/).map(Number));
+        feature = makeLineFeature(coords.filter(c => Number.isFinite(c[0]) && Number.isFinite(c[1])), "gps_track", fields);
+      }
+      if (!feature) continue;
+      features.push(feature);
+      if (folderDate) featureDates.set(feature.properties._id, folderDate);
+    }
+  }
+
+  return createImportedTrip({
+    name: childText(documentEl, "name") || fallbackName,
+    readme: childText(documentEl, "description"),
+    features,
+    featureDates,
+  });
+}
+
+/** Point / LineString / Track geometries of a placemark, unpacking MultiGeometry. */
+function flattenGeometry(el) {
+  const out = [];
+  for (const child of el.children) {
+    if (child.localName === "MultiGeometry") out.push(...flattenGeometry(child));
+    else if (["Point", "LineString", "Track"].includes(child.localName)) out.push(child);
+  }
+  return out;
+}
+
+/** <Data name="…"><value>…</value></Data> pairs of an element's ExtendedData. */
+function readExtendedData(el) {
+  const data = {};
+  const ext = getChildren(el, "ExtendedData")[0];
+  if (!ext) return data;
+  for (const d of getChildren(ext, "Data")) {
+    const name = d.getAttribute("name");
+    if (name) data[name] = childText(d, "value");
+  }
+  return data;
+}
+
+/** Date of the nearest enclosing day folder, or "". */
+function findFolderDate(el) {
+  for (let node = el.parentNode; node && node.localName !== "kml"; node = node.parentNode) {
+    if (node.localName !== "Folder") continue;
+    const date = readExtendedData(node).date;
+    if (ISO_DATE_RE.test(date || "")) return date;
+  }
+  return "";
+}
+
+/** "lng,lat[,alt] lng,lat[,alt] …" → positions, skipping malformed tuples. */
+function parseCoordinates(text) {
+  return text.split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(",").map(Number))
+    .filter(c => c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]));
+}
+
+// ---------------------------------------------------------------------------
+// KMZ — a zip holding doc.kml (plus any images, ignored)
+// ---------------------------------------------------------------------------
+
+/**
+ * Extract the main KML document from a KMZ archive: doc.kml if present,
+ * else the first .kml entry. Inflates with the browser's DecompressionStream.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>} KML text
+ * @throws {Error} when the archive is unreadable or holds no .kml
+ */
+export async function readKMZ(buffer) {
+  const view = new DataView(buffer);
+  const entries = readZipDirectory(view);
+  const entry = entries.find(e => e.name.toLowerCase() === "doc.kml") ||
+    entries.find(e => /\.kml$/i.test(e.name));
+  if (!entry) throw new Error("KMZ archive has no .kml document");
+
+  // Local header: fixed 30 bytes, then name + extra field before the data
+  if (view.getUint32(entry.localOffset, true) !== 0x04034b50) throw new Error("Invalid KMZ: bad local header");
+  const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) +
+    view.getUint16(entry.localOffset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  let bytes;
+  if (entry.method === 0) {
+    bytes = data;
+  } else if (entry.method === 8) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else {
+    throw new Error(`Unsupported KMZ compression method ${entry.method}`);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/** Entries of a zip's central directory: { name, method, compressedSize, localOffset }. */
+function readZipDirectory(view) {
+  // End of central directory record: last 22+ bytes (a trailing comment may follow)
+  let eocd = -1;
+  for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Invalid KMZ: not a zip archive");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Invalid KMZ: bad central directory");
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    entries.push({
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true),
+      name: decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength)),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
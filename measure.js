@@ -0,0 +1,285 @@
+/**
+ * OutHere Measure — ruler for distances on the map
+ *
+ * A map control toggles measure mode: each click adds a point, snapped to
+ * trails like route vertices are (Shift-click places it exactly where
+ * clicked). The readout shows the straight-line distance through the
+ * points, the distance following trails between them (routed the way route
+ * edges are, see trailPathBetween in planning.js), the bearing of the last
+ * leg and the elevation change from the first point to the last.
+ *
+ * Measurements are scratch work: they live in this module and the
+ * "measure" map source only, and nothing is ever written to the trip.
+ * Starting a planning tool ends measure mode (and vice versa).
+ *
+ * CDN global: turf (bearings).
+ */
+
+import { map } from "./app.js"; // circular; only used at runtime
+import { snapToTrail, trailPathBetween, cancelDrawing } from "./planning.js"; // circular; only used at runtime
+import { haversineMeters } from "./trail-graph.js";
+import { computeElevationProfile } from "./elevation.js";
+import { lineLengthMeters, M_PER_MI } from "./geometry.js";
+
+const MIN_POINT_SPACING_M = 1; // a double-click lands twice on the same spot
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Exported as a live read-only binding for app.js / planning.js
+export let isMeasuring = false;
+
+let points = [];      // snap results: { coordinates, snapped, trailFeature, indexOnLine }
+let legs = [];        // per pair of points: { straight: number[][], path: number[][]|null, pending: boolean }
+let cursor = null;    // snap result under the mouse, for the rubber band
+let elevation = null; // { startFt, endFt, gainFt, lossFt } | "pending" | "unavailable" | null
+let elevationRequest = 0; // bumped per request, so a late answer can tell it's stale
+let moveFrame = 0;
+let lastMoveEvent = null;
+
+// ---------------------------------------------------------------------------
+// Mode
+// ---------------------------------------------------------------------------
+
+export function startMeasuring() {
+  if (isMeasuring) return;
+  cancelDrawing(); // exclusive with every planning tool
+  isMeasuring = true;
+  clearMeasurement();
+  map.doubleClickZoom.disable();
+  map.boxZoom.disable(); // Shift-click places an unsnapped point
+  map.getCanvas().style.cursor = "crosshair";
+  map.on("mousemove", handleMouseMove);
+  document.addEventListener("keydown", handleKeyDown);
+  document.getElementById("measureBtn")?.classList.add("active");
+  document.getElementById("measurePanel")?.classList.add("visible");
+  render();
+}
+
+export function stopMeasuring() {
+  if (!isMeasuring) return;
+  isMeasuring = false;
+  clearMeasurement();
+  map.doubleClickZoom.enable();
+  map.boxZoom.enable();
+  map.getCanvas().style.cursor = "";
+  map.off("mousemove", handleMouseMove);
+  if (moveFrame) cancelAnimationFrame(moveFrame);
+  moveFrame = 0;
+  document.removeEventListener("keydown", handleKeyDown);
+  document.getElementById("measureBtn")?.classList.remove("active");
+  document.getElementById("measurePanel")?.classList.remove("visible");
+  render();
+}
+
+function clearMeasurement() {
+  points = [];
+  legs = [];
+  cursor = null;
+  elevation = null;
+  elevationRequest++;
+}
+
+/** Wire up the map control button and the readout's buttons. Called once from app.js. */
+export function initMeasureTool() {
+  document.getElementById("measureBtn")?.addEventListener("click", () => {
+    if (isMeasuring) stopMeasuring();
+    else startMeasuring();
+  });
+  document.getElementById("measureUndoBtn")?.addEventListener("click", removeLastPoint);
+  document.getElementById("measureClearBtn")?.addEventListener("click", () => {
+    clearMeasurement();
+    render();
+  });
+  document.getElementById("measureDoneBtn")?.addEventListener("click", stopMeasuring);
+}
+
+// ---------------------------------------------------------------------------
+// Input
+// ---------------------------------------------------------------------------
+
+export function handleMapClickForMeasure(e) {
+  if (!isMeasuring) return;
+  const coord = [e.lngLat.lng, e.lngLat.lat];
+  const result = e.originalEvent.shiftKey
+    ? { coordinates: coord, snapped: false, trailFeature: null, indexOnLine: null }
+    : snapToTrail(coord);
+  const last = points[points.length - 1];
+  if (last && haversineMeters(last.coordinates, result.coordinates) < MIN_POINT_SPACING_M) return;
+
+  points.push(result);
+  if (last) {
+    const leg = { straight: [last.coordinates, result.coordinates], path: null, pending: true };
+    legs.push(leg);
+    trailPathBetween(last, result)
+      .then((segment) => {
+        leg.path = segment.isTrailSnapped ? segment.coords : null;
+      })
+      .catch((err) => console.warn("[measure] trail routing failed:", err.message))
+      .finally(() => {
+        leg.pending = false;
+        if (!isMeasuring || !legs.includes(leg)) return;
+        refreshElevation();
+        render();
+      });
+  }
+  refreshElevation();
+  render();
+}
+
+function handleMouseMove(e) {
+  lastMoveEvent = e;
+  if (moveFrame) return;
+  moveFrame = requestAnimationFrame(() => {
+    moveFrame = 0;
+    if (!isMeasuring || points.length === 0) return;
+    const coord = [lastMoveEvent.lngLat.lng, lastMoveEvent.lngLat.lat];
+    cursor = lastMoveEvent.originalEvent.shiftKey
+      ? { coordinates: coord, snapped: false }
+      : snapToTrail(coord);
+    render();
+  });
+}
+
+function handleKeyDown(e) {
+  if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+  if (e.key === "Escape") {
+    stopMeasuring();
+  } else if (e.key === "Backspace") {
+    e.preventDefault();
+    removeLastPoint();
+  }
+}
+
+function removeLastPoint() {
+  if (points.length === 0) return;
+  points.pop();
+  legs.pop();
+  refreshElevation();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Measurements
+// ---------------------------------------------------------------------------
+
+/** The line walked through the points: trail paths where found, straight elsewhere. */
+function measuredLine() {
+  const line = points.length > 0 ? [points[0].coordinates] : [];
+  for (const leg of legs) line.push(...(leg.path || leg.straight).slice(1));
+  return line;
+}
+
+/** Bearing from a to b as "047° NE". */
+function formatBearing(a, b) {
+  const deg = (turf.bearing(turf.point(a), turf.point(b)) + 360) % 360;
+  const compass = COMPASS_POINTS[Math.round(deg / 45) % COMPASS_POINTS.length];
+  return `${String(Math.round(deg) % 360).padStart(3, "0")}° ${compass}`;
+}
+
+function formatMiles(meters) {
+  return `${(meters / M_PER_MI).toFixed(2)} mi`;
+}
+
+/**
+ * Look up the elevation along the measured line once its trail paths have
+ * settled; the start and end of the profile give the change between the
+ * first and last point.
+ */
+function refreshElevation() {
+  const request = ++elevationRequest;
+  elevation = points.length < 2 ? null : "pending";
+  if (points.length < 2 || legs.some(leg => leg.pending)) return;
+  computeElevationProfile(measuredLine())
+    .then(({ profileFt, gainFt, lossFt }) => {
+      if (request !== elevationRequest) return;
+      elevation = {
+        startFt: profileFt[0],
+        endFt: profileFt[profileFt.length - 1],
+        gainFt: Math.round(gainFt),
+        lossFt: Math.round(lossFt),
+      };
+    })
+    .catch((err) => {
+      if (request !== elevationRequest) return;
+      console.warn("[measure] elevation unavailable:", err.message);
+      elevation = "unavailable";
+    })
+    .finally(() => {
+      if (request === elevationRequest && isMeasuring) render();
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function render() {
+  renderMapFeatures();
+  renderReadout();
+}
+
+function renderMapFeatures() {
+  const source = map.getSource("measure");
+  if (!source) return;
+  const features = [];
+  const line = (coords, kind) => features.push({
+    type: "Feature",
+    geometry: { type: "LineString", coordinates: coords },
+    properties: { kind },
+  });
+  for (const leg of legs) {
+    line(leg.straight, "straight");
+    if (leg.path) line(leg.path, "trail");
+  }
+  if (isMeasuring && cursor && points.length > 0) {
+    line([points[points.length - 1].coordinates, cursor.coordinates], "preview");
+  }
+  for (const p of points) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: p.coordinates },
+      properties: { snapped: !!p.snapped },
+    });
+  }
+  source.setData({ type: "FeatureCollection", features });
+}
+
+function renderReadout() {
+  const el = document.getElementById("measureReadout");
+  if (!el) return;
+  if (points.length < 2) {
+    el.innerHTML = `<div class="measure-hint">${points.length === 0
+      ? "Click the map to start measuring."
+      : "Click again to measure to that point."}<br>Points snap to trails; Shift-click to place exactly.</div>`;
+    return;
+  }
+
+  const straightMeters = legs.reduce((sum, leg) => sum + lineLengthMeters(leg.straight), 0);
+  const pending = legs.some(leg => leg.pending);
+  const onTrail = legs.filter(leg => leg.path);
+  let trail = "—";
+  if (pending) trail = "…";
+  else if (onTrail.length > 0) {
+    const meters = legs.reduce((sum, leg) => sum + lineLengthMeters(leg.path || leg.straight), 0);
+    trail = onTrail.length < legs.length ? `${formatMiles(meters)} (partly straight)` : formatMiles(meters);
+  }
+
+  const lastLeg = legs[legs.length - 1].straight;
+  let elev = "";
+  if (elevation === "pending") elev = "…";
+  else if (elevation === "unavailable") elev = "unavailable";
+  else if (elevation) {
+    const delta = elevation.endFt - elevation.startFt;
+    elev = `${delta >= 0 ? "+" : "−"}${Math.abs(delta).toLocaleString()} ft` +
+      ` <span class="measure-sub">(↑${elevation.gainFt.toLocaleString()} ↓${elevation.lossFt.toLocaleString()} ft)</span>`;
+  }
+
+  const rows = [
+    ["Straight", formatMiles(straightMeters)],
+    ["On trails", trail],
+    [legs.length > 1 ? "Bearing (last leg)" : "Bearing", formatBearing(lastLeg[0], lastLeg[1])],
+    ["Elevation", elev],
+  ];
+  el.innerHTML = rows.map(([label, value]) =>
+    `<div class="measure-row"><span class="measure-label">${label}</span><span class="measure-value">${value}</span></div>`
+  ).join("");
+}
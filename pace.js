@@ -0,0 +1,86 @@
+/**
+ * OutHere Pace — moving-time estimates for routes and dayhike spurs
+ *
+ * Two models, picked in the pace settings (defaults in config.js):
+ *   naismith — distance at the flat speed, plus 1 h per climbFtPerHour
+ *              of ascent (elevation_gain_ft)
+ *   tobler   — Tobler's hiking function applied step by step along the
+ *              elevation profile, scaled so that flat ground matches the
+ *              user's flat speed
+ *
+ * Estimates land in `estimatedDuration` (whole minutes), which the trip
+ * panel already sums per day.
+ *
+ * CDN global: turf (spur lengths).
+ */
+
+import { FT_PER_M } from "./geometry.js";
+
+const TOBLER_FLAT_KMH = 6 * Math.exp(-3.5 * 0.05); // ≈ 5.04 km/h on level ground
+const MI_TO_KM = 1.609344;
+
+/**
+ * Moving time in minutes for a one-way line.
+ * @param {number} distanceMi - horizontal length of the line
+ * @param {number[]|null} profileFt - elevations evenly spaced along the line
+ * @param {number} gainFt - total ascent (Naismith)
+ * @param {{ model: string, flatMph: number, climbFtPerHour: number }} pace
+ */
+export function estimateMovingMinutes(distanceMi, profileFt, gainFt, pace) {
+  if (!(distanceMi > 0) || !(pace.flatMph > 0)) return 0;
+
+  if (pace.model === "tobler" && Array.isArray(profileFt) && profileFt.length >= 2) {
+    const stepKm = (distanceMi * MI_TO_KM) / (profileFt.length - 1);
+    const scale = (pace.flatMph * MI_TO_KM) / TOBLER_FLAT_KMH;
+    let hours = 0;
+    for (let i = 1; i < profileFt.length; i++) {
+      const slope = ((profileFt[i] - profileFt[i - 1]) / FT_PER_M) / (stepKm * 1000);
+      const kmh = 6 * Math.exp(-3.5 * Math.abs(slope + 0.05)) * scale;
+      hours += stepKm / kmh;
+    }
+    return Math.round(hours * 60);
+  }
+
+  let hours = distanceMi / pace.flatMph;
+  if (pace.climbFtPerHour > 0) hours += (gainFt || 0) / pace.climbFtPerHour;
+  return Math.round(hours * 60);
+}
+
+/**
+ * Moving time for an out-and-back spur: the line walked out, then back with
+ * the profile reversed (so climbs become descents and vice versa).
+ */
+export function estimateOutAndBackMinutes(distanceMi, profileFt, gainFt, lossFt, pace) {
+  const back = Array.isArray(profileFt) ? [...profileFt].reverse() : null;
+  return estimateMovingMinutes(distanceMi, profileFt, gainFt, pace) +
+    estimateMovingMinutes(distanceMi, back, lossFt, pace);
+}
+
+/**
+ * Refresh estimatedDuration on every route and dayhike spur of a trip.
+ * Route time covers the main line; each spur carries its own round-trip
+ * time (out and back, or once round a loop spur), so a day's total counts
+ * the spurs assigned to it.
+ * @param {object} trip - trip FeatureCollection (mutated in place)
+ * @param {object} pace - pace settings
+ */
+export function applyTimeEstimates(trip, pace) {
+  for (const f of trip?.features || []) {
+    const p = f.properties;
+    if (p.type === "route") {
+      const minutes = estimateMovingMinutes(p.main_route_distance_mi, p.elevation_profile, p.elevation_gain_ft, pace);
+      if (minutes > 0) p.estimatedDuration = minutes;
+      else delete p.estimatedDuration;
+    } else if (p.type === "dayhike_spur" && f.geometry?.type === "LineString") {
+      const distanceMi = typeof turf !== "undefined" && f.geometry.coordinates.length >= 2
+        ? turf.length(f, { units: "miles" })
+        : 0;
+      // A loop spur's line already includes the way back
+      const minutes = p.shape === "loop"
+        ? estimateMovingMinutes(distanceMi, p.elevation_profile, p.elevation_gain_ft, pace)
+        : estimateOutAndBackMinutes(distanceMi, p.elevation_profile, p.elevation_gain_ft, p.elevation_loss_ft, pace);
+      if (minutes > 0) p.estimatedDuration = minutes;
+      else delete p.estimatedDuration;
+    }
+  }
+}
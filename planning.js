@@ -2,38 +2,136 @@
  * OutHere Trip Planning — Drawing Tools
  *
  * Unified route drawing with switchable point types (route/camp/dayhike/rest).
- * Uses a custom click-based system with trail snapping via turf.js
- * nearestPointOnLine. A live preview marker follows the cursor and snaps
- * to trails in real time.
+ * Uses a custom click-based system with trail snapping against a grid index
+ * of the loaded tiles (snap-index.js). A live preview marker follows the
+ * cursor, at most once per animation frame, and snaps to trails in real time.
  *
- * Hotkeys 1-4 switch point type during drawing.
+ * Hotkeys 1-4 switch point type during drawing; Backspace / Ctrl+Z undo the
+ * last vertex and Ctrl+Shift+Z redoes it.
+ *
+ * Snap radius, target layers (trails / roads / waterways) and trail filters
+ * come from the user's "snap" preferences (getSnapSettings). Only trails feed
+ * the network graph; a road or waterway is followed between two vertices
+ * snapped to the same feature.
+ *
+ * Segments between snapped vertices are routed over a trail network graph
+ * (trail-graph.js) built from the loaded `trails` tiles, so routes follow
+ * trails across any number of junctions. The graph lives in the geometry
+ * worker (GeometryWorker, geometry-client.js): a click places its vertex at
+ * once with a straight provisional edge, which is swapped for the routed
+ * line when the worker answers. Finishing waits for edges still in flight.
+ *
+ * Finished routes can be reshaped with startRouteEdit(): each vertex becomes
+ * a draggable handle and only the segments touching a moved vertex are
+ * re-routed.
+ *
+ * Standalone waypoints (water / hazard / resupply / scenic) are placed with
+ * startWaypointPlacement(), optionally snapped to a trail or a POI.
+ *
+ * Trip points can be dragged to a new spot whenever no tool is active
+ * (initPointDragging); points on a route drag its vertex along.
+ *
+ * A whole trail (stitched across tile fragments, see traceTrail) or a
+ * two-click section of one can be appended to the route from the trail
+ * popup: appendTrailToRoute() / startTrailSectionPick().
+ *
+ * On touch screens, on-screen Undo / Snap / Finish controls stand in for the
+ * keyboard and double-click, and a tap-and-hold offers camp / dayhike / rest.
+ *
+ * The measure tool (measure.js) snaps and follows trails through
+ * snapToTrail() / trailPathBetween(); starting any tool here ends it.
  *
  * CDN global: turf (via turf.min.js classic script).
  */
 
 import { map } from "./app.js"; // circular with app.js; only used at runtime
 import { TripManager, updateDrawingPreview, alignPlanningToolbar } from "./trip-panel.js";
+import { trailInfo, haversineMeters, MERGE_GAP_TOLERANCE_METERS } from "./trail-graph.js";
+import { GeometryWorker } from "./geometry-client.js";
+import { lineLengthMeters, FT_PER_M } from "./geometry.js";
+import { requestRouteElevation } from "./elevation-queue.js";
+import { findRouteChildren, spurWalkedMiles } from "./route-legs.js";
+import { Preferences } from "./preferences.js";
+import { buildSnapIndex, findNearestLine } from "./snap-index.js";
+import { runsFromRoutedTrails, runOnTrail, runOffTrail, runsBetweenTrails, reverseEdgeTrails, mergeRuns } from "./route-trails.js";
+import { isMeasuring, stopMeasuring } from "./measure.js"; // circular; only used at runtime
 
 // Set to true to re-enable verbose [snap] diagnostics in the console.
 const SNAP_DEBUG = false;
 
+const FLASH_HINT_MS = 3000; // how long a passing notice stays in the drawing hint
+
 // Route drawing state (exported as live read-only bindings for app.js / trip-panel.js)
 export let isDrawingRoute = false;
 export let isDeleteMode = false;
+export let isEditingRoute = false;
+export let isPlacingWaypoint = false;
+export let isPickingTrailSection = false;
+export let isDraggingPoint = false;
 let routeCoords = [];
 let routeSnapped = [];      // parallel array: true if vertex was snapped
 let routeVertexTypes = [];   // parallel array: "route" | "camp" | "dayhike" | "rest"
-let routeTrailRefs = [];     // parallel array: { trailCoords, trailId, trailName, indexOnLine } or null
-let routeSegments = [];      // per-edge: { coords, isTrailSnapped }
-let routeDayhikeSegments = []; // dayhike spurs: { fromVertexIndex, coords, distance }
+let routeTrailRefs = [];     // parallel array: { trailCoords, trailId, trailName, difficulty, indexOnLine } or null
+let routeSegments = [];      // per-edge: { coords, isTrailSnapped, trails } (trails: runs, see route-trails.js)
+let routeDayhikeSegments = []; // dayhike spurs: { fromVertexIndex, vertexIndex, coords, distance }
+let routeRedoStack = [];     // vertices popped by undo: { coord, snapped, type, trailRef, segment, spur }
 let currentPointType = "route";
-
-const SNAP_PIXEL_RADIUS = 30; // pixel radius for trail query + snap threshold
+let dayhikeShape = "out_and_back"; // shape of new dayhike spurs: "out_and_back" | "loop"
+let routeShape = null;       // set when finishing as "loop" / "out_and_back"
+let drawingSession = 0;      // bumped per drawing, so late worker answers can tell theirs ended
+let finishingRoute = false;  // finish is waiting on the worker; input is ignored
+const pendingRouting = new Set(); // settle promises of provisional edges
+
+// Touch drawing state — phones and tablets have no Shift, keys or hover
+const HOLD_MS = 500;         // tap-and-hold opens the special point menu
+const HOLD_MOVE_TOLERANCE_PX = 10;
+const TOUCH_INPUT_WINDOW_MS = 1000;
+let snapBypass = false;      // "Snap off" toggle: the on-screen Shift
+let lastTouchAt = 0;         // browsers follow a tap with emulated mouse events
+let holdTimer = null;
+let holdStart = null;        // { point, lngLat } of the pending hold
+let holdMenu = null;         // maplibregl.Popup with the point types
+let suppressClickUntil = 0;  // swallow the click a finished hold may emit
+
+// Style layers a vertex may snap to (Preferences "snap".layers picks among
+// them) and the `outhere` source layers their lines come from
+const SNAP_SOURCE_LAYERS = { trails: "trails", roads: "roads", waterways: "water" };
+const SNAP_LAYERS = Object.keys(SNAP_SOURCE_LAYERS);
+const SNAP_RADIUS_RANGE_PX = [5, 100];
+
+// Route edit state — dragging the vertices of a finished route
+let editRouteId = null;      // _id of the route being reshaped
+let editDragIndex = null;    // vertex index under the cursor while dragging
+let editDragResult = null;   // latest snap result for the dragged vertex
+
+// Point drag state — moving a camp / dayhike / rest point or waypoint
+const POINT_DRAG_LAYERS = ["trip-camps", "trip-dayhikes", "trip-rest", "trip-waypoints"];
+const POINT_DRAG_THRESHOLD_PX = 3; // below this a press is a click (popup)
+let pointDrag = null;        // { featureId, startPoint, result }
+
+// Trail section pick state — the traced trail and the first picked point
+let sectionTrail = null;     // { coords, trailId, trailName }
+let sectionStart = null;     // { coord, index } on sectionTrail.coords
+
+// Waypoint placement state
+let currentWaypointSubtype = "water";
+let waypointSnapMode = "trails"; // "trails" | "pois" | "off"
+const WAYPOINT_SNAP_MODES = ["trails", "pois", "off"];
+const WAYPOINT_SNAP_LABELS = { trails: "Trails", pois: "POIs", off: "Off" };
 
 // Bound handler references so we can add/remove listeners
 let _routeMouseMoveHandler = null;
 let _routeKeyHandler = null;
 
+// The worker's trail network and the per-layer snap indexes are rebuilt
+// lazily from the loaded tiles after new `outhere` tiles arrive (see
+// initTrailNetwork). The snap indexes wait for tiles to stop arriving, so
+// panning doesn't rebuild them on every mouse move.
+const SNAP_INDEX_SETTLE_MS = 300;
+let trailsStale = true;      // worker hasn't seen the latest trail tiles
+const snapIndexes = new Map(); // snap layer id → buildSnapIndex() result
+let snapIndexTimer = 0;      // pending drop of the snap indexes
+
 // ---------------------------------------------------------------------------
 // Route drawing — custom click-based with trail snapping
 // ---------------------------------------------------------------------------
@@ -41,13 +139,19 @@ let _routeKeyHandler = null;
 export function startRouteDrawing() {
   if (isDrawingRoute) return;       // already drawing — ignore repeat clicks
   if (isDeleteMode) exitDeleteMode(); // drawing and delete mode are exclusive
+  if (isEditingRoute) stopRouteEdit();
+  if (isPlacingWaypoint) stopWaypointPlacement();
+  if (isPickingTrailSection) stopTrailSectionPick();
+  if (isMeasuring) stopMeasuring();
   isDrawingRoute = true;
+  drawingSession++;
   routeCoords = [];
   routeSnapped = [];
   routeVertexTypes = [];
   routeTrailRefs = [];
   routeSegments = [];
   routeDayhikeSegments = [];
+  routeRedoStack = [];
   currentPointType = "route";
   setActiveToolBtn("addRouteBtn");
   document.getElementById("planningToolbar")?.classList.add("active");
@@ -63,66 +167,93 @@ export function startRouteDrawing() {
   updateRouteDrawing();
   updateSnapPreview(null);
 
-  // Wire up mousemove for live snap preview
-  _routeMouseMoveHandler = handleMouseMoveForRoute;
+  // Wire up mousemove for live snap preview (one snap per frame at most)
+  _routeMouseMoveHandler = throttleToFrame(handleMouseMoveForRoute);
   map.on("mousemove", _routeMouseMoveHandler);
 
   // Wire up keyboard hotkeys for point type switching
   _routeKeyHandler = handleRouteKeyDown;
   document.addEventListener("keydown", _routeKeyHandler);
+
+  // Touch: tap-and-hold for special points, on-screen finish / undo / snap
+  map.on("touchstart", handleRouteTouchStart);
+  map.on("touchmove", handleRouteTouchMove);
+  map.on("touchend", handleRouteTouchEnd);
+  map.on("touchcancel", handleRouteTouchEnd);
+  document.getElementById("touchDrawControls")?.classList.add("visible");
 }
 
 export function handleMapClickForRoute(e) {
-  if (!isDrawingRoute) return;
+  if (!isDrawingRoute || finishingRoute || Date.now() < suppressClickUntil || holdMenu) return;
 
   const coord = [e.lngLat.lng, e.lngLat.lat];
-  const result = e.originalEvent.shiftKey
+  const bypass = e.originalEvent.shiftKey || snapBypass;
+  const result = bypass
     ? { coordinates: coord, snapped: false, trailFeature: null, indexOnLine: null }
     : snapToTrail(coord);
 
-  if (e.originalEvent.shiftKey) {
+  if (bypass) {
     SNAP_DEBUG && console.log("[snap] shift-bypass: straight line");
   }
 
+  addRouteVertex(result);
+  // No hover on touch screens — show where the tap landed instead
+  if (isTouchInput()) updateSnapPreview(result);
+}
+
+/**
+ * Append a vertex and route the edge leading to it. The edge starts out as
+ * a straight provisional line and is filled in when routing settles.
+ * @param {object} result - snap result for the vertex
+ * @param {{ type?: string, segment?: { coords, isTrailSnapped } }} [options] -
+ *   type defaults to the selected point type; a main-route segment passed in
+ *   is used as-is instead of being routed (e.g. a whole traced trail)
+ */
+function addRouteVertex(result, { type = currentPointType, segment: givenSegment = null } = {}) {
+  // A new vertex forks the history — anything undone is gone for good
+  routeRedoStack = [];
+
   routeCoords.push(result.coordinates);
   routeSnapped.push(result.snapped);
-  routeVertexTypes.push(currentPointType);
-  routeTrailRefs.push(result.snapped ? {
-    trailCoords: result.trailFeature.geometry.coordinates,
-    trailId: result.trailFeature.id ?? result.trailFeature.properties?.osm_id ?? null,
-    trailName: result.trailFeature.properties?.name ?? null,
-    indexOnLine: result.indexOnLine,
-  } : null);
+  routeVertexTypes.push(type);
+  routeTrailRefs.push(makeTrailRef(result));
 
   // Compute segment from previous vertex
   if (routeCoords.length >= 2) {
     const currIdx = routeCoords.length - 1;
     const prevIdx = currIdx - 1;
 
-    if (currentPointType === "dayhike") {
+    if (type === "dayhike") {
       // Dayhike spur: branch from last main-route vertex
       const lastMainIdx = findLastMainRouteVertexIndex(prevIdx);
-      const segment = getTrailSegmentBetween(
-        routeTrailRefs[lastMainIdx], routeTrailRefs[currIdx],
-        routeCoords[lastMainIdx], routeCoords[currIdx]
-      );
-      const dist = segment.coords.length >= 2
-        ? turf.length(turf.lineString(segment.coords), { units: "miles" })
-        : 0;
-      routeDayhikeSegments.push({
+      const coords = [routeCoords[lastMainIdx], routeCoords[currIdx]];
+      const spur = {
         fromVertexIndex: lastMainIdx,
-        coords: segment.coords,
-        distance: dist,
-      });
+        vertexIndex: currIdx,
+        coords,
+        distance: turf.length(turf.lineString(coords), { units: "miles" }),
+        shape: dayhikeShape,
+      };
+      routeDayhikeSegments.push(spur);
+      settleRouting(spur, routeDayhikeSpur(
+        routeTrailRefs[lastMainIdx], routeTrailRefs[currIdx],
+        routeCoords[lastMainIdx], routeCoords[currIdx], dayhikeShape
+      ).then(spurCoords => ({
+        coords: spurCoords,
+        distance: spurCoords.length >= 2 ? turf.length(turf.lineString(spurCoords), { units: "miles" }) : 0,
+      })));
     } else {
       // Main route vertex: connect from last main-route vertex (skip dayhikes)
       const lastMainIdx = findLastMainRouteVertexIndex(prevIdx);
       const fromIdx = (routeVertexTypes[prevIdx] === "dayhike") ? lastMainIdx : prevIdx;
-      const segment = getTrailSegmentBetween(
-        routeTrailRefs[fromIdx], routeTrailRefs[currIdx],
-        routeCoords[fromIdx], routeCoords[currIdx]
-      );
+      const segment = givenSegment || { coords: [routeCoords[fromIdx], routeCoords[currIdx]], isTrailSnapped: false };
       routeSegments.push(segment);
+      if (!givenSegment) {
+        settleRouting(segment, getTrailSegmentBetween(
+          routeTrailRefs[fromIdx], routeTrailRefs[currIdx],
+          routeCoords[fromIdx], routeCoords[currIdx]
+        ));
+      }
       SNAP_DEBUG && console.log("[snap] segment added:", JSON.stringify({
         segmentIndex: routeSegments.length - 1,
         fromIdx,
@@ -177,6 +308,31 @@ export function handleMapClickForRoute(e) {
   }));
 }
 
+/**
+ * Fill a provisional edge (main segment or spur) in place once its routing
+ * resolves; undo / redo keep the same object, so it lands wherever the edge
+ * is by then. A failure leaves the straight line.
+ */
+function settleRouting(edge, routing) {
+  const session = drawingSession;
+  const settled = routing
+    .then((routed) => {
+      Object.assign(edge, routed);
+      if (isDrawingRoute && session === drawingSession) {
+        updateRouteDrawing();
+        notifyDrawingProgress();
+      }
+    })
+    .catch((err) => console.warn("[snap] routing failed, keeping straight line:", err.message))
+    .finally(() => pendingRouting.delete(settled));
+  pendingRouting.add(settled);
+}
+
+/** Resolves once no provisional edge is waiting on the worker. */
+async function whenRoutingSettled() {
+  while (pendingRouting.size > 0) await Promise.all(pendingRouting);
+}
+
 export function handleMapDblClickForRoute(e) {
   if (!isDrawingRoute) return;
   e.preventDefault();
@@ -184,10 +340,10 @@ export function handleMapDblClickForRoute(e) {
 }
 
 function handleMouseMoveForRoute(e) {
-  if (!isDrawingRoute) return;
+  if (!isDrawingRoute || isPickingTrailSection || isTouchInput()) return;
 
   const coord = [e.lngLat.lng, e.lngLat.lat];
-  const result = e.originalEvent.shiftKey
+  const result = e.originalEvent.shiftKey || snapBypass
     ? { coordinates: coord, snapped: false }
     : snapToTrail(coord);
   updateSnapPreview(result);
@@ -196,87 +352,207 @@ function handleMouseMoveForRoute(e) {
   updateRouteDrawing(result.coordinates);
 }
 
-function finishRouteDrawing() {
-  if (routeCoords.length < 2) {
-    // Not enough points — cancel instead
-    resetRouteDrawing();
-    cancelDrawing();
-    return;
-  }
+// ---------------------------------------------------------------------------
+// Vertex undo / redo (drawing session only)
+// ---------------------------------------------------------------------------
 
-  // 1. Create the route LineString with trail-following display coords
-  const mainDisplayCoords = buildMainRouteDisplayCoords();
-  // Ensure we have at least 2 coords for a valid LineString
-  const geometry = {
-    type: "LineString",
-    coordinates: mainDisplayCoords.length >= 2 ? mainDisplayCoords : [...routeCoords],
-  };
-  const properties = {
-    type: "route",
-    name: "",
-    planned: true,
-    notes: "",
-    vertex_types: [...routeVertexTypes],
-    vertex_snapped: [...routeSnapped],
-    vertex_coords: [...routeCoords],
-    main_route_distance_mi: computeMainRouteDistance(),
-    dayhike_distance_mi: computeDayhikeDistance(),
+/**
+ * Pop the last placed vertex. Every vertex after the first added exactly one
+ * edge when it was placed — a dayhike spur for dayhike vertices, a main
+ * segment otherwise — so popping that edge keeps the parallel arrays aligned.
+ */
+function undoRouteVertex() {
+  if (!isDrawingRoute || routeCoords.length === 0) return;
+  const idx = routeCoords.length - 1;
+  const entry = {
+    coord: routeCoords.pop(),
+    snapped: routeSnapped.pop(),
+    type: routeVertexTypes.pop(),
+    trailRef: routeTrailRefs.pop(),
+    segment: null,
+    spur: null,
   };
-  const routeIdx = TripManager.addFeature(geometry, properties);
-
-  // 1b. Fetch elevation profile async (patches the feature when resolved)
-  const addedFeature = TripManager.currentTrip?.features[routeIdx];
-  if (addedFeature && mainDisplayCoords.length >= 2) {
-    fetchElevationProfile(mainDisplayCoords, addedFeature.properties._id);
+  if (idx >= 1) {
+    if (entry.type === "dayhike") entry.spur = routeDayhikeSegments.pop();
+    else entry.segment = routeSegments.pop();
   }
+  routeRedoStack.push(entry);
+  SNAP_DEBUG && console.log("[snap] undo vertex", idx, entry.type);
 
-  // 2. Create dayhike spur LineString features
-  for (const spur of routeDayhikeSegments) {
-    if (spur.coords.length >= 2) {
-      TripManager.addFeature(
-        { type: "LineString", coordinates: spur.coords },
-        { type: "dayhike_spur", route_index: routeIdx, name: "" }
-      );
-    }
-  }
+  updateRouteDrawing();
+  notifyDrawingProgress();
+}
 
-  // 3. Create Point features for special points (camp/dayhike/rest)
-  const tripDates = getTripDateRange();
-  let dateIndex = 0;
+/** Re-apply the most recently undone vertex with its original edge. */
+function redoRouteVertex() {
+  if (!isDrawingRoute || routeRedoStack.length === 0) return;
+  const entry = routeRedoStack.pop();
+  routeCoords.push(entry.coord);
+  routeSnapped.push(entry.snapped);
+  routeVertexTypes.push(entry.type);
+  routeTrailRefs.push(entry.trailRef);
+  if (entry.spur) routeDayhikeSegments.push(entry.spur);
+  if (entry.segment) routeSegments.push(entry.segment);
+  SNAP_DEBUG && console.log("[snap] redo vertex", routeCoords.length - 1, entry.type);
 
-  for (let i = 0; i < routeCoords.length; i++) {
-    const vtype = routeVertexTypes[i];
-    if (vtype === "route") continue;
+  updateRouteDrawing();
+  notifyDrawingProgress();
+}
 
-    const pointGeom = { type: "Point", coordinates: routeCoords[i] };
-    const pointDate = tripDates[dateIndex] || "";
+async function finishRouteDrawing() {
+  if (finishingRoute) return;
+  if (routeCoords.length < 2) {
+    // Not enough points — cancel instead
+    resetRouteDrawing();
+    cancelDrawing();
+    return;
+  }
 
-    const pointProps = {
-      type: vtype,
-      point_type: vtype,
-      route_index: routeIdx,
-      route_vertex_index: i,
-      date: pointDate,
+  // Edges still being routed in the worker land before the route is saved
+  const session = drawingSession;
+  finishingRoute = true;
+  await whenRoutingSettled();
+  if (!isDrawingRoute || session !== drawingSession) return; // cancelled meanwhile
+
+  // One undo step removes the route together with its spurs and points
+  TripManager.batch("Draw route", () => {
+    // 1. Create the route LineString with trail-following display coords
+    const mainDisplayCoords = buildMainRouteDisplayCoords();
+    // Ensure we have at least 2 coords for a valid LineString
+    const geometry = {
+      type: "LineString",
+      coordinates: mainDisplayCoords.length >= 2 ? mainDisplayCoords : [...routeCoords],
+    };
+    const properties = {
+      type: "route",
       name: "",
+      planned: true,
       notes: "",
+      vertex_types: [...routeVertexTypes],
+      vertex_snapped: [...routeSnapped],
+      vertex_coords: [...routeCoords],
+      edge_trails: routeSegments.map(segmentTrails),
+      main_route_distance_mi: computeMainRouteDistance(),
+      dayhike_distance_mi: computeDayhikeDistance(),
     };
+    if (routeShape) properties.shape = routeShape;
+    const routeIdx = TripManager.addFeature(geometry, properties);
 
-    if (vtype === "camp") {
-      pointProps.water_nearby = false;
-      pointProps.water_notes = "";
-      dateIndex++; // camp advances to next day
-    } else if (vtype === "rest") {
-      dateIndex++; // rest day consumes a day
+    // 1b. Fetch elevation profile async (patches the feature when resolved)
+    const addedFeature = TripManager.currentTrip?.features[routeIdx];
+    if (addedFeature && mainDisplayCoords.length >= 2) {
+      requestRouteElevation(addedFeature.properties._id);
+    }
+    // route_index goes stale once earlier features are deleted; route_id is
+    // the stable link that route editing follows.
+    const routeId = addedFeature?.properties._id;
+
+    // 2. Create dayhike spur LineString features
+    for (const spur of routeDayhikeSegments) {
+      if (spur.coords.length >= 2) {
+        const spurIdx = TripManager.addFeature(
+          { type: "LineString", coordinates: spur.coords },
+          {
+            type: "dayhike_spur",
+            route_index: routeIdx,
+            route_id: routeId,
+            route_vertex_index: spur.vertexIndex,
+            name: "",
+            ...(spur.shape === "loop" ? { shape: "loop" } : {}),
+          }
+        );
+        // Spurs get their own profile so their out-and-back time accounts for climbing
+        requestRouteElevation(TripManager.currentTrip.features[spurIdx].properties._id);
+      }
     }
-    // dayhike does NOT advance the date (same-day activity)
 
-    TripManager.addFeature(pointGeom, pointProps);
-  }
+    // 3. Create Point features for special points (camp/dayhike/rest)
+    const tripDates = getTripDateRange();
+    let dateIndex = 0;
+
+    for (let i = 0; i < routeCoords.length; i++) {
+      const vtype = routeVertexTypes[i];
+      if (vtype === "route") continue;
+
+      const pointGeom = { type: "Point", coordinates: routeCoords[i] };
+      const pointDate = tripDates[dateIndex] || "";
+
+      const pointProps = {
+        type: vtype,
+        point_type: vtype,
+        route_index: routeIdx,
+        route_id: routeId,
+        route_vertex_index: i,
+        date: pointDate,
+        name: "",
+        notes: "",
+      };
+
+      if (vtype === "camp") {
+        pointProps.water_nearby = false;
+        pointProps.water_notes = "";
+        dateIndex++; // camp advances to next day
+      } else if (vtype === "rest") {
+        dateIndex++; // rest day consumes a day
+      }
+      // dayhike does NOT advance the date (same-day activity)
+
+      TripManager.addFeature(pointGeom, pointProps);
+    }
+  });
 
   resetRouteDrawing();
   cancelDrawing();
 }
 
+/**
+ * Finish the route back at its start: a "loop" returns by trails that avoid
+ * the way out where the network allows, an "out_and_back" retraces the line
+ * walked. The return is one last segment, ending on a copy of vertex 0.
+ * @param {"loop"|"out_and_back"} shape
+ */
+export async function finishRouteWithShape(shape) {
+  if (!isDrawingRoute || finishingRoute) return;
+  const mains = mainRouteVertexIndices(routeVertexTypes);
+  if (mains.length < 2) {
+    flashDrawingHint("Place at least two route points before closing the route");
+    return;
+  }
+
+  // The way back depends on the final outbound line
+  const session = drawingSession;
+  finishingRoute = true;
+  let segment;
+  try {
+    await whenRoutingSettled();
+    const outbound = buildMainRouteDisplayCoords();
+    const last = mains[mains.length - 1];
+    segment = shape === "loop"
+      ? await getLoopReturnSegment(routeTrailRefs[last], routeTrailRefs[0], routeCoords[last], routeCoords[0], outbound)
+      : {
+        coords: [...outbound].reverse(),
+        isTrailSnapped: routeSegments.every(seg => seg.isTrailSnapped),
+        trails: mergeRuns(reverseEdgeTrails(routeSegments.map(segmentTrails)).flat()),
+      };
+  } finally {
+    // A drawing started meanwhile has its own finishing state
+    if (session === drawingSession) finishingRoute = false;
+  }
+  if (!isDrawingRoute || session !== drawingSession) return; // cancelled meanwhile
+
+  addRouteVertex({ coordinates: routeCoords[0], snapped: false }, { type: "route", segment });
+  // The closing vertex is the start again
+  routeSnapped[routeSnapped.length - 1] = routeSnapped[0];
+  routeTrailRefs[routeTrailRefs.length - 1] = routeTrailRefs[0];
+  routeShape = shape;
+  finishRouteDrawing();
+}
+
+/** Trail runs of a drawn edge; one whose routing failed stays off trail. */
+function segmentTrails(segment) {
+  return segment.trails || runOffTrail(segment.coords);
+}
+
 function resetRouteDrawing() {
   isDrawingRoute = false;
   routeCoords = [];
@@ -285,7 +561,10 @@ function resetRouteDrawing() {
   routeTrailRefs = [];
   routeSegments = [];
   routeDayhikeSegments = [];
+  routeRedoStack = [];
   currentPointType = "route";
+  routeShape = null;
+  finishingRoute = false;
   map.doubleClickZoom.enable();
   map.boxZoom.enable();
   map.getCanvas().style.cursor = "";
@@ -300,6 +579,7 @@ function resetRouteDrawing() {
   // Remove mousemove handler
   if (_routeMouseMoveHandler) {
     map.off("mousemove", _routeMouseMoveHandler);
+    _routeMouseMoveHandler.cancel();
     _routeMouseMoveHandler = null;
   }
 
@@ -308,6 +588,17 @@ function resetRouteDrawing() {
     document.removeEventListener("keydown", _routeKeyHandler);
     _routeKeyHandler = null;
   }
+
+  // Remove touch handlers
+  map.off("touchstart", handleRouteTouchStart);
+  map.off("touchmove", handleRouteTouchMove);
+  map.off("touchend", handleRouteTouchEnd);
+  map.off("touchcancel", handleRouteTouchEnd);
+  cancelHold();
+  closeHoldMenu();
+  suppressClickUntil = 0;
+  setSnapBypass(false);
+  document.getElementById("touchDrawControls")?.classList.remove("visible");
 }
 
 /**
@@ -393,84 +684,154 @@ function updateSnapPreview(result) {
     features: [{
       type: "Feature",
       geometry: { type: "Point", coordinates: result.coordinates },
-      properties: { snapped: result.snapped },
+      // Drawn larger under a finger (see the snap-preview-marker layer)
+      properties: { snapped: result.snapped, touch: isTouchInput() },
     }],
   });
 }
 
 // ---------------------------------------------------------------------------
-// Trail snapping via turf.js (pixel-based threshold)
+// Trail snapping (pixel-based threshold, via the snap index)
 // ---------------------------------------------------------------------------
 
 /**
- * Snap a coordinate to the nearest trail if within SNAP_PIXEL_RADIUS pixels.
- * @param {[number, number]} coord - [lng, lat]
- * @returns {{ coordinates: [number, number], snapped: boolean }}
+ * The user's snap preferences, sanitized: radius clamped to
+ * SNAP_RADIUS_RANGE_PX and layers limited to SNAP_LAYERS.
+ * @returns {{ radiusPx: number, layers: string[], ignoreHardTrails: boolean, namedTrailsOnly: boolean }}
  */
-function snapToTrail(coord) {
-  if (typeof turf === "undefined") {
-    return { coordinates: coord, snapped: false, trailFeature: null, indexOnLine: null };
-  }
-
-  // Project to pixels and create a bounding box for querying
-  const pixel = map.project(coord);
-  const bbox = [
-    [pixel.x - SNAP_PIXEL_RADIUS, pixel.y - SNAP_PIXEL_RADIUS],
-    [pixel.x + SNAP_PIXEL_RADIUS, pixel.y + SNAP_PIXEL_RADIUS],
-  ];
+export function getSnapSettings() {
+  const snap = Preferences.get("snap");
+  const [min, max] = SNAP_RADIUS_RANGE_PX;
+  const radius = Number(snap.radiusPx);
+  return {
+    radiusPx: Number.isFinite(radius) ? Math.min(Math.max(radius, min), max) : 30,
+    layers: SNAP_LAYERS.filter(id => Array.isArray(snap.layers) && snap.layers.includes(id)),
+    ignoreHardTrails: !!snap.ignoreHardTrails,
+    namedTrailsOnly: !!snap.namedTrailsOnly,
+  };
+}
 
-  const trails = map.queryRenderedFeatures(bbox, { layers: ["trails"] });
-  if (trails.length === 0) {
-    return { coordinates: coord, snapped: false, trailFeature: null, indexOnLine: null };
+/** Short description of the snap settings for hints, e.g. "trails, roads · 30 px · no hard trails". */
+export function describeSnapSettings(settings = getSnapSettings()) {
+  if (settings.layers.length === 0) return "off";
+  const parts = [settings.layers.join(", "), `${settings.radiusPx} px`];
+  if (settings.layers.includes("trails")) {
+    if (settings.ignoreHardTrails) parts.push("no hard trails");
+    if (settings.namedTrailsOnly) parts.push("named trails only");
   }
+  return parts.join(" · ");
+}
 
-  const clickPoint = turf.point(coord);
-  let bestPoint = null;
-  let bestPixelDist = Infinity;
-  let bestTrail = null;
-
-  for (const trail of trails) {
-    if (trail.geometry.type !== "LineString") continue;
-    if (trail.geometry.coordinates.length < 2) continue;
-
-    const line = turf.lineString(trail.geometry.coordinates);
-    const nearest = turf.nearestPointOnLine(line, clickPoint, { units: "meters" });
-
-    // Convert the snapped point back to pixels and measure screen distance
-    const snappedPixel = map.project(nearest.geometry.coordinates);
-    const dx = snappedPixel.x - pixel.x;
-    const dy = snappedPixel.y - pixel.y;
-    const pixelDist = Math.sqrt(dx * dx + dy * dy);
+/** Whether a rendered line passes the trail filters (other layers always do). */
+function passesSnapFilters(feature, settings) {
+  if (feature.layer?.id !== "trails") return true;
+  if (settings.ignoreHardTrails && feature.properties?.difficulty === "hard") return false;
+  if (settings.namedTrailsOnly && !feature.properties?.name) return false;
+  return true;
+}
 
-    if (pixelDist < bestPixelDist) {
-      bestPixelDist = pixelDist;
-      bestPoint = nearest;
-      bestTrail = trail;
-    }
+/**
+ * Snap a coordinate to the nearest line on the snap layers, if within the
+ * snap radius (pixels).
+ * @param {[number, number]} coord - [lng, lat]
+ * @returns {{ coordinates: [number, number], snapped: boolean }}
+ */
+export function snapToTrail(coord) {
+  const unsnapped = { coordinates: coord, snapped: false, trailFeature: null, indexOnLine: null };
+  const settings = getSnapSettings();
+  const layers = settings.layers.filter(isLayerShown);
+  if (layers.length === 0) return unsnapped;
+
+  // The radius is in screen pixels; the index measures meters
+  const maxMeters = settings.radiusPx * metersPerPixel(coord[1]);
+  let best = null;
+  for (const layer of layers) {
+    const hit = findNearestLine(getSnapIndex(layer), coord, maxMeters, (f) => passesSnapFilters(f, settings));
+    if (hit && (!best || hit.distance < best.distance)) best = hit;
   }
 
-  if (bestPoint && bestPixelDist <= SNAP_PIXEL_RADIUS) {
+  if (best) {
+    const trail = best.feature;
     SNAP_DEBUG && console.log("[snap] snapped to trail:", JSON.stringify({
       originalClick: coord,
-      snappedTo: bestPoint.geometry.coordinates,
-      pixelDist: Math.round(bestPixelDist * 10) / 10,
-      indexOnLine: bestPoint.properties.index,
-      trailName: bestTrail.properties?.name || null,
-      trailId: bestTrail.id ?? bestTrail.properties?.osm_id ?? null,
-      trailCoordsLength: bestTrail.geometry.coordinates.length,
-      trailFirstCoord: bestTrail.geometry.coordinates[0],
-      trailLastCoord: bestTrail.geometry.coordinates[bestTrail.geometry.coordinates.length - 1],
+      snappedTo: best.point,
+      meters: Math.round(best.distance * 10) / 10,
+      indexOnLine: best.segmentIndex,
+      layer: trail.layer.id,
+      trailName: trail.properties?.name || null,
+      trailId: trail.id ?? trail.properties?.osm_id ?? null,
+      trailCoordsLength: trail.geometry.coordinates.length,
     }));
     return {
-      coordinates: bestPoint.geometry.coordinates,
+      coordinates: best.point,
       snapped: true,
-      trailFeature: bestTrail,
-      indexOnLine: bestPoint.properties.index,
+      trailFeature: trail,
+      indexOnLine: best.segmentIndex,
     };
   }
 
   SNAP_DEBUG && console.log("[snap] no trail in range, unsnapped:", coord);
-  return { coordinates: coord, snapped: false, trailFeature: null, indexOnLine: null };
+  return unsnapped;
+}
+
+/**
+ * Wrap a mousemove handler so it runs at most once per animation frame, with
+ * the latest event; mice fire several moves per frame and each one snaps.
+ * The wrapper's cancel() drops a pending run.
+ */
+function throttleToFrame(handler) {
+  let frame = null;
+  let latest = null;
+  const throttled = (e) => {
+    latest = e;
+    if (frame === null) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        handler(latest);
+      });
+    }
+  };
+  throttled.cancel = () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+  };
+  return throttled;
+}
+
+/** Ground meters per screen pixel at a latitude, at the current zoom (512 px tiles). */
+function metersPerPixel(lat) {
+  return (40075016.686 * Math.cos(lat * Math.PI / 180)) / (512 * 2 ** map.getZoom());
+}
+
+/** Whether a style layer exists and is switched on in the layer panel. */
+function isLayerShown(id) {
+  return !!map.getLayer(id) && map.getLayoutProperty(id, "visibility") !== "none";
+}
+
+/**
+ * Snap index for one snap layer, built from every loaded tile on first use
+ * and dropped once newly arrived tiles settle (see initTrailNetwork).
+ */
+function getSnapIndex(layer) {
+  if (!snapIndexes.has(layer)) {
+    const features = map.querySourceFeatures("outhere", { sourceLayer: SNAP_SOURCE_LAYERS[layer] });
+    snapIndexes.set(layer, buildSnapIndex(features, layer));
+    SNAP_DEBUG && console.log("[snap] index built:", layer, snapIndexes.get(layer).lines.length, "lines");
+  }
+  return snapIndexes.get(layer);
+}
+
+/**
+ * Build the per-vertex trail ref stored alongside a snapped vertex
+ * (null for unsnapped results).
+ */
+function makeTrailRef(result) {
+  if (!result.snapped) return null;
+  return {
+    trailCoords: result.trailFeature.geometry.coordinates,
+    ...trailInfo(result.trailFeature),
+    indexOnLine: result.indexOnLine,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -588,17 +949,23 @@ function extractTrailSlice(trailCoords, startCoord, startIdx, endCoord, endIdx)
 
 /**
  * Get the trail segment between two vertices.
- * Uses index-based extraction when both points are on the same trail geometry
- * to avoid turf.lineSlice re-projection issues on curvy/switchback trails.
+ * Routes over the trail network graph (in the worker) first; if the graph
+ * can't connect the points (tiles not in the source cache yet), uses
+ * index-based extraction when both points are on the same trail geometry to
+ * avoid turf.lineSlice re-projection issues on curvy/switchback trails.
  * Falls back to a straight line otherwise.
+ * @returns {Promise<{ coords: number[][], isTrailSnapped: boolean }>}
  */
-function getTrailSegmentBetween(prevRef, currRef, prevCoord, currCoord) {
+async function getTrailSegmentBetween(prevRef, currRef, prevCoord, currCoord) {
   // Either endpoint unsnapped → straight line
   if (!prevRef || !currRef) {
     SNAP_DEBUG && console.log("[snap] unsnapped-endpoint fallback");
-    return { coords: [prevCoord, currCoord], isTrailSnapped: false };
+    return straightSegment(prevCoord, currCoord);
   }
 
+  const routed = await routeOnTrailNetwork(prevCoord, currCoord);
+  if (routed) return { coords: routed.coords, isTrailSnapped: true, trails: runsFromRoutedTrails(routed.trails) };
+
   const match = trailsMatch(prevRef, currRef);
 
   if (match === "same") {
@@ -613,12 +980,12 @@ function getTrailSegmentBetween(prevRef, currRef, prevCoord, currCoord) {
       if (slicedCoords.length >= 2) {
         const trailName = prevRef.trailName || "unnamed";
         SNAP_DEBUG && console.log("[snap] same-trail index-slice:", trailName, slicedCoords.length, "coords, idx", prevRef.indexOnLine, "→", currRef.indexOnLine);
-        return { coords: slicedCoords, isTrailSnapped: true };
+        return { coords: slicedCoords, isTrailSnapped: true, trails: runOnTrail(prevRef, slicedCoords) };
       }
     } catch (err) {
       console.warn("[snap] index-slice error, falling back to straight line:", err.message);
     }
-    return { coords: [prevCoord, currCoord], isTrailSnapped: false };
+    return straightSegment(prevCoord, currCoord);
   }
 
   // For "related" and corridor-connect paths, we use prevCoord/currCoord
@@ -646,7 +1013,7 @@ function getTrailSegmentBetween(prevRef, currRef, prevCoord, currCoord) {
           // Replace re-projected endpoints with canonical vertex coords
           sc[0] = prevCoord;
           sc[sc.length - 1] = currCoord;
-          result = { coords: sc, isTrailSnapped: true };
+          result = { coords: sc, isTrailSnapped: true, trails: runOnTrail(prevRef, sc) };
         }
       } else {
         SNAP_DEBUG && console.log("[snap] tile-boundary merge failed, straight line fallback");
@@ -665,18 +1032,28 @@ function getTrailSegmentBetween(prevRef, currRef, prevCoord, currCoord) {
     const name1 = prevRef.trailName || "unnamed";
     const name2 = currRef.trailName || "unnamed";
     SNAP_DEBUG && console.log("[snap] different-trails fallback:", name1, name2);
-    return { coords: [prevCoord, currCoord], isTrailSnapped: false };
+    return straightSegment(prevCoord, currCoord);
   }
 
-  return { coords: result.coords, isTrailSnapped: result.isTrailSnapped };
+  return {
+    coords: result.coords,
+    isTrailSnapped: result.isTrailSnapped,
+    trails: result.trails || (result.isTrailSnapped
+      ? runsBetweenTrails(prevRef, currRef, result.coords)
+      : runOffTrail(result.coords)),
+  };
+}
+
+/** A straight edge between two vertices, off any trail. */
+function straightSegment(fromCoord, toCoord) {
+  const coords = [fromCoord, toCoord];
+  return { coords, isTrailSnapped: false, trails: runOffTrail(coords) };
 }
 
 /**
  * Merge two trail feature fragments that are part of the same logical trail
  * (split across tile boundaries). Returns a turf lineString or null.
  */
-const MERGE_GAP_TOLERANCE_METERS = 20; // max gap between trail fragment endpoints for merge
-
 function mergeTrailFragments(featA, featB) {
   const coordsA = featA.geometry.coordinates;
   const coordsB = featB.geometry.coordinates;
@@ -718,18 +1095,20 @@ function mergeTrailFragments(featA, featB) {
 }
 
 /**
- * Try to connect two points on different trails by querying
- * the corridor between them for shared trail geometry.
+ * Try to connect two points on different trail refs by querying the
+ * corridor between them for a single trail passing near both. Paths over
+ * several trails are the trail network's job (routeOnTrailNetwork).
  * Returns { coords, isTrailSnapped } or null.
  */
 function tryConnectTrails(prevRef, currRef, prevCoord, currCoord) {
   // Query all trails in the bounding box between the two points
+  const radius = getSnapSettings().radiusPx;
   const p1 = map.project(prevCoord);
   const p2 = map.project(currCoord);
-  const minX = Math.min(p1.x, p2.x) - SNAP_PIXEL_RADIUS;
-  const minY = Math.min(p1.y, p2.y) - SNAP_PIXEL_RADIUS;
-  const maxX = Math.max(p1.x, p2.x) + SNAP_PIXEL_RADIUS;
-  const maxY = Math.max(p1.y, p2.y) + SNAP_PIXEL_RADIUS;
+  const minX = Math.min(p1.x, p2.x) - radius;
+  const minY = Math.min(p1.y, p2.y) - radius;
+  const maxX = Math.max(p1.x, p2.x) + radius;
+  const maxY = Math.max(p1.y, p2.y) + radius;
 
   const corridorTrails = map.queryRenderedFeatures(
     [[minX, minY], [maxX, maxY]],
@@ -771,10 +1150,10 @@ function tryConnectTrails(prevRef, currRef, prevCoord, currCoord) {
     const distPrev = Math.sqrt((prevPixel.x - p1.x) ** 2 + (prevPixel.y - p1.y) ** 2);
     const distCurr = Math.sqrt((currPixel.x - p2.x) ** 2 + (currPixel.y - p2.y) ** 2);
 
-    // Both endpoints must be close to this trail. Uses 2x SNAP_PIXEL_RADIUS because
+    // Both endpoints must be close to this trail. Uses 2x the snap radius because
     // corridor-connect joins vertices on different trails — the connecting geometry
     // won't be pixel-perfect at either end, so we need a wider acceptance window.
-    if (distPrev <= SNAP_PIXEL_RADIUS * 2 && distCurr <= SNAP_PIXEL_RADIUS * 2) {
+    if (distPrev <= radius * 2 && distCurr <= radius * 2) {
       try {
         // Use index-based extraction with canonical vertex coords as endpoints
         // (indices from nearestPointOnLine for the slice range, but prevCoord/currCoord
@@ -793,87 +1172,110 @@ function tryConnectTrails(prevRef, currRef, prevCoord, currCoord) {
     }
   }
 
-  // --- Two-hop junction search ---
-  // No single trail spans both vertices. Look for two trails that share a junction
-  // (a coordinate pair within MERGE_GAP_TOLERANCE_METERS of each other).
-  // Collect candidate trails near each endpoint separately.
-  const prevCandidates = []; // trails near prevCoord
-  const currCandidates = []; // trails near currCoord
+  return null;
+}
 
-  for (const trail of corridorTrails) {
-    if (trail.geometry.type !== "LineString" || trail.geometry.coordinates.length < 2) continue;
+/**
+ * Trail-following line between two snap results (from snapToTrail), routed
+ * like a route edge between two vertices; a straight line when either is
+ * unsnapped or no trail connects them.
+ * @returns {Promise<{ coords: number[][], isTrailSnapped: boolean }>}
+ */
+export function trailPathBetween(from, to) {
+  return getTrailSegmentBetween(makeTrailRef(from), makeTrailRef(to), from.coordinates, to.coordinates);
+}
 
-    const line = turf.lineString(trail.geometry.coordinates);
-    const nearPrev = turf.nearestPointOnLine(line, prevPt, { units: "meters" });
-    const nearCurr = turf.nearestPointOnLine(line, currPt, { units: "meters" });
+// ---------------------------------------------------------------------------
+// Trail network routing — shortest path over the loaded trail tiles
+// ---------------------------------------------------------------------------
 
-    const prevPixel = map.project(nearPrev.geometry.coordinates);
-    const currPixel = map.project(nearCurr.geometry.coordinates);
+/**
+ * Mark the worker's trail network stale whenever a tile loads, and drop the
+ * snap indexes once tiles settle, so the next route or snap query sees the
+ * newly loaded geometry.
+ * Called once from app.js on map load; the listener survives style swaps
+ * because it is registered on the map itself.
+ */
+export function initTrailNetwork() {
+  map.on("sourcedata", (e) => {
+    if (e.sourceId !== "outhere" || !e.tile) return;
+    trailsStale = true;
+    // Keep snapping against the current indexes until the tiles settle
+    clearTimeout(snapIndexTimer);
+    snapIndexTimer = setTimeout(() => snapIndexes.clear(), SNAP_INDEX_SETTLE_MS);
+  });
+}
 
-    const dPrev = Math.sqrt((prevPixel.x - p1.x) ** 2 + (prevPixel.y - p1.y) ** 2);
-    const dCurr = Math.sqrt((currPixel.x - p2.x) ** 2 + (currPixel.y - p2.y) ** 2);
+/**
+ * Hand the loaded trail features to the geometry worker if tiles arrived
+ * since it last saw them; it rebuilds its graph on the next query. Features
+ * are copied to plain objects, which (unlike query results) survive being
+ * posted.
+ */
+function syncTrailNetwork() {
+  if (!trailsStale) return;
+  trailsStale = false;
+  const features = map.querySourceFeatures("outhere", { sourceLayer: "trails" })
+    .map(f => ({ id: f.id, properties: f.properties, geometry: f.geometry }));
+  GeometryWorker.setTrails(features);
+  SNAP_DEBUG && console.log("[snap] trail network sent to worker:", features.length, "features");
+}
 
-    if (dPrev <= SNAP_PIXEL_RADIUS * 2) {
-      prevCandidates.push({ trail, nearPoint: nearPrev });
-    }
-    if (dCurr <= SNAP_PIXEL_RADIUS * 2) {
-      currCandidates.push({ trail, nearPoint: nearCurr });
+/**
+ * Shortest trail path between two snapped coordinates over the trails the
+ * snap settings allow, or null when either point is off the loaded network
+ * or no connection exists.
+ * @returns {Promise<object|null>} see findRoute in trail-graph.js
+ */
+async function routeOnTrailNetwork(fromCoord, toCoord, options = {}) {
+  try {
+    syncTrailNetwork();
+    // Keep to the trails a vertex could snap to
+    const { ignoreHardTrails, namedTrailsOnly } = getSnapSettings();
+    const route = await GeometryWorker.findRoute(fromCoord, toCoord, { ...options, ignoreHardTrails, namedTrailsOnly });
+    if (route && route.coords.length >= 2) {
+      SNAP_DEBUG && console.log("[snap] graph route:", route.trails.map(t => t.trailName || "unnamed").join(" → "),
+        Math.round(route.distanceMeters), "m");
+      return route;
     }
+  } catch (err) {
+    console.warn("[snap] graph routing error, falling back:", err.message);
   }
+  return null;
+}
 
-  for (const pc of prevCandidates) {
-    for (const cc of currCandidates) {
-      // Skip if same trail geometry (already tried in single-trail pass)
-      if (pc.trail === cc.trail) continue;
-
-      // Find a junction: any coordinate on trail A within tolerance of any coordinate on trail B
-      const coordsA = pc.trail.geometry.coordinates;
-      const coordsB = cc.trail.geometry.coordinates;
-
-      for (let ai = 0; ai < coordsA.length; ai++) {
-        for (let bi = 0; bi < coordsB.length; bi++) {
-          const gapM = turf.distance(turf.point(coordsA[ai]), turf.point(coordsB[bi]), { units: "meters" });
-          if (gapM > MERGE_GAP_TOLERANCE_METERS) continue;
-
-          // Found a junction — stitch: prevCoord→junction on trail A, junction→currCoord on trail B
-          try {
-            const junctionCoord = coordsA[ai]; // use trail A's coordinate as the junction point
-            const legA = extractTrailSlice(
-              coordsA,
-              prevCoord, pc.nearPoint.properties.index,
-              junctionCoord, ai
-            );
-            const legB = extractTrailSlice(
-              coordsB,
-              junctionCoord, bi,
-              currCoord, cc.nearPoint.properties.index
-            );
-
-            if (legA.length >= 2 && legB.length >= 2) {
-              // Concatenate, deduplicating the shared junction coordinate
-              const stitched = [...legA, ...legB.slice(1)];
-              const nameA = pc.trail.properties?.name || "unnamed";
-              const nameB = cc.trail.properties?.name || "unnamed";
-              SNAP_DEBUG && console.log("[snap] two-hop connect via:", nameA, "→", nameB,
-                "at junction", JSON.stringify(junctionCoord),
-                stitched.length, "coords");
-              return { coords: stitched, isTrailSnapped: true };
-            }
-          } catch (_) { /* continue searching */ }
-        }
-      }
-    }
+/**
+ * The way back on a loop: a trail path that avoids the line walked out where
+ * the network allows, else the plain segment (which may retrace it).
+ */
+async function getLoopReturnSegment(fromRef, toRef, fromCoord, toCoord, outboundCoords) {
+  if (fromRef && toRef) {
+    const routed = await routeOnTrailNetwork(fromCoord, toCoord, { avoid: [outboundCoords] });
+    if (routed) return { coords: routed.coords, isTrailSnapped: true, trails: runsFromRoutedTrails(routed.trails) };
   }
+  return getTrailSegmentBetween(fromRef, toRef, fromCoord, toCoord);
+}
 
-  return null;
+/**
+ * Line of a dayhike spur from its origin vertex: out to the dayhike point,
+ * and for loops back to the origin by another way.
+ * @param {"out_and_back"|"loop"} shape
+ */
+async function routeDayhikeSpur(fromRef, toRef, fromCoord, toCoord, shape) {
+  const out = (await getTrailSegmentBetween(fromRef, toRef, fromCoord, toCoord)).coords;
+  if (shape !== "loop" || out.length < 2) return out;
+  const back = (await getLoopReturnSegment(toRef, fromRef, toCoord, fromCoord, out)).coords;
+  return joinSegmentCoords([{ coords: out }, { coords: back }]);
 }
 
 /**
  * Find the index of the last main-route vertex (non-dayhike) at or before upToIndex.
+ * Defaults to the in-progress drawing; route editing passes a finished
+ * route's vertex_types.
  */
-function findLastMainRouteVertexIndex(upToIndex) {
+function findLastMainRouteVertexIndex(upToIndex, types = routeVertexTypes) {
   for (let i = upToIndex; i >= 0; i--) {
-    if (routeVertexTypes[i] !== "dayhike") return i;
+    if (types[i] !== "dayhike") return i;
   }
   return 0;
 }
@@ -888,10 +1290,18 @@ function buildMainRouteDisplayCoords() {
     const mainVertices = routeCoords.filter((_, i) => routeVertexTypes[i] !== "dayhike");
     return mainVertices.length > 0 ? [mainVertices[0]] : [];
   }
+  return joinSegmentCoords(routeSegments);
+}
 
-  const coords = [...routeSegments[0].coords];
-  for (let i = 1; i < routeSegments.length; i++) {
-    const segCoords = routeSegments[i].coords;
+/**
+ * Concatenate an ordered list of segments ({ coords }) into one coordinate
+ * array, deduplicating shared endpoints. Shared by drawing and route editing.
+ */
+function joinSegmentCoords(segments) {
+  if (segments.length === 0) return [];
+  const coords = [...segments[0].coords];
+  for (let i = 1; i < segments.length; i++) {
+    const segCoords = segments[i].coords;
     // Skip first coord if it's a duplicate of the previous segment's last coord.
     // Use a small tolerance (1e-10 degrees) rather than exact equality to guard
     // against floating point drift between segment endpoints.
@@ -905,7 +1315,7 @@ function buildMainRouteDisplayCoords() {
         // Not a duplicate — include the first coord
         startJ = 0;
         if (dLng < 1e-6 && dLat < 1e-6) {
-          console.warn("[snap] buildMainRouteDisplayCoords: near-duplicate detected between segment", i - 1, "end and segment", i, "start, drift:", dLng.toExponential(2), dLat.toExponential(2));
+          console.warn("[snap] joinSegmentCoords: near-duplicate detected between segment", i - 1, "end and segment", i, "start, drift:", dLng.toExponential(2), dLat.toExponential(2));
         }
       }
     }
@@ -934,8 +1344,8 @@ function computeMainRouteDistance() {
 function computeDayhikeDistance() {
   let total = 0;
   for (const spur of routeDayhikeSegments) {
-    // Dayhikes are out-and-back, so double the spur distance
-    total += spur.distance * 2;
+    // A loop spur already comes back; an out-and-back one is walked twice
+    total += spur.shape === "loop" ? spur.distance : spur.distance * 2;
   }
   return total;
 }
@@ -954,204 +1364,1129 @@ function notifyDrawingProgress() {
 }
 
 // ---------------------------------------------------------------------------
-// Cancel / shared UI
+// Route editing — drag the vertices of a finished route
 // ---------------------------------------------------------------------------
 
-export function cancelDrawing() {
-  if (isDrawingRoute) {
-    resetRouteDrawing();
-  }
-  if (isDeleteMode) exitDeleteMode();
-  setActiveToolBtn(null);
-  hideDrawingHint();
-  hideRouteModal();
-  hidePointTypeSelector();
-  document.getElementById("planningToolbar")?.classList.remove("active");
-}
-
-export function startDeleteMode() {
-  if (isDrawingRoute) cancelDrawing();
-  isDeleteMode = true;
-  map.getCanvas().style.cursor = "crosshair";
+/**
+ * Enter edit mode for a finished route: its vertices become draggable
+ * handles, and dropping one re-routes the adjacent segments (and any dayhike
+ * spur hanging off it). Esc or any other tool exits.
+ * @param {string} routeId - the route feature's _id
+ */
+export function startRouteEdit(routeId) {
+  const route = findTripFeatureById(routeId);
+  if (!route || !Array.isArray(route.properties.vertex_coords)) return;
+
+  cancelDrawing(); // exclusive with drawing, delete mode, and other edits
+  if (isMeasuring) stopMeasuring();
+  isEditingRoute = true;
+  editRouteId = routeId;
   document.getElementById("planningToolbar")?.classList.add("active");
   alignPlanningToolbar();
-  setActiveToolBtn("deleteWaypointBtn");
-}
+  showDrawingHint(`Drag a point to reshape the route · Snap: ${describeSnapSettings()} · Shift skips snapping · Esc when done`);
+  updateRouteEditHandles();
 
-export function exitDeleteMode() {
-  isDeleteMode = false;
-  map.getCanvas().style.cursor = "";
-  document.getElementById("planningToolbar")?.classList.remove("active");
-  setActiveToolBtn(null);
+  map.on("mousedown", "route-edit-handles", handleEditHandleMouseDown);
+  map.on("mouseenter", "route-edit-handles", handleEditHandleEnter);
+  map.on("mouseleave", "route-edit-handles", handleEditHandleLeave);
 }
 
-export function handleDeleteClick(e) {
-  if (!TripManager.currentTrip) return;
-  const tripLayers = ["trip-camps", "trip-dayhikes", "trip-rest", "trip-waypoints"];
-  const features = map.queryRenderedFeatures(e.point, { layers: tripLayers });
-  if (!features.length) return;
-  const clickedId = features[0].properties._id;
-  const idx = TripManager.currentTrip.features.findIndex(
-    f => f.properties._id === clickedId
-  );
-  if (idx !== -1) TripManager.removeFeature(idx);
+/**
+ * Re-sync the edit handles after the trip changed underneath edit mode
+ * (undo / redo); leaves edit mode if the route is gone.
+ */
+export function refreshRouteEdit() {
+  if (!isEditingRoute) return;
+  if (findTripFeatureById(editRouteId)) updateRouteEditHandles();
+  else cancelDrawing();
 }
 
-function setActiveToolBtn(id) {
-  document.querySelectorAll(".tool-btn").forEach((btn) => {
-    btn.classList.toggle("active", btn.id === id);
-  });
+function stopRouteEdit() {
+  map.off("mousedown", "route-edit-handles", handleEditHandleMouseDown);
+  map.off("mouseenter", "route-edit-handles", handleEditHandleEnter);
+  map.off("mouseleave", "route-edit-handles", handleEditHandleLeave);
+  map.off("mousemove", handleEditDragMove);
+  window.removeEventListener("mouseup", handleEditDragEnd);
+  map.dragPan.enable();
+
+  isEditingRoute = false;
+  editRouteId = null;
+  editDragIndex = null;
+  editDragResult = null;
+  map.getCanvas().style.cursor = "";
+  updateRouteEditHandles();
+  updateSnapPreview(null);
 }
 
-function showDrawingHint(text) {
-  const el = document.getElementById("drawingHint");
-  if (el) {
-    el.textContent = text;
-    el.classList.add("visible");
-  }
+function handleEditHandleEnter() {
+  if (editDragIndex === null) map.getCanvas().style.cursor = "grab";
 }
 
-function hideDrawingHint() {
-  const el = document.getElementById("drawingHint");
-  if (el) el.classList.remove("visible");
+function handleEditHandleLeave() {
+  if (editDragIndex === null) map.getCanvas().style.cursor = "";
 }
 
-// ---------------------------------------------------------------------------
-// Route instruction modal
-// ---------------------------------------------------------------------------
-
-function showRouteModal() {
-  const el = document.getElementById("routeInstructions");
-  if (el) el.classList.add("visible");
+function handleEditHandleMouseDown(e) {
+  if (!isEditingRoute || !e.features?.length) return;
+  e.preventDefault(); // keep the map from panning under the drag
+  map.dragPan.disable();
+  editDragIndex = e.features[0].properties.vertex_index;
+  editDragResult = null;
+  map.getCanvas().style.cursor = "grabbing";
+  map.on("mousemove", handleEditDragMove);
+  // On the window, so releasing outside the map still ends the drag
+  window.addEventListener("mouseup", handleEditDragEnd, { once: true });
 }
 
-function hideRouteModal() {
-  const el = document.getElementById("routeInstructions");
-  if (el) el.classList.remove("visible");
+function handleEditDragMove(e) {
+  if (editDragIndex === null) return;
+  const coord = [e.lngLat.lng, e.lngLat.lat];
+  editDragResult = e.originalEvent.shiftKey
+    ? { coordinates: coord, snapped: false }
+    : snapToTrail(coord);
+  updateSnapPreview(editDragResult);
+  updateRouteEditHandles(editDragIndex, editDragResult.coordinates);
 }
 
-// ---------------------------------------------------------------------------
-// Point type selector
-// ---------------------------------------------------------------------------
+function handleEditDragEnd() {
+  map.off("mousemove", handleEditDragMove);
+  map.dragPan.enable();
+  const vertexIndex = editDragIndex;
+  const result = editDragResult;
+  editDragIndex = null;
+  editDragResult = null;
+  map.getCanvas().style.cursor = "";
+  updateSnapPreview(null);
 
-function showPointTypeSelector() {
-  const el = document.getElementById("pointTypeSelector");
-  if (el) el.classList.add("visible");
+  // A click without movement leaves the route untouched; the handles
+  // refresh again with the trip once the move is re-routed
+  if (result && vertexIndex !== null) {
+    moveRouteVertex(editRouteId, vertexIndex, result.coordinates, result.snapped);
+  }
+  updateRouteEditHandles();
 }
 
-function hidePointTypeSelector() {
-  const el = document.getElementById("pointTypeSelector");
-  if (el) el.classList.remove("visible");
-}
+/**
+ * Refresh the route-edit source: one handle per vertex of the route being
+ * edited, plus straight guide lines to the neighbours that will be
+ * re-routed while a vertex is being dragged.
+ * @param {number|null} dragIndex - vertex currently being dragged
+ * @param {[number, number]|null} dragCoord - its live position
+ */
+function updateRouteEditHandles(dragIndex = null, dragCoord = null) {
+  const source = map.getSource("route-edit");
+  if (!source) return;
 
-function setActivePointType(pointType) {
-  currentPointType = pointType;
-  document.querySelectorAll(".point-type-btn").forEach((btn) => {
-    btn.classList.toggle("active", btn.dataset.pointType === pointType);
+  const route = isEditingRoute ? findTripFeatureById(editRouteId) : null;
+  if (!route) {
+    source.setData({ type: "FeatureCollection", features: [] });
+    return;
+  }
+
+  const types = route.properties.vertex_types || [];
+  const coords = route.properties.vertex_coords.map((c, i) => (i === dragIndex ? dragCoord : c));
+  const features = [];
+
+  if (dragIndex !== null) {
+    const guide = [];
+    if (types[dragIndex] === "dayhike" && dragIndex > 0) {
+      guide.push([coords[findLastMainRouteVertexIndex(dragIndex - 1, types)], dragCoord]);
+    } else {
+      const mains = mainRouteVertexIndices(types);
+      const k = mains.indexOf(dragIndex);
+      if (k > 0) guide.push([coords[mains[k - 1]], dragCoord]);
+      if (k !== -1 && k < mains.length - 1) guide.push([dragCoord, coords[mains[k + 1]]]);
+    }
+    for (const line of guide) {
+      features.push({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: line },
+        properties: {},
+      });
+    }
+  }
+
+  coords.forEach((coord, i) => {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: coord },
+      properties: { vertex_index: i, point_type: types[i] || "route" },
+    });
   });
+
+  source.setData({ type: "FeatureCollection", features });
 }
 
-export function initPointTypeSelector() {
-  document.querySelectorAll(".point-type-btn").forEach((btn) => {
-    btn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      setActivePointType(btn.dataset.pointType);
+/**
+ * Move one vertex of a finished route and re-route only what touches it:
+ * the main segments on either side (or the spur, for a dayhike vertex) and
+ * any spur branching from it. Linked camp/dayhike/rest points follow the
+ * vertex, distances are recomputed, and elevation is refetched.
+ * @param {string} routeId - the route feature's _id
+ * @param {number} vertexIndex - index into vertex_coords
+ * @param {[number, number]} coord - new [lng, lat]
+ * @param {boolean} snapped - whether the new position is on a trail
+ * @returns {Promise<boolean|null>} true when the route was updated, false when
+ *   the vertex can't be moved (no such route or vertex), null when the move
+ *   was dropped because the route changed (undo, another edit) while it was
+ *   being re-routed
+ */
+export async function moveRouteVertex(routeId, vertexIndex, coord, snapped) {
+  const trip = TripManager.currentTrip;
+  if (!trip) return false;
+  const routeIdx = trip.features.findIndex(f => f.properties._id === routeId);
+  const route = trip.features[routeIdx];
+  const props = route?.properties;
+  if (!props || !Array.isArray(props.vertex_coords)) return false;
+  if (vertexIndex < 0 || vertexIndex >= props.vertex_coords.length) return false;
+
+  const types = props.vertex_types || props.vertex_coords.map(() => "route");
+  const before = { vertexCoords: props.vertex_coords, geometry: route.geometry };
+  const vertexCoords = props.vertex_coords.map(c => [...c]);
+  const vertexSnapped = props.vertex_coords.map((_, i) => props.vertex_snapped?.[i] || false);
+  const mains = mainRouteVertexIndices(types);
+  const children = findRouteChildren(trip, route);
+
+  // Recover per-edge segments before moving so untouched ones keep their
+  // shape, and their trails when the route has them
+  let segments = splitRouteSegments(route.geometry.coordinates, vertexCoords, mains);
+  if (segments && props.edge_trails?.length === segments.length) {
+    segments.forEach((seg, k) => { seg.trails = props.edge_trails[k]; });
+  }
+
+  // A loop / out-and-back starts and ends on the same spot, so either end
+  // drags the other along; its closing segment is rebuilt from the rest
+  const closed = (props.shape === "loop" || props.shape === "out_and_back") && mains.length >= 3;
+  const lastMain = mains[mains.length - 1];
+  const moved = new Set([vertexIndex]);
+  if (closed && (vertexIndex === mains[0] || vertexIndex === lastMain)) {
+    moved.add(mains[0]);
+    moved.add(lastMain);
+  }
+  for (const i of moved) {
+    vertexCoords[i] = coord;
+    vertexSnapped[i] = snapped;
+  }
+  const refAt = (i) => resnapTrailRef(vertexCoords[i], vertexSnapped[i]);
+  const reroute = (a, b) => getTrailSegmentBetween(refAt(a), refAt(b), vertexCoords[a], vertexCoords[b]);
+
+  // Segments re-route in parallel in the worker; untouched ones pass through
+  const lastSeg = mains.length - 2;
+  if (!segments) {
+    console.warn("[snap] moveRouteVertex: geometry doesn't line up with vertices, re-routing all segments");
+    segments = mains.slice(1).map((b, k) => (closed && k === lastSeg ? null : reroute(mains[k], b)));
+  } else {
+    mains.slice(1).forEach((b, k) => {
+      const a = mains[k];
+      if (closed && k === lastSeg) return;
+      if (moved.has(a) || moved.has(b)) segments[k] = reroute(a, b);
     });
+  }
+  segments = await Promise.all(segments);
+  if (closed) {
+    const outbound = joinSegmentCoords(segments.slice(0, lastSeg));
+    const a = mains[lastSeg];
+    if (props.shape === "out_and_back") {
+      const outboundTrails = segments.slice(0, lastSeg).map(seg => seg.trails);
+      segments[lastSeg] = {
+        coords: [...outbound].reverse(),
+        isTrailSnapped: false,
+        trails: outboundTrails.every(Boolean) ? mergeRuns(reverseEdgeTrails(outboundTrails).flat()) : undefined,
+      };
+    } else if (!segments[lastSeg] || moved.has(a) || moved.has(lastMain)) {
+      segments[lastSeg] = await getLoopReturnSegment(refAt(a), refAt(lastMain), vertexCoords[a], vertexCoords[lastMain], outbound);
+    }
+  }
+
+  // Dayhike spurs: re-route the moved spur and any spur hanging off the moved vertex
+  const spurs = await Promise.all(types.map(async (type, j) => {
+    if (type !== "dayhike" || j === 0) return null;
+    const from = findLastMainRouteVertexIndex(j - 1, types);
+    const feature = children.spurs.get(j);
+    const shape = feature?.properties.shape === "loop" ? "loop" : "out_and_back";
+    const rerouted = moved.has(j) || moved.has(from);
+    const coords = rerouted
+      ? await routeDayhikeSpur(refAt(from), refAt(j), vertexCoords[from], vertexCoords[j], shape)
+      : feature?.geometry.coordinates;
+    return { feature, coords, shape, rerouted, vertexIndex: j };
+  }));
+  let dayhikeDistance = 0;
+  const spurUpdates = [];
+  for (const spur of spurs) {
+    if (!spur) continue;
+    if (spur.rerouted && spur.feature) spurUpdates.push(spur);
+    if (spur.coords?.length >= 2) {
+      dayhikeDistance += spurWalkedMiles({ geometry: { coordinates: spur.coords }, properties: { shape: spur.shape } });
+    }
+  }
+
+  // Anything that touched the route while it was routing wins over this move
+  if (TripManager.currentTrip !== trip || !trip.features.includes(route) ||
+      props.vertex_coords !== before.vertexCoords || route.geometry !== before.geometry) {
+    console.warn("[snap] moveRouteVertex: route changed while re-routing, move dropped");
+    return null;
+  }
+
+  const joined = joinSegmentCoords(segments);
+  const lineCoords = joined.length >= 2 ? joined : [...vertexCoords];
+  const mainDistance = segments.reduce((sum, seg) => sum + (seg.coords.length >= 2
+    ? turf.length(turf.lineString(seg.coords), { units: "miles" })
+    : 0), 0);
+  // Routes without trail runs get them once every edge has been re-routed
+  const edgeTrails = segments.every(seg => seg.trails) ? segments.map(seg => seg.trails) : null;
+
+  // One undo step for the route and everything that followed the vertex
+  const indexOf = (feature) => trip.features.indexOf(feature);
+  TripManager.batch("Reshape route", () => {
+    for (const point of children.points) {
+      if (moved.has(point.properties.route_vertex_index)) {
+        TripManager.updateFeature(indexOf(point), {}, { type: "Point", coordinates: coord });
+      }
+    }
+    for (const { feature, coords, vertexIndex: j } of spurUpdates) {
+      TripManager.updateFeature(indexOf(feature),
+        {
+          route_id: routeId,
+          route_vertex_index: j,
+          elevation_profile: null,
+          elevation_gain_ft: null,
+          elevation_loss_ft: null,
+        },
+        { type: "LineString", coordinates: coords });
+    }
+
+    // Elevation describes the old line — drop it until the refetch lands
+    TripManager.updateFeature(indexOf(route), {
+      vertex_coords: vertexCoords,
+      vertex_snapped: vertexSnapped,
+      edge_trails: edgeTrails,
+      main_route_distance_mi: mainDistance,
+      dayhike_distance_mi: dayhikeDistance,
+      elevation_profile: null,
+      elevation_gain_ft: null,
+      elevation_loss_ft: null,
+    }, { type: "LineString", coordinates: lineCoords });
   });
+
+  if (lineCoords.length >= 2) requestRouteElevation(routeId);
+  for (const { feature } of spurUpdates) requestRouteElevation(feature.properties._id);
+  return true;
+}
+
+function findTripFeatureById(featureId) {
+  return TripManager.currentTrip?.features.find(f => f.properties._id === featureId) || null;
+}
+
+/** Indices of the vertices the main line passes through (all but dayhike spur ends). */
+function mainRouteVertexIndices(types) {
+  const indices = [];
+  types.forEach((type, i) => {
+    // Vertex 0 anchors the first segment even when placed as a dayhike
+    if (type !== "dayhike" || i === 0) indices.push(i);
+  });
+  return indices;
+}
+
+/**
+ * Cut a finished route's LineString back into per-edge segments at its main
+ * vertices. Drawing stitches segments with the vertex coords as endpoints,
+ * so each main vertex appears verbatim, in order. Returns null when the
+ * geometry doesn't line up (e.g. hand-edited or imported routes).
+ */
+function splitRouteSegments(lineCoords, vertexCoords, mains) {
+  if (mains.length < 2 || !Array.isArray(lineCoords) || lineCoords.length < 2) return null;
+  const same = (a, b) => Math.abs(a[0] - b[0]) <= 1e-10 && Math.abs(a[1] - b[1]) <= 1e-10;
+
+  if (!same(lineCoords[0], vertexCoords[mains[0]])) return null;
+  const segments = [];
+  let pos = 0;
+  for (let k = 1; k < mains.length; k++) {
+    const target = vertexCoords[mains[k]];
+    // Two vertices on the same spot produce a zero-length segment (whose
+    // duplicate point may or may not have survived in the stored line)
+    const hasDuplicate = pos + 1 < lineCoords.length && same(lineCoords[pos + 1], target);
+    if (same(lineCoords[pos], target) && !hasDuplicate) {
+      segments.push({ coords: [lineCoords[pos], lineCoords[pos]], isTrailSnapped: false });
+      continue;
+    }
+    let next = pos + 1;
+    while (next < lineCoords.length && !same(lineCoords[next], target)) next++;
+    if (next === lineCoords.length) return null;
+    segments.push({ coords: lineCoords.slice(pos, next + 1), isTrailSnapped: false });
+    pos = next;
+  }
+  return pos === lineCoords.length - 1 ? segments : null;
+}
+
+/**
+ * Rebuild the trail reference for a stored vertex. A snapped vertex whose
+ * trail isn't rendered right now still gets an empty ref, so the graph
+ * router treats it as on-network rather than drawing a straight line.
+ */
+function resnapTrailRef(coord, snapped) {
+  if (!snapped) return null;
+  return makeTrailRef(snapToTrail(coord))
+    || { trailCoords: [], trailId: null, trailName: null, difficulty: null, indexOnLine: null };
 }
 
 // ---------------------------------------------------------------------------
-// Keyboard hotkeys for point type switching (1-4)
+// Point dragging — move camps, dayhikes, rest points and waypoints
 // ---------------------------------------------------------------------------
 
-function handleRouteKeyDown(e) {
-  if (!isDrawingRoute) return;
+/**
+ * Let trip points be dragged to a new position whenever no drawing tool is
+ * active. Points tied to a route vertex move that vertex (moveRouteVertex),
+ * so the route re-routes around them; other points just move. Called once
+ * from app.js on map load; layer listeners survive style swaps.
+ */
+export function initPointDragging() {
+  for (const layerId of POINT_DRAG_LAYERS) {
+    map.on("mousedown", layerId, handlePointMouseDown);
+  }
+}
 
-  // Ignore if user is typing in a form input
+function handlePointMouseDown(e) {
+  if (!TripManager.currentTrip || !e.features?.length || e.originalEvent.button !== 0) return;
+  if (isDrawingRoute || isDeleteMode || isEditingRoute || isPlacingWaypoint || isPickingTrailSection || isMeasuring) return;
+  e.preventDefault(); // keep the map from panning under the drag
+  map.dragPan.disable();
+  pointDrag = { featureId: e.features[0].properties._id, startPoint: e.point, result: null };
+  map.on("mousemove", handlePointDragMove);
+  // On the window, so releasing outside the map still ends the drag
+  window.addEventListener("mouseup", handlePointDragEnd, { once: true });
+}
+
+function handlePointDragMove(e) {
+  if (!pointDrag) return;
+  if (!isDraggingPoint) {
+    if (e.point.dist(pointDrag.startPoint) < POINT_DRAG_THRESHOLD_PX) return;
+    isDraggingPoint = true;
+    map.getCanvas().style.cursor = "grabbing";
+    showDrawingHint(`Drop to move the point · Snap: ${describeSnapSettings()} · Shift skips snapping`);
+  }
+  const feature = findTripFeatureById(pointDrag.featureId);
+  if (!feature) return;
+  const coord = [e.lngLat.lng, e.lngLat.lat];
+  let result;
+  if (e.originalEvent.shiftKey) result = { coordinates: coord, snapped: false };
+  else if (feature.properties.type === "waypoint") result = snapWaypoint(coord);
+  else result = snapToTrail(coord);
+  pointDrag.result = result;
+  updateSnapPreview(result);
+  previewPointPosition(feature, result.coordinates);
+}
+
+function handlePointDragEnd() {
+  map.off("mousemove", handlePointDragMove);
+  map.dragPan.enable();
+  const drag = pointDrag;
+  const moved = isDraggingPoint;
+  pointDrag = null;
+  isDraggingPoint = false;
+  map.getCanvas().style.cursor = "";
+  hideDrawingHint();
+  updateSnapPreview(null);
+
+  // A press without movement is a click — the popup handler takes it, and
+  // nothing was previewed to undo
+  if (!moved) return;
+  if (drag.result) movePointFeature(drag.featureId, drag.result);
+  else TripManager.render(); // drop the live preview position
+}
+
+/** Show a point at its dragged position without touching the trip. */
+function previewPointPosition(feature, coord) {
+  const trip = TripManager.currentTrip;
+  map.getSource("trip")?.setData({
+    ...trip,
+    features: trip.features.map(f => (f === feature
+      ? { ...f, geometry: { type: "Point", coordinates: coord } }
+      : f)),
+  });
+}
+
+/**
+ * Move a trip point. A point linked to a route vertex moves the vertex with
+ * it (re-routing the route and any spur there); anything else just gets the
+ * new position, dropping POI details that no longer apply.
+ * @param {string} featureId - the point's _id
+ * @param {{ coordinates: [number, number], snapped: boolean }} result - snap result
+ */
+async function movePointFeature(featureId, result) {
+  const trip = TripManager.currentTrip;
+  const idx = trip.features.findIndex(f => f.properties._id === featureId);
+  const props = trip.features[idx]?.properties;
+  if (!props) return;
+
+  const route = findParentRoute(trip, props);
+  if (route) {
+    // Until the re-routed route lands, show the point where it was dropped
+    previewPointPosition(trip.features[idx], result.coordinates);
+    const moved = await moveRouteVertex(route.properties._id, props.route_vertex_index, result.coordinates, result.snapped);
+    if (moved) return;
+    if (moved === null) {
+      TripManager.render(); // put the point back where the route has it
+      return;
+    }
+    // A stale vertex link: move the point on its own
+  }
+
+  const at = TripManager.currentTrip === trip ? trip.features.findIndex(f => f.properties._id === featureId) : -1;
+  if (at < 0) return;
+  const updates = {};
+  if (props.poi_id != null) updates.poi_id = null;
+  if (props.elevation_ft != null) updates.elevation_ft = null;
+  TripManager.updateFeature(at, updates, { type: "Point", coordinates: result.coordinates });
+}
+
+/** The route a point sits on (by route_id, else legacy route_index), if it names a vertex. */
+function findParentRoute(trip, props) {
+  if (!Number.isInteger(props.route_vertex_index)) return null;
+  const route = props.route_id
+    ? trip.features.find(f => f.properties._id === props.route_id)
+    : trip.features[props.route_index];
+  if (route?.properties.type !== "route") return null;
+  return props.route_vertex_index < (route.properties.vertex_coords?.length ?? 0) ? route : null;
+}
+
+// ---------------------------------------------------------------------------
+// Waypoint placement — standalone water / hazard / resupply / scenic points
+// ---------------------------------------------------------------------------
+
+/**
+ * Enter waypoint placement: every map click adds a waypoint of the selected
+ * subtype to the unassigned pool, until Esc or the tool button is clicked
+ * again. Hotkeys 1-4 pick the subtype, S cycles snapping (trails → POIs →
+ * off) and Shift skips snapping for one click.
+ */
+export function startWaypointPlacement() {
+  if (isPlacingWaypoint) return;
+  cancelDrawing(); // exclusive with drawing, delete mode, and route edits
+  if (isMeasuring) stopMeasuring();
+  isPlacingWaypoint = true;
+  setActiveToolBtn("addWaypointBtn");
+  document.getElementById("planningToolbar")?.classList.add("active");
+  alignPlanningToolbar();
+  document.getElementById("waypointSubtypeSelector")?.classList.add("visible");
+  setActiveWaypointSubtype(currentWaypointSubtype);
+  setWaypointSnapMode(waypointSnapMode);
+  showDrawingHint("Click to place a waypoint · 1-4 subtype · S snapping · Shift skips snapping · Esc when done");
+  map.getCanvas().style.cursor = "crosshair";
+
+  map.on("mousemove", throttledWaypointMouseMove);
+  document.addEventListener("keydown", handleWaypointKeyDown);
+}
+
+function stopWaypointPlacement() {
+  map.off("mousemove", throttledWaypointMouseMove);
+  throttledWaypointMouseMove.cancel();
+  document.removeEventListener("keydown", handleWaypointKeyDown);
+  isPlacingWaypoint = false;
+  document.getElementById("waypointSubtypeSelector")?.classList.remove("visible");
+  hideDrawingHint();
+  map.getCanvas().style.cursor = "";
+  updateSnapPreview(null);
+}
+
+export function handleMapClickForWaypoint(e) {
+  if (!isPlacingWaypoint || !TripManager.currentTrip) return;
+  const coord = [e.lngLat.lng, e.lngLat.lat];
+  const result = e.originalEvent.shiftKey ? { coordinates: coord, snapped: false } : snapWaypoint(coord);
+
+  const properties = {
+    type: "waypoint",
+    subtype: currentWaypointSubtype,
+    name: result.poiName || "",
+    notes: "",
+  };
+  TripManager.addFeature({ type: "Point", coordinates: result.coordinates }, properties);
+}
+
+const throttledWaypointMouseMove = throttleToFrame(handleMouseMoveForWaypoint);
+
+function handleMouseMoveForWaypoint(e) {
+  const coord = [e.lngLat.lng, e.lngLat.lat];
+  updateSnapPreview(e.originalEvent.shiftKey ? { coordinates: coord, snapped: false } : snapWaypoint(coord));
+}
+
+/** Snap per the current mode: to the nearest trail, the nearest POI, or not at all. */
+function snapWaypoint(coord) {
+  if (waypointSnapMode === "trails") return snapToTrail(coord);
+  if (waypointSnapMode === "pois") return snapToPOI(coord);
+  return { coordinates: coord, snapped: false };
+}
+
+/**
+ * Snap a coordinate to the nearest rendered POI within the snap radius
+ * (pixels). Snapped results carry the POI's name so the waypoint can adopt it.
+ * @returns {{ coordinates: [number, number], snapped: boolean, poiName?: string }}
+ */
+function snapToPOI(coord) {
+  const radius = getSnapSettings().radiusPx;
+  const pixel = map.project(coord);
+  const bbox = [
+    [pixel.x - radius, pixel.y - radius],
+    [pixel.x + radius, pixel.y + radius],
+  ];
+  const pois = map.getLayer("pois") ? map.queryRenderedFeatures(bbox, { layers: ["pois"] }) : [];
+
+  let best = null;
+  let bestPixelDist = Infinity;
+  for (const poi of pois) {
+    if (poi.geometry.type !== "Point") continue;
+    const p = map.project(poi.geometry.coordinates);
+    const pixelDist = Math.hypot(p.x - pixel.x, p.y - pixel.y);
+    if (pixelDist < bestPixelDist) {
+      bestPixelDist = pixelDist;
+      best = poi;
+    }
+  }
+  if (best && bestPixelDist <= radius) {
+    return { coordinates: best.geometry.coordinates.slice(0, 2), snapped: true, poiName: best.properties?.name || "" };
+  }
+  return { coordinates: coord, snapped: false };
+}
+
+function setActiveWaypointSubtype(subtype) {
+  currentWaypointSubtype = subtype;
+  document.querySelectorAll("#waypointSubtypeSelector [data-waypoint-subtype]").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.waypointSubtype === subtype);
+  });
+}
+
+function setWaypointSnapMode(mode) {
+  waypointSnapMode = mode;
+  const btn = document.getElementById("waypointSnapBtn");
+  if (btn) {
+    btn.querySelector(".snap-mode-label").textContent = WAYPOINT_SNAP_LABELS[mode];
+    btn.title = `Snapping: ${WAYPOINT_SNAP_LABELS[mode]} (S to change)`;
+    btn.classList.toggle("off", mode === "off");
+  }
+  updateSnapPreview(null);
+}
+
+function cycleWaypointSnapMode() {
+  const next = WAYPOINT_SNAP_MODES[(WAYPOINT_SNAP_MODES.indexOf(waypointSnapMode) + 1) % WAYPOINT_SNAP_MODES.length];
+  setWaypointSnapMode(next);
+}
+
+export function initWaypointSubtypeSelector() {
+  document.querySelectorAll("#waypointSubtypeSelector [data-waypoint-subtype]").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      setActiveWaypointSubtype(btn.dataset.waypointSubtype);
+    });
+  });
+  document.getElementById("waypointSnapBtn")?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    cycleWaypointSnapMode();
+  });
+}
+
+function handleWaypointKeyDown(e) {
+  if (!isPlacingWaypoint) return;
   const tag = e.target.tagName;
   if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
 
-  const keyMap = { "1": "route", "2": "camp", "3": "dayhike", "4": "rest" };
-  const pointType = keyMap[e.key];
-  if (pointType) {
+  const keyMap = { "1": "water", "2": "hazard", "3": "resupply", "4": "scenic" };
+  if (keyMap[e.key]) {
     e.preventDefault();
-    setActivePointType(pointType);
+    setActiveWaypointSubtype(keyMap[e.key]);
+  } else if (e.key.toLowerCase() === "s") {
+    e.preventDefault();
+    cycleWaypointSnapMode();
   }
 }
 
 // ---------------------------------------------------------------------------
-// Trip date range helper
+// POI → trip features ("Add to trip" actions in the POI popup)
 // ---------------------------------------------------------------------------
 
+// poi_category → waypoint subtype; anything unlisted is marked scenic
+const POI_WAYPOINT_SUBTYPES = {
+  water: "water",
+  accommodation: "resupply",
+  infrastructure: "resupply",
+  viewpoint: "scenic",
+  summit: "scenic",
+  natural: "scenic",
+};
+
+/**
+ * Add a rendered POI to the open trip as a camp or waypoint. The feature
+ * keeps the POI's name and elevation, plus its tile id (poi_id) so it stays
+ * linked to the source feature.
+ * @param {object} poi - feature from the `pois` layer
+ * @param {"camp"|"waypoint"} type
+ * @returns {number} index of the new trip feature, or -1 without an open trip
+ */
+export function addPoiToTrip(poi, type) {
+  if (!TripManager.currentTrip) return -1;
+  const props = poi.properties || {};
+  const properties = type === "camp"
+    ? { type: "camp", point_type: "camp", date: "", water_nearby: false, water_notes: "" }
+    : { type: "waypoint", subtype: POI_WAYPOINT_SUBTYPES[props.poi_category] || "scenic" };
+  Object.assign(properties, {
+    name: props.name || "",
+    notes: "",
+    poi_id: poi.id ?? props.osm_id ?? null,
+    poi_category: props.poi_category || null,
+  });
+  if (Number.isFinite(props.elevation)) properties.elevation_ft = Math.round(props.elevation * FT_PER_M);
+  return TripManager.addFeature({ type: "Point", coordinates: poi.geometry.coordinates.slice(0, 2) }, properties);
+}
+
+/**
+ * Start drawing a route whose first vertex is the POI (snapped onto a
+ * nearby trail when there is one, as a click would be).
+ */
+export function startRouteAtPoi(poi) {
+  startRouteDrawing();
+  if (!isDrawingRoute) return;
+  addRouteVertex(snapToTrail(poi.geometry.coordinates.slice(0, 2)));
+}
+
 // ---------------------------------------------------------------------------
-// Elevation profile — Open-Meteo API
+// Whole trails — trail popup details and "add trail / section to route"
 // ---------------------------------------------------------------------------
 
 /**
- * Subsample a coordinate array to at most maxPoints evenly-spaced entries.
- * @param {number[][]} coords - [lng, lat] pairs
- * @param {number} maxPoints
- * @returns {number[][]}
+ * Trail details for the popup: attributes of the clicked fragment plus the
+ * whole trail stitched across the loaded tile fragments.
+ * @param {object} feature - feature from the `trails` layer
+ * @returns {Promise<{ trailId, trailName, difficulty, coords: number[][], lengthMeters: number }>}
  */
-function subsampleCoords(coords, maxPoints) {
-  if (coords.length <= maxPoints) return coords;
-  const result = [];
-  const step = (coords.length - 1) / (maxPoints - 1);
-  for (let i = 0; i < maxPoints; i++) {
-    result.push(coords[Math.round(i * step)]);
+export async function describeTrail(feature) {
+  const info = trailInfo(feature);
+  let traced = null;
+  try {
+    syncTrailNetwork();
+    traced = await GeometryWorker.traceTrail(info);
+  } catch (err) {
+    console.warn("[snap] trail tracing failed:", err.message);
   }
-  return result;
+  if (traced) return { ...info, coords: traced.coords, lengthMeters: traced.lengthMeters };
+
+  // Not in the graph yet (tiles still loading) — fall back to the fragment
+  const coords = feature.geometry.type === "MultiLineString"
+    ? feature.geometry.coordinates.flat()
+    : feature.geometry.coordinates;
+  return { ...info, coords, lengthMeters: lineLengthMeters(coords) };
 }
 
 /**
- * Fetch elevation for a route's display coords from Open-Meteo, then patch
- * the feature in TripManager with elevation_profile (ft), elevation_gain_ft,
- * and elevation_loss_ft.
- *
- * @param {number[][]} coords - [lng, lat] display coords of the route
- * @param {string} featureId - the feature's _id property
+ * Append a stretch of trail to the route being drawn (starting a new route
+ * if none is). The stretch is walked from whichever end is nearer the
+ * route's last vertex; the route is routed to that end as a click would be,
+ * then follows the trail geometry exactly to the far end.
+ * @param {{ coords: number[][], trailId, trailName, difficulty }} trail
  */
-async function fetchElevationProfile(coords, featureId) {
-  const sampled = subsampleCoords(coords, 100);
-  const lats = sampled.map(c => c[1]).join(",");
-  const lons = sampled.map(c => c[0]).join(",");
+export function appendTrailToRoute(trail) {
+  if (!TripManager.currentTrip || trail.coords.length < 2 || finishingRoute) return;
+  startRouteDrawing();
+  if (!isDrawingRoute) return;
 
-  try {
-    const res = await fetch(
-      `https://api.open-meteo.com/v1/elevation?latitude=${lats}&longitude=${lons}`
-    );
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    if (!Array.isArray(data.elevation)) throw new Error("Unexpected response shape");
-
-    // Convert meters → feet, round to nearest foot
-    const profileFt = data.elevation.map(m => Math.round(m * 3.28084));
-
-    // Compute cumulative gain and loss
-    let gain = 0, loss = 0;
-    for (let i = 1; i < profileFt.length; i++) {
-      const diff = profileFt[i] - profileFt[i - 1];
-      if (diff > 0) gain += diff;
-      else loss += -diff;
+  let coords = trail.coords;
+  const lastIdx = routeCoords.length > 0 ? findLastMainRouteVertexIndex(routeCoords.length - 1) : -1;
+  if (lastIdx >= 0) {
+    const last = routeCoords[lastIdx];
+    if (haversineMeters(last, coords[coords.length - 1]) < haversineMeters(last, coords[0])) {
+      coords = [...coords].reverse();
     }
+  }
 
-    // Patch the feature in place (no full render cycle needed for the map)
-    const trip = TripManager.currentTrip;
-    if (!trip) return;
-    const feature = trip.features.find(f => f.properties._id === featureId);
-    if (!feature) return;
+  const trailFeature = {
+    id: trail.trailId,
+    properties: { name: trail.trailName, difficulty: trail.difficulty },
+    geometry: { type: "LineString", coordinates: coords },
+  };
+  const start = coords[0];
+  const end = coords[coords.length - 1];
+  const joined = lastIdx >= 0 && haversineMeters(routeCoords[lastIdx], start) < 1;
+  if (!joined) {
+    addRouteVertex({ coordinates: start, snapped: true, trailFeature, indexOnLine: 0 }, { type: "route" });
+  }
+  addRouteVertex(
+    { coordinates: end, snapped: true, trailFeature, indexOnLine: coords.length - 2 },
+    { type: "route", segment: { coords, isTrailSnapped: true, trails: runOnTrail(trail, coords) } }
+  );
+  updateRouteDrawing();
+  notifyDrawingProgress();
+}
 
-    feature.properties.elevation_profile = profileFt;
-    feature.properties.elevation_gain_ft = Math.round(gain);
-    feature.properties.elevation_loss_ft = Math.round(loss);
+/**
+ * Pick a section of a trail with two map clicks, then append it to the
+ * route (see appendTrailToRoute). Esc cancels.
+ */
+export function startTrailSectionPick(trail) {
+  if (!TripManager.currentTrip || trail.coords.length < 2 || typeof turf === "undefined") return;
+  // A route being drawn stays open so the section extends it
+  if (isDeleteMode) exitDeleteMode();
+  if (isEditingRoute) stopRouteEdit();
+  if (isPlacingWaypoint) stopWaypointPlacement();
+  if (isPickingTrailSection) stopTrailSectionPick();
+  if (isMeasuring) stopMeasuring();
+  isPickingTrailSection = true;
+  sectionTrail = trail;
+  sectionStart = null;
+  document.getElementById("planningToolbar")?.classList.add("active");
+  alignPlanningToolbar();
+  map.getCanvas().style.cursor = "crosshair";
+  showDrawingHint(`Click where the section of ${trail.trailName || "the trail"} starts · Esc to cancel`);
+  map.on("mousemove", handleMouseMoveForTrailSection);
+}
 
-    TripManager.render();
-    TripManager.save();
-  } catch (err) {
-    console.warn("[elevation] fetch failed:", err.message);
+export function stopTrailSectionPick() {
+  map.off("mousemove", handleMouseMoveForTrailSection);
+  isPickingTrailSection = false;
+  sectionTrail = null;
+  sectionStart = null;
+  hideDrawingHint();
+  updateSnapPreview(null);
+  if (!isDrawingRoute) {
+    map.getCanvas().style.cursor = "";
+    document.getElementById("planningToolbar")?.classList.remove("active");
+  }
+}
+
+/** Nearest point on the picked trail: { coord, index } (index of the segment). */
+function locateOnSectionTrail(coord) {
+  const nearest = turf.nearestPointOnLine(turf.lineString(sectionTrail.coords), turf.point(coord));
+  return { coord: nearest.geometry.coordinates, index: nearest.properties.index };
+}
+
+function handleMouseMoveForTrailSection(e) {
+  const hit = locateOnSectionTrail([e.lngLat.lng, e.lngLat.lat]);
+  updateSnapPreview({ coordinates: hit.coord, snapped: true });
+}
+
+export function handleMapClickForTrailSection(e) {
+  if (!isPickingTrailSection) return;
+  const hit = locateOnSectionTrail([e.lngLat.lng, e.lngLat.lat]);
+  if (!sectionStart) {
+    sectionStart = hit;
+    showDrawingHint("Click where the section ends · Esc to cancel");
+    return;
+  }
+
+  const coords = extractTrailSlice(sectionTrail.coords, sectionStart.coord, sectionStart.index, hit.coord, hit.index);
+  const trail = { ...sectionTrail, coords };
+  stopTrailSectionPick();
+  if (coords.length >= 2 && haversineMeters(coords[0], coords[coords.length - 1]) > 0) {
+    appendTrailToRoute(trail);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Touch drawing — on-screen controls and tap-and-hold point types
+// ---------------------------------------------------------------------------
+
+/**
+ * Wire the on-screen drawing controls (#touchDrawControls): Undo, Snap off
+ * (the touch stand-in for holding Shift) and Finish (for double-click).
+ * Shown while drawing; the stylesheet only displays them on coarse pointers.
+ */
+export function initTouchDrawControls() {
+  document.getElementById("touchDrawControls")?.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-touch-action]")?.dataset.touchAction;
+    if (!action || !isDrawingRoute || finishingRoute) return;
+    e.stopPropagation();
+    if (action === "undo") undoRouteVertex();
+    else if (action === "snap") setSnapBypass(!snapBypass);
+    else if (action === "finish") finishRouteDrawing();
+  });
+}
+
+function setSnapBypass(bypass) {
+  snapBypass = bypass;
+  const btn = document.querySelector('#touchDrawControls [data-touch-action="snap"]');
+  if (!btn) return;
+  btn.classList.toggle("active", bypass);
+  btn.setAttribute("aria-pressed", String(bypass));
+  btn.textContent = bypass ? "Snap off" : "Snap on";
+}
+
+function isTouchInput() {
+  return Date.now() - lastTouchAt < TOUCH_INPUT_WINDOW_MS;
+}
+
+function handleRouteTouchStart(e) {
+  lastTouchAt = Date.now();
+  cancelHold();
+  if (e.originalEvent.touches.length !== 1 || holdMenu) return;
+  holdStart = { point: e.point, lngLat: e.lngLat };
+  holdTimer = setTimeout(openHoldMenu, HOLD_MS);
+
+  // Preview the snap under the finger while it rests
+  const coord = [e.lngLat.lng, e.lngLat.lat];
+  updateSnapPreview(snapBypass ? { coordinates: coord, snapped: false } : snapToTrail(coord));
+}
+
+function handleRouteTouchMove(e) {
+  if (holdStart && e.point.dist(holdStart.point) > HOLD_MOVE_TOLERANCE_PX) cancelHold();
+}
+
+function handleRouteTouchEnd() {
+  lastTouchAt = Date.now();
+  cancelHold();
+  // The finger that opened the hold menu lifts now; drop the tap it makes
+  if (suppressClickUntil === Infinity) suppressClickUntil = Date.now() + 400;
+}
+
+function cancelHold() {
+  clearTimeout(holdTimer);
+  holdTimer = null;
+  holdStart = null;
+}
+
+/** Long press: offer camp / dayhike / rest at the (snapped) spot. */
+function openHoldMenu() {
+  const { lngLat } = holdStart;
+  cancelHold();
+  suppressClickUntil = Infinity; // until the finger lifts
+  const coord = [lngLat.lng, lngLat.lat];
+  const result = snapBypass ? { coordinates: coord, snapped: false } : snapToTrail(coord);
+  updateSnapPreview(result);
+  navigator.vibrate?.(20);
+
+  const html = `
+    <div class="popup-actions hold-menu">
+      <button type="button" class="popup-action-btn" data-hold-type="camp">Camp</button>
+      <button type="button" class="popup-action-btn" data-hold-type="dayhike">Dayhike</button>
+      <button type="button" class="popup-action-btn" data-hold-type="rest">Rest</button>
+    </div>`;
+  holdMenu = new maplibregl.Popup({ offset: 18, closeButton: false, maxWidth: "160px" })
+    .setLngLat(result.coordinates)
+    .setHTML(html)
+    .addTo(map);
+  holdMenu.on("close", () => { holdMenu = null; });
+  holdMenu.getElement().querySelector(".hold-menu").addEventListener("click", (ev) => {
+    const type = ev.target.closest("[data-hold-type]")?.dataset.holdType;
+    if (!type) return;
+    ev.stopPropagation();
+    closeHoldMenu();
+    if (isDrawingRoute && !finishingRoute) addRouteVertex(result, { type });
+  });
+}
+
+function closeHoldMenu() {
+  holdMenu?.remove();
+  holdMenu = null;
+}
+
+// ---------------------------------------------------------------------------
+// Cancel / shared UI
+// ---------------------------------------------------------------------------
+
+export function cancelDrawing() {
+  if (isDrawingRoute) {
+    resetRouteDrawing();
+  }
+  if (isEditingRoute) stopRouteEdit();
+  if (isPlacingWaypoint) stopWaypointPlacement();
+  if (isPickingTrailSection) stopTrailSectionPick();
+  if (isDeleteMode) exitDeleteMode();
+  setActiveToolBtn(null);
+  hideDrawingHint();
+  hideRouteModal();
+  hidePointTypeSelector();
+  document.getElementById("planningToolbar")?.classList.remove("active");
+}
+
+export function startDeleteMode() {
+  if (isDrawingRoute || isEditingRoute || isPlacingWaypoint) cancelDrawing();
+  if (isMeasuring) stopMeasuring();
+  isDeleteMode = true;
+  map.getCanvas().style.cursor = "crosshair";
+  document.getElementById("planningToolbar")?.classList.add("active");
+  alignPlanningToolbar();
+  setActiveToolBtn("deleteWaypointBtn");
+}
+
+export function exitDeleteMode() {
+  isDeleteMode = false;
+  map.getCanvas().style.cursor = "";
+  document.getElementById("planningToolbar")?.classList.remove("active");
+  setActiveToolBtn(null);
+}
+
+export function handleDeleteClick(e) {
+  if (!TripManager.currentTrip) return;
+  const tripLayers = ["trip-camps", "trip-dayhikes", "trip-rest", "trip-waypoints"];
+  const features = map.queryRenderedFeatures(e.point, { layers: tripLayers });
+  if (!features.length) return;
+  const clickedId = features[0].properties._id;
+  const idx = TripManager.currentTrip.features.findIndex(
+    f => f.properties._id === clickedId
+  );
+  if (idx !== -1) TripManager.removeFeature(idx);
+}
+
+function setActiveToolBtn(id) {
+  document.querySelectorAll(".tool-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.id === id);
+  });
+}
+
+function showDrawingHint(text) {
+  const el = document.getElementById("drawingHint");
+  if (el) {
+    el.textContent = text;
+    el.classList.add("visible");
+  }
+}
+
+function hideDrawingHint() {
+  const el = document.getElementById("drawingHint");
+  if (el) el.classList.remove("visible");
+}
+
+/** Show a hint for a few seconds, unless another replaces it first. */
+function flashDrawingHint(text) {
+  showDrawingHint(text);
+  setTimeout(() => {
+    if (document.getElementById("drawingHint")?.textContent === text) hideDrawingHint();
+  }, FLASH_HINT_MS);
+}
+
+// ---------------------------------------------------------------------------
+// Route instruction modal
+// ---------------------------------------------------------------------------
+
+function showRouteModal() {
+  const el = document.getElementById("routeInstructions");
+  if (el) el.classList.add("visible");
+  updateSnapInstruction();
+}
+
+/** Spell out the current snap settings in the instructions (#snapInstruction). */
+export function updateSnapInstruction() {
+  const el = document.getElementById("snapInstruction");
+  if (!el) return;
+  const settings = getSnapSettings();
+  if (settings.layers.length === 0) {
+    el.innerHTML = "Snapping is <strong>off</strong> (trip overview → Snapping)";
+    return;
+  }
+  const filters = [];
+  if (settings.layers.includes("trails")) {
+    if (settings.ignoreHardTrails) filters.push("skipping hard trails");
+    if (settings.namedTrailsOnly) filters.push("named trails only");
+  }
+  el.innerHTML = `Points <strong>snap to ${settings.layers.join(", ")}</strong> within ${settings.radiusPx} px` +
+    (filters.length ? ` (${filters.join(", ")})` : "");
+}
+
+function hideRouteModal() {
+  const el = document.getElementById("routeInstructions");
+  if (el) el.classList.remove("visible");
+}
+
+// ---------------------------------------------------------------------------
+// Point type selector
+// ---------------------------------------------------------------------------
+
+function showPointTypeSelector() {
+  const el = document.getElementById("pointTypeSelector");
+  if (el) el.classList.add("visible");
+}
+
+function hidePointTypeSelector() {
+  const el = document.getElementById("pointTypeSelector");
+  if (el) el.classList.remove("visible");
+}
+
+function setActivePointType(pointType) {
+  currentPointType = pointType;
+  document.querySelectorAll("#pointTypeSelector [data-point-type]").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.pointType === pointType);
+  });
+}
+
+const DAYHIKE_SHAPE_LABELS = { out_and_back: "Out & back", loop: "Loop" };
+
+function setDayhikeShape(shape) {
+  dayhikeShape = shape;
+  const btn = document.getElementById("dayhikeShapeBtn");
+  if (!btn) return;
+  btn.querySelector(".snap-mode-label").textContent = DAYHIKE_SHAPE_LABELS[shape];
+  btn.title = `Dayhikes: ${DAYHIKE_SHAPE_LABELS[shape].toLowerCase()} (L to change)`;
+}
+
+function toggleDayhikeShape() {
+  setDayhikeShape(dayhikeShape === "loop" ? "out_and_back" : "loop");
+}
+
+export function initPointTypeSelector() {
+  document.querySelectorAll("#pointTypeSelector [data-point-type]").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      setActivePointType(btn.dataset.pointType);
+    });
+  });
+  document.getElementById("dayhikeShapeBtn")?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleDayhikeShape();
+  });
+  document.querySelectorAll("#pointTypeSelector [data-route-finish]").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      finishRouteWithShape(btn.dataset.routeFinish)
+        .catch((err) => console.warn("[snap] could not close the route:", err.message));
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Keyboard hotkeys — point type switching (1-4), vertex undo / redo,
+// dayhike shape (L), finishing as a loop (C) or out-and-back (R)
+// ---------------------------------------------------------------------------
+
+function handleRouteKeyDown(e) {
+  if (!isDrawingRoute || finishingRoute) return;
+
+  // Ignore if user is typing in a form input
+  const tag = e.target.tagName;
+  if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+
+  const mod = e.ctrlKey || e.metaKey;
+  if (mod && e.key.toLowerCase() === "z") {
+    e.preventDefault();
+    if (e.shiftKey) redoRouteVertex();
+    else undoRouteVertex();
+    return;
+  }
+  if (e.key === "Backspace" && !mod) {
+    e.preventDefault();
+    undoRouteVertex();
+    return;
+  }
+
+  const keyMap = { "1": "route", "2": "camp", "3": "dayhike", "4": "rest" };
+  const pointType = keyMap[e.key];
+  if (pointType) {
+    e.preventDefault();
+    setActivePointType(pointType);
+    return;
+  }
+  if (mod || e.altKey) return;
+
+  const key = e.key.toLowerCase();
+  if (key === "l") {
+    e.preventDefault();
+    toggleDayhikeShape();
+  } else if (key === "c" || key === "r") {
+    e.preventDefault();
+    finishRouteWithShape(key === "c" ? "loop" : "out_and_back")
+      .catch((err) => console.warn("[snap] could not close the route:", err.message));
   }
 }
 
+// ---------------------------------------------------------------------------
+// Trip date range helper
+// ---------------------------------------------------------------------------
+
 export function getTripDateRange() {
   if (!TripManager.currentTrip) return [];
   const meta = TripManager.currentTrip.properties;
@@ -0,0 +1,69 @@
+/**
+ * OutHere Preferences — user-wide settings that aren't tied to one trip
+ *
+ * Stored as one JSON object under a single localStorage key; each top-level
+ * section (e.g. "pace", "snap") is merged over its defaults on read, so settings
+ * added later pick up sensible values for existing users.
+ */
+
+import { PACE_DEFAULTS, SNAP_DEFAULTS, GRADE_DEFAULTS } from "./config.js";
+
+const PREFERENCES_KEY = "outhere_preferences";
+
+const DEFAULTS = {
+  pace: PACE_DEFAULTS,
+  snap: SNAP_DEFAULTS,
+  grade: GRADE_DEFAULTS,
+};
+
+// ---------------------------------------------------------------------------
+// Preferences — singleton for load, persistence, change notification
+// ---------------------------------------------------------------------------
+
+export const Preferences = {
+  values: {},
+  _listeners: [],
+
+  load() {
+    try {
+      const raw = localStorage.getItem(PREFERENCES_KEY);
+      this.values = raw ? JSON.parse(raw) || {} : {};
+    } catch (err) {
+      console.warn("[preferences] discarding corrupt preferences:", err.message);
+      this.values = {};
+    }
+  },
+
+  save() {
+    try {
+      localStorage.setItem(PREFERENCES_KEY, JSON.stringify(this.values));
+    } catch (err) {
+      console.warn("[preferences] could not save preferences:", err.message);
+    }
+  },
+
+  /** A section's settings, merged over its defaults. */
+  get(section) {
+    return { ...DEFAULTS[section], ...this.values[section] };
+  },
+
+  /** Merge new values into a section, persist, and notify listeners. */
+  set(section, values) {
+    this.values[section] = { ...this.values[section], ...values };
+    this.save();
+    for (const fn of this._listeners) fn(section, this.get(section));
+  },
+
+  reset(section) {
+    delete this.values[section];
+    this.save();
+    for (const fn of this._listeners) fn(section, this.get(section));
+  },
+
+  /** Subscribe to changes: fn(section, values). */
+  onChange(fn) {
+    this._listeners.push(fn);
+  },
+};
+
+Preferences.load();
@@ -0,0 +1,232 @@
+/**
+ * OutHere Route Legs — per-day legs of multi-day routes
+ *
+ * A route drawn with camp / rest vertices is split at those vertices into
+ * legs: start → camp 1 → camp 2 … → end. Each leg is matched to a trip day
+ * (by the date of the camp it ends at, else by order) so day sections can
+ * show what that day actually walks, wherever the route feature itself is
+ * assigned.
+ *
+ * Legs are derived data, refreshed on every render and stored on the route:
+ *   properties.legs = [{ from_vertex, to_vertex, day_id, distance_mi,
+ *     dayhike_distance_mi, gain_ft, loss_ft, line_range: [start, end],
+ *     profile_range: [start, end], estimatedDuration }]
+ * line_range indexes into the route's coordinates and profile_range into
+ * its elevation_profile (both inclusive).
+ *
+ * CDN global: turf (spur lengths).
+ */
+
+import { haversineMeters } from "./trail-graph.js";
+import { computeGainLoss, M_PER_MI } from "./geometry.js";
+import { estimateMovingMinutes } from "./pace.js";
+
+export const DAY_BOUNDARY_TYPES = new Set(["camp", "rest"]);
+
+// ---------------------------------------------------------------------------
+// Route ↔ child feature links
+// ---------------------------------------------------------------------------
+
+/**
+ * Collect a route's linked points and dayhike spurs. Features drawn before
+ * route_id existed fall back to route_index, and their spurs (which carry no
+ * vertex index) are paired with the route's dayhike vertices in order.
+ * @returns {{ points: object[], spurs: Map<number, object> }} spurs keyed by vertex index
+ */
+export function findRouteChildren(trip, route) {
+  const routeId = route.properties._id;
+  const routeIdx = trip.features.indexOf(route);
+  const types = route.properties.vertex_types || [];
+  const isChild = (p) => (p.route_id ? p.route_id === routeId : p.route_index === routeIdx);
+
+  const points = trip.features.filter(f =>
+    f.geometry?.type === "Point" && ["camp", "dayhike", "rest"].includes(f.properties.type) && isChild(f.properties));
+  const spurList = trip.features.filter(f =>
+    f.properties.type === "dayhike_spur" && isChild(f.properties));
+
+  const spurs = new Map();
+  const dayhikeVertices = types.map((t, i) => i).filter(i => i > 0 && types[i] === "dayhike");
+  spurList.forEach((spur, k) => {
+    const j = Number.isInteger(spur.properties.route_vertex_index)
+      ? spur.properties.route_vertex_index
+      : dayhikeVertices[k];
+    if (j !== undefined) spurs.set(j, spur);
+  });
+  return { points, spurs };
+}
+
+/**
+ * Miles walked on a dayhike spur: once round for a loop spur (its line
+ * comes back to the route), out and back otherwise.
+ */
+export function spurWalkedMiles(spur) {
+  if (!(spur.geometry?.coordinates?.length >= 2) || typeof turf === "undefined") return 0;
+  const miles = turf.length(spur, { units: "miles" });
+  return spur.properties.shape === "loop" ? miles : miles * 2;
+}
+
+// ---------------------------------------------------------------------------
+// Leg derivation
+// ---------------------------------------------------------------------------
+
+/**
+ * Refresh `legs` on every route of a trip. Routes without a camp or rest
+ * vertex in their interior are single-day and carry no legs.
+ * Run after time estimates so spur durations are current.
+ * @param {object} trip - trip FeatureCollection (mutated in place)
+ * @param {object} pace - pace settings
+ */
+export function applyRouteLegs(trip, pace) {
+  for (const f of trip?.features || []) {
+    if (f.properties.type !== "route") continue;
+    const legs = computeRouteLegs(trip, f, pace);
+    if (legs) f.properties.legs = legs;
+    else delete f.properties.legs;
+  }
+}
+
+/** @returns {object[]|null} legs, or null for single-day routes */
+export function computeRouteLegs(trip, route, pace) {
+  const props = route.properties;
+  const types = props.vertex_types;
+  const vertexCoords = props.vertex_coords;
+  const line = route.geometry?.coordinates;
+  if (!Array.isArray(types) || !Array.isArray(vertexCoords) || !Array.isArray(line) || line.length < 2) return null;
+
+  const last = vertexCoords.length - 1;
+  const boundaries = [];
+  for (let i = 1; i < last; i++) {
+    if (DAY_BOUNDARY_TYPES.has(types[i])) boundaries.push(i);
+  }
+  if (boundaries.length === 0) return null;
+
+  // Distance along the line at each boundary vertex
+  const cumulative = [0];
+  for (let i = 1; i < line.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineMeters(line[i - 1], line[i]));
+  }
+  const total = cumulative[cumulative.length - 1];
+  const stops = [{ vertex: 0, index: 0, meters: 0 }];
+  let pos = 0;
+  for (const v of boundaries) {
+    pos = locateOnLine(line, vertexCoords[v], pos);
+    stops.push({ vertex: v, index: pos, meters: cumulative[pos] });
+  }
+  stops.push({ vertex: last, index: line.length - 1, meters: total });
+
+  const profile = Array.isArray(props.elevation_profile) && props.elevation_profile.length >= 2
+    ? props.elevation_profile
+    : null;
+  const toProfileIndex = (meters) =>
+    profile && total > 0 ? Math.round((meters / total) * (profile.length - 1)) : 0;
+
+  const { points, spurs } = findRouteChildren(trip, route);
+  const legs = [];
+  for (let k = 1; k < stops.length; k++) {
+    const from = stops[k - 1];
+    const to = stops[k];
+    const distanceMi = (to.meters - from.meters) / M_PER_MI;
+    const range = [toProfileIndex(from.meters), toProfileIndex(to.meters)];
+    const slice = profile ? profile.slice(range[0], range[1] + 1) : null;
+    const { gain, loss } = slice && slice.length >= 2 ? computeGainLoss(slice) : { gain: 0, loss: 0 };
+
+    // Dayhikes placed within the leg are walked that day
+    let dayhikeMi = 0;
+    let spurMinutes = 0;
+    for (const [j, spur] of spurs) {
+      if (j <= from.vertex || j > to.vertex) continue;
+      dayhikeMi += spurWalkedMiles(spur);
+      spurMinutes += spur.properties.estimatedDuration || 0;
+    }
+
+    legs.push({
+      from_vertex: from.vertex,
+      to_vertex: to.vertex,
+      day_id: null,
+      distance_mi: distanceMi,
+      dayhike_distance_mi: dayhikeMi,
+      gain_ft: gain,
+      loss_ft: loss,
+      line_range: [from.index, to.index],
+      profile_range: profile ? range : null,
+      estimatedDuration: estimateMovingMinutes(distanceMi, slice, gain, pace) + spurMinutes,
+    });
+  }
+
+  assignLegDays(trip, route, legs, points);
+  return legs;
+}
+
+/**
+ * Match legs to days. A leg ending at a dated camp / rest point lands on the
+ * day with that date; otherwise it follows the previous leg, and the first
+ * leg defaults to the day the route is assigned to (or day 1). Legs beyond
+ * the trip's last day stay on the last day rather than dropping out of the
+ * day totals.
+ */
+function assignLegDays(trip, route, legs, points) {
+  const days = trip.days || [];
+  const dayIndexByDate = new Map();
+  days.forEach((d, i) => { if (d.date && !dayIndexByDate.has(d.date)) dayIndexByDate.set(d.date, i); });
+  const boundaryDates = new Map(points
+    .filter(p => DAY_BOUNDARY_TYPES.has(p.properties.type) && p.properties.date)
+    .map(p => [p.properties.route_vertex_index, p.properties.date]));
+
+  let prev = null;
+  const routeDay = days.findIndex(d => (d.features || []).includes(route.properties._id));
+  legs.forEach((leg, k) => {
+    const date = k < legs.length - 1 ? boundaryDates.get(leg.to_vertex) : null;
+    let idx;
+    if (date && dayIndexByDate.has(date)) idx = dayIndexByDate.get(date);
+    else if (prev !== null) idx = Math.min(prev + 1, days.length - 1);
+    else idx = Math.max(routeDay, 0);
+    leg.day_id = days[idx]?.id ?? null;
+    prev = idx;
+  });
+}
+
+/**
+ * Index of the line coordinate for a vertex, searching forward from `from`:
+ * the exact coordinate when the line was stitched from vertices (drawn
+ * routes), otherwise the nearest one.
+ */
+export function locateOnLine(line, coord, from) {
+  let best = from;
+  let bestDist = Infinity;
+  for (let i = from; i < line.length; i++) {
+    if (line[i][0] === coord[0] && line[i][1] === coord[1]) return i;
+    const d = haversineMeters(line[i], coord);
+    if (d < bestDist) {
+      bestDist = d;
+      best = i;
+    }
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// Day lookups
+// ---------------------------------------------------------------------------
+
+/** Legs (with their routes) that fall on a day. */
+export function findLegsForDay(trip, dayId) {
+  const result = [];
+  for (const f of trip?.features || []) {
+    for (const leg of f.properties.legs || []) {
+      if (leg.day_id === dayId) result.push({ route: f, leg });
+    }
+  }
+  return result;
+}
+
+/** The part of the route's line a leg covers. */
+export function getLegCoords(route, leg) {
+  return route.geometry.coordinates.slice(leg.line_range[0], leg.line_range[1] + 1);
+}
+
+/** The slice of the route's elevation profile a leg covers ([] without one). */
+export function getLegProfile(route, leg) {
+  const profile = route.properties.elevation_profile;
+  if (!Array.isArray(profile) || !leg.profile_range) return [];
+  return profile.slice(leg.profile_range[0], leg.profile_range[1] + 1);
+}
@@ -0,0 +1,367 @@
+/**
+ * OutHere Route Operations — split, join and reverse finished routes
+ *
+ * A drawn route carries parallel vertex arrays (vertex_coords, vertex_types,
+ * vertex_snapped), and its camp / dayhike / rest points and dayhike spurs
+ * link back to a vertex by route_vertex_index. Each operation works on a
+ * plain "layout" of the route —
+ *   { line, coords, types, snapped, edgeTrails, links: [{ feature, vertex }] }
+ * — then writes the result back, renumbering the linked features, as one
+ * undo step. edgeTrails (trail runs per main edge, see route-trails.js) is
+ * null for routes that don't carry them.
+ *
+ * Dayhike vertices hang off the main vertex before them, so reordering keeps
+ * each spur vertex right behind its origin. Routes without vertex arrays
+ * (imported ones) can be joined and reversed, their line ends standing in
+ * as vertices.
+ *
+ * CDN global: turf (line lengths).
+ */
+
+import { TripManager } from "./trip-panel.js"; // circular; only used at runtime
+import { haversineMeters } from "./trail-graph.js";
+import { DAY_BOUNDARY_TYPES, findRouteChildren, locateOnLine, spurWalkedMiles } from "./route-legs.js";
+import { requestRouteElevation } from "./elevation-queue.js";
+import { reverseEdgeTrails, runOffTrail } from "./route-trails.js";
+
+// Route ends closer than this count as meeting, so they can be joined
+const JOIN_TOLERANCE_METERS = 25;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Vertices a route can be split at: main (non-spur) vertices other than
+ * the first and last.
+ * @returns {number[]} vertex indices
+ */
+export function getSplittableVertices(route) {
+  const types = route?.properties.vertex_types;
+  if (!Array.isArray(route?.properties.vertex_coords) || !Array.isArray(types)) return [];
+  const mains = mainVertexIndices(types);
+  return mains.slice(1, -1);
+}
+
+/**
+ * Other routes in the trip with an end within JOIN_TOLERANCE_METERS of one
+ * of this route's ends.
+ * @returns {object[]} route features
+ */
+export function findJoinableRoutes(trip, routeId) {
+  const route = findRoute(trip, routeId);
+  if (!route) return [];
+  return trip.features.filter(f =>
+    f !== route && f.properties.type === "route" && joinOrientation(route, f) !== null);
+}
+
+/**
+ * Split a route in two at a main vertex. The first part keeps the route's
+ * identity and the points up to the split vertex; the second becomes a new
+ * route placed right after it, taking the later points and the spurs that
+ * branch at or beyond the split.
+ * @returns {string|null} the new route's _id
+ */
+export function splitRoute(routeId, vertexIndex) {
+  const trip = TripManager.currentTrip;
+  const route = findRoute(trip, routeId);
+  if (!route || !getSplittableVertices(route).includes(vertexIndex)) return null;
+
+  const [first, second] = splitLayout(readLayout(trip, route), vertexIndex);
+  return TripManager.batch("Split route", () => {
+    writeLayout(trip, route, first);
+    // Neither part is a loop / out-and-back any more
+    if (route.properties.shape) TripManager.updateFeature(trip.features.indexOf(route), { shape: null });
+    const props = route.properties;
+    const newIdx = TripManager.addFeature(
+      { type: "LineString", coordinates: second.line },
+      {
+        type: "route",
+        name: props.name ? `${props.name} (2)` : "",
+        planned: props.planned ?? true,
+        notes: "",
+        ...layoutProperties(second),
+      }
+    );
+    const newRoute = trip.features[newIdx];
+    relinkFeatures(trip, newRoute, second.links);
+    placeAfter(trip, newRoute.properties._id, routeId);
+    requestRouteElevation(routeId);
+    requestRouteElevation(newRoute.properties._id);
+    return newRoute.properties._id;
+  });
+}
+
+/**
+ * Join another route onto this one where their ends meet, reversing either
+ * as needed. The result keeps this route's identity; the other route is
+ * removed and its points and spurs move over.
+ * @returns {boolean} true when joined
+ */
+export function joinRoutes(routeId, otherId) {
+  const trip = TripManager.currentTrip;
+  const route = findRoute(trip, routeId);
+  const other = findRoute(trip, otherId);
+  if (!route || !other || route === other) return false;
+  const orientation = joinOrientation(route, other);
+  if (!orientation) return false;
+
+  let a = readLayout(trip, route);
+  let b = readLayout(trip, other);
+  if (orientation.reverseRoute) a = reverseLayout(a);
+  if (orientation.reverseOther) b = reverseLayout(b);
+  const joined = orientation.otherFirst ? joinLayouts(b, a) : joinLayouts(a, b);
+
+  TripManager.batch("Join routes", () => {
+    // Remove first so the relinked route_index values are current
+    TripManager.removeFeature(trip.features.indexOf(other));
+    writeLayout(trip, route, joined);
+    if (route.properties.shape) TripManager.updateFeature(trip.features.indexOf(route), { shape: null });
+    requestRouteElevation(routeId);
+  });
+  return true;
+}
+
+/**
+ * Reverse a route's direction: its line, vertex order, linked point and
+ * spur indices, and elevation profile (gain and loss swap). Camp / rest
+ * dates are handed back out in the new walking order, so the nights stay
+ * in date order and the legs keep landing on their days.
+ * @returns {boolean} true when reversed
+ */
+export function reverseRoute(routeId) {
+  const trip = TripManager.currentTrip;
+  const route = findRoute(trip, routeId);
+  if (!route) return false;
+  const props = route.properties;
+  const profile = Array.isArray(props.elevation_profile) ? [...props.elevation_profile].reverse() : null;
+
+  TripManager.batch("Reverse route", () => {
+    const layout = reverseLayout(readLayout(trip, route));
+    writeLayout(trip, route, layout, {
+      elevation_profile: profile,
+      elevation_gain_ft: props.elevation_loss_ft ?? null,
+      elevation_loss_ft: props.elevation_gain_ft ?? null,
+    });
+    resequenceDates(trip, layout.links);
+  });
+  // Reversed in place — nothing to refetch unless the profile was missing
+  if (!profile) requestRouteElevation(routeId);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Layouts
+// ---------------------------------------------------------------------------
+
+function readLayout(trip, route) {
+  const props = route.properties;
+  const line = route.geometry.coordinates;
+  const drawn = Array.isArray(props.vertex_coords) && props.vertex_coords.length >= 2;
+  const coords = drawn ? props.vertex_coords : [line[0], line[line.length - 1]];
+  const { points, spurs } = findRouteChildren(trip, route);
+  const links = points
+    .filter(p => Number.isInteger(p.properties.route_vertex_index))
+    .map(p => ({ feature: p, vertex: p.properties.route_vertex_index }));
+  for (const [vertex, spur] of spurs) links.push({ feature: spur, vertex });
+  const types = coords.map((_, i) => (drawn && props.vertex_types?.[i]) || "route");
+  const edges = props.edge_trails;
+  return {
+    line,
+    coords,
+    types,
+    snapped: coords.map((_, i) => (drawn && props.vertex_snapped?.[i]) || false),
+    edgeTrails: drawn && edges?.length === mainVertexIndices(types).length - 1 ? edges : null,
+    links,
+  };
+}
+
+/** Reverse the vertex order, keeping each spur vertex behind its origin. */
+function reverseLayout(layout) {
+  const groups = [];
+  layout.types.forEach((type, i) => {
+    if (type !== "dayhike" || i === 0) groups.push([i]);
+    else groups[groups.length - 1].push(i);
+  });
+  const order = groups.reverse().flat(); // new index → old index
+  const newIndex = new Map(order.map((old, i) => [old, i]));
+  return {
+    line: [...layout.line].reverse(),
+    coords: order.map(i => layout.coords[i]),
+    types: order.map(i => (i === 0 ? mainType(layout.types[0]) : layout.types[i])),
+    snapped: order.map(i => layout.snapped[i]),
+    edgeTrails: layout.edgeTrails && reverseEdgeTrails(layout.edgeTrails),
+    links: layout.links.map(l => ({ ...l, vertex: newIndex.get(l.vertex) })),
+  };
+}
+
+/** Cut a layout at main vertex k; both parts share that vertex. */
+function splitLayout(layout, k) {
+  const mains = mainVertexIndices(layout.types);
+  let pos = 0;
+  for (const m of mains) {
+    pos = locateOnLine(layout.line, layout.coords[m], pos);
+    if (m === k) break;
+  }
+  const edge = mains.indexOf(k); // edges before the split vertex
+  const first = {
+    line: layout.line.slice(0, pos + 1),
+    coords: layout.coords.slice(0, k + 1),
+    types: layout.types.slice(0, k + 1),
+    snapped: layout.snapped.slice(0, k + 1),
+    edgeTrails: layout.edgeTrails && layout.edgeTrails.slice(0, edge),
+    links: layout.links.filter(l => l.vertex <= k),
+  };
+  const second = {
+    line: layout.line.slice(pos),
+    coords: layout.coords.slice(k),
+    // The split vertex's point stays with the first part
+    types: ["route", ...layout.types.slice(k + 1)],
+    snapped: layout.snapped.slice(k),
+    edgeTrails: layout.edgeTrails && layout.edgeTrails.slice(edge),
+    links: layout.links.filter(l => l.vertex > k).map(l => ({ ...l, vertex: l.vertex - k })),
+  };
+  return [first, second];
+}
+
+/**
+ * Append layout b to layout a. When b starts exactly where a's line ends the
+ * two vertices merge; otherwise a straight connector bridges the gap.
+ */
+function joinLayouts(a, b) {
+  const mainsA = mainVertexIndices(a.types);
+  const lastMainA = mainsA[mainsA.length - 1];
+  const shared = sameCoord(a.coords[lastMainA], b.coords[0]);
+  const offset = a.coords.length - (shared ? 1 : 0);
+  const mapB = (v) => (shared && v === 0 ? lastMainA : v + offset);
+
+  const types = [...a.types, ...b.types.slice(shared ? 1 : 0)];
+  if (shared && types[lastMainA] === "route") types[lastMainA] = mainType(b.types[0]);
+  else if (!shared) types[offset] = mainType(b.types[0]);
+
+  // The connector, if any, is a straight edge off trail
+  const connector = shared ? [] : [runOffTrail([a.coords[lastMainA], b.coords[0]])];
+  return {
+    line: [...a.line, ...(sameCoord(a.line[a.line.length - 1], b.line[0]) ? b.line.slice(1) : b.line)],
+    coords: [...a.coords, ...b.coords.slice(shared ? 1 : 0)],
+    types,
+    snapped: [...a.snapped, ...b.snapped.slice(shared ? 1 : 0)],
+    edgeTrails: a.edgeTrails && b.edgeTrails ? [...a.edgeTrails, ...connector, ...b.edgeTrails] : null,
+    links: [...a.links, ...b.links.map(l => ({ ...l, vertex: mapB(l.vertex) }))],
+  };
+}
+
+/**
+ * How to line two routes up end to start, or null when no ends meet.
+ * @returns {{ reverseRoute: boolean, reverseOther: boolean, otherFirst: boolean }|null}
+ */
+function joinOrientation(route, other) {
+  const [a0, a1] = lineEnds(route);
+  const [b0, b1] = lineEnds(other);
+  const near = (p, q) => haversineMeters(p, q) <= JOIN_TOLERANCE_METERS;
+  if (near(a1, b0)) return { reverseRoute: false, reverseOther: false, otherFirst: false };
+  if (near(a1, b1)) return { reverseRoute: false, reverseOther: true, otherFirst: false };
+  if (near(a0, b1)) return { reverseRoute: false, reverseOther: false, otherFirst: true };
+  if (near(a0, b0)) return { reverseRoute: true, reverseOther: false, otherFirst: false };
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Writing back
+// ---------------------------------------------------------------------------
+
+/** Stored route properties for a layout (distances recomputed). */
+function layoutProperties(layout) {
+  const dayhikeMiles = layout.links
+    .filter(l => l.feature.properties.type === "dayhike_spur")
+    .reduce((sum, l) => sum + spurWalkedMiles(l.feature), 0);
+  return {
+    vertex_types: layout.types,
+    vertex_snapped: layout.snapped,
+    vertex_coords: layout.coords,
+    edge_trails: layout.edgeTrails,
+    main_route_distance_mi: turf.length(turf.lineString(layout.line), { units: "miles" }),
+    dayhike_distance_mi: dayhikeMiles,
+  };
+}
+
+/**
+ * Replace a route's line and vertex arrays with a layout and relink its
+ * children. Elevation is dropped unless given, for the caller to refetch.
+ */
+function writeLayout(trip, route, layout, elevation = null) {
+  TripManager.updateFeature(trip.features.indexOf(route), {
+    ...layoutProperties(layout),
+    ...(elevation || { elevation_profile: null, elevation_gain_ft: null, elevation_loss_ft: null }),
+  }, { type: "LineString", coordinates: layout.line });
+  relinkFeatures(trip, route, layout.links);
+}
+
+function relinkFeatures(trip, route, links) {
+  const routeIdx = trip.features.indexOf(route);
+  for (const { feature, vertex } of links) {
+    const p = feature.properties;
+    if (p.route_id === route.properties._id && p.route_index === routeIdx && p.route_vertex_index === vertex) continue;
+    TripManager.updateFeature(trip.features.indexOf(feature), {
+      route_id: route.properties._id,
+      route_index: routeIdx,
+      route_vertex_index: vertex,
+    });
+  }
+}
+
+/**
+ * Give the dated camp / rest points their dates in ascending walking order.
+ * A point filed under the day of its old date moves to the day of its new one.
+ */
+function resequenceDates(trip, links) {
+  const dated = links
+    .filter(l => DAY_BOUNDARY_TYPES.has(l.feature.properties.type) && l.feature.properties.date)
+    .sort((a, b) => a.vertex - b.vertex);
+  const dates = dated.map(l => l.feature.properties.date).sort(); // ISO dates sort as strings
+  const days = trip.days || [];
+  dated.forEach(({ feature }, i) => {
+    const { _id: id, date } = feature.properties;
+    if (date === dates[i]) return;
+    const filedUnder = days.find(d => (d.features || []).includes(id));
+    const target = days.find(d => d.date === dates[i]);
+    TripManager.updateFeature(trip.features.indexOf(feature), { date: dates[i] });
+    if (filedUnder && target && filedUnder.date === date) TripManager.moveFeature(id, "day", target.id);
+  });
+}
+
+/** Put a feature next to another in its day (or leave it unassigned). */
+function placeAfter(trip, featureId, afterId) {
+  const day = (trip.days || []).find(d => (d.features || []).includes(afterId));
+  if (!day) return;
+  const next = day.features[day.features.indexOf(afterId) + 1];
+  TripManager.moveFeature(featureId, "day", day.id, next);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function findRoute(trip, routeId) {
+  const f = trip?.features.find(feature => feature.properties._id === routeId);
+  return f?.properties.type === "route" && f.geometry?.coordinates?.length >= 2 ? f : null;
+}
+
+/** Indices of the vertices the main line passes through (all but spur ends). */
+function mainVertexIndices(types) {
+  return types.map((t, i) => i).filter(i => types[i] !== "dayhike" || i === 0);
+}
+
+/** A vertex that ends up mid-route must not read as a spur end. */
+function mainType(type) {
+  return type === "dayhike" ? "route" : type;
+}
+
+function lineEnds(route) {
+  const line = route.geometry.coordinates;
+  return [line[0], line[line.length - 1]];
+}
+
+function sameCoord(a, b) {
+  return Math.abs(a[0] - b[0]) <= 1e-10 && Math.abs(a[1] - b[1]) <= 1e-10;
+}
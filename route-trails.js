@@ -0,0 +1,128 @@
+/**
+ * OutHere Route Trails — which trails a route follows
+ *
+ * Drawn routes keep the trails they follow per main edge (the line between
+ * two consecutive main vertices), so edits that re-route one edge, and
+ * split / join / reverse, can carry the rest over untouched:
+ *   properties.edge_trails = [[{ trail_id, name, difficulty, distance_mi,
+ *     off_trail? }, ...], ...]
+ * one run list per edge, in walking order. Straight stretches that follow
+ * no trail are a single off_trail run. Routes drawn before this existed,
+ * and imported ones, have no edge_trails.
+ */
+
+import { haversineMeters, closestPointOnSegment } from "./trail-graph.js";
+import { lineLengthMeters, M_PER_MI } from "./geometry.js";
+
+// ---------------------------------------------------------------------------
+// Building runs
+// ---------------------------------------------------------------------------
+
+/** Runs from a trail-network route (findRoute's `trails`). */
+export function runsFromRoutedTrails(trails) {
+  return trails.map(t => ({
+    trail_id: t.trailId ?? null,
+    name: t.trailName ?? null,
+    difficulty: t.difficulty ?? null,
+    distance_mi: t.distanceMeters / M_PER_MI,
+  }));
+}
+
+/** A single run along one trail (a trail ref or trailInfo-like object). */
+export function runOnTrail(trail, coords) {
+  return [{
+    trail_id: trail.trailId ?? null,
+    name: trail.trailName ?? null,
+    difficulty: trail.difficulty ?? null,
+    distance_mi: lineLengthMeters(coords) / M_PER_MI,
+  }];
+}
+
+/** A straight stretch off any trail. */
+export function runOffTrail(coords) {
+  return [{ trail_id: null, name: null, difficulty: null, distance_mi: lineLengthMeters(coords) / M_PER_MI, off_trail: true }];
+}
+
+/**
+ * Runs for a line joining two different trails outside the network: the
+ * first trail up to the first coordinate nearer the second trail's
+ * geometry, the second trail from there.
+ */
+export function runsBetweenTrails(fromRef, toRef, coords) {
+  const nearest = (c, trailCoords) => {
+    let best = trailCoords.length === 1 ? haversineMeters(c, trailCoords[0]) : Infinity;
+    for (let i = 1; i < trailCoords.length; i++) {
+      best = Math.min(best, closestPointOnSegment(c, trailCoords[i - 1], trailCoords[i]).distance);
+    }
+    return best;
+  };
+  let cut = coords.length - 1;
+  for (let i = 0; i < coords.length; i++) {
+    if (nearest(coords[i], toRef.trailCoords) < nearest(coords[i], fromRef.trailCoords)) {
+      cut = i;
+      break;
+    }
+  }
+  return mergeRuns([
+    ...(cut > 0 ? runOnTrail(fromRef, coords.slice(0, cut + 1)) : []),
+    ...(cut < coords.length - 1 ? runOnTrail(toRef, coords.slice(cut)) : []),
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// Edge lists
+// ---------------------------------------------------------------------------
+
+/** Runs of a set of edges walked backwards (e.g. an out-and-back's return). */
+export function reverseEdgeTrails(edgeTrails) {
+  return [...edgeTrails].reverse().map(runs => [...runs].reverse());
+}
+
+/** Merge consecutive runs along the same trail (or consecutive off-trail runs). */
+export function mergeRuns(runs) {
+  const merged = [];
+  for (const run of runs) {
+    const last = merged[merged.length - 1];
+    if (last && sameTrailRun(last, run)) last.distance_mi += run.distance_mi;
+    else merged.push({ ...run });
+  }
+  return merged;
+}
+
+function sameTrailRun(a, b) {
+  if (a.off_trail || b.off_trail) return !!a.off_trail && !!b.off_trail;
+  if (a.trail_id != null && b.trail_id != null) return a.trail_id === b.trail_id;
+  return a.name != null && a.name === b.name;
+}
+
+// ---------------------------------------------------------------------------
+// Breakdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Per-trail totals of a route, in the order the trails are first walked.
+ * Unnamed trails are pooled, as is everything off trail.
+ * @returns {{ name: string|null, difficulty: string|null, distance_mi: number, off_trail: boolean }[]|null}
+ *   null when the route has no edge_trails
+ */
+export function summarizeRouteTrails(route) {
+  const edges = route.properties.edge_trails;
+  if (!Array.isArray(edges) || edges.length === 0) return null;
+  const rows = new Map();
+  for (const run of edges.flat()) {
+    const key = run.off_trail ? "off" : run.name ? `name:${run.name}` : "unnamed";
+    const row = rows.get(key);
+    if (row) {
+      row.distance_mi += run.distance_mi;
+      row.difficulty = row.difficulty || run.difficulty;
+    } else {
+      rows.set(key, {
+        name: run.off_trail ? null : run.name,
+        difficulty: run.difficulty,
+        distance_mi: run.distance_mi,
+        off_trail: !!run.off_trail,
+      });
+    }
+  }
+  return [...rows.values()];
+}
@@ -0,0 +1,120 @@
+/**
+ * OutHere Snap Index — nearest-line lookups for snapping
+ *
+ * A uniform grid over the segments of one style layer's line features
+ * (querySourceFeatures on its source layer), so finding the line closest to
+ * the cursor only measures the few segments around it instead of running
+ * nearestPointOnLine over every rendered trail on each mouse move. The
+ * source features cover every loaded tile, so lines just off-screen snap
+ * too.
+ *
+ * Pure module like trail-graph.js: planning.js owns the indexes and drops
+ * them once newly loaded tiles settle.
+ */
+
+import { closestPointOnSegment } from "./trail-graph.js";
+
+const CELL_DEG = 0.002; // grid cell size (~200 m), as in the trail graph
+
+// ---------------------------------------------------------------------------
+// Index construction
+// ---------------------------------------------------------------------------
+
+/**
+ * Index the line geometry of a set of features. MultiLineStrings are split
+ * into one line per part; points and polygons are skipped.
+ * @param {object[]} features - source features (e.g. from querySourceFeatures)
+ * @param {string} layerId - style layer the features are snapped as; stored on
+ *   each line as `layer.id`, like queryRenderedFeatures results
+ * @returns {{ lines: object[], grid: Map<string, number[]> }}
+ */
+export function buildSnapIndex(features, layerId) {
+  const index = { lines: [], grid: new Map() };
+  for (const feature of features || []) {
+    const geometry = feature.geometry;
+    const parts = geometry?.type === "LineString" ? [geometry.coordinates]
+      : geometry?.type === "MultiLineString" ? geometry.coordinates
+      : [];
+    for (const coords of parts) {
+      if (!coords || coords.length < 2) continue;
+      const lineIdx = index.lines.length;
+      index.lines.push({
+        type: "Feature",
+        id: feature.id,
+        properties: feature.properties || {},
+        geometry: { type: "LineString", coordinates: coords },
+        layer: { id: layerId },
+      });
+      for (let i = 1; i < coords.length; i++) addSegment(index, lineIdx, i - 1, coords[i - 1], coords[i]);
+    }
+  }
+  return index;
+}
+
+/** File segment `seg` of line `lineIdx` under every cell its bbox touches. */
+function addSegment(index, lineIdx, seg, a, b) {
+  const x0 = Math.floor(Math.min(a[0], b[0]) / CELL_DEG);
+  const x1 = Math.floor(Math.max(a[0], b[0]) / CELL_DEG);
+  const y0 = Math.floor(Math.min(a[1], b[1]) / CELL_DEG);
+  const y1 = Math.floor(Math.max(a[1], b[1]) / CELL_DEG);
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cy = y0; cy <= y1; cy++) {
+      const key = `${cx}:${cy}`;
+      let cell = index.grid.get(key);
+      if (!cell) index.grid.set(key, cell = []);
+      cell.push(lineIdx, seg); // flat pairs keep big indexes light
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/**
+ * The closest point on any indexed line within maxMeters of `coord`.
+ * `segmentIndex` follows turf.nearestPointOnLine's `index`: the segment's
+ * start vertex, or the end vertex when the point lands exactly on it.
+ * @param {object} index - from buildSnapIndex()
+ * @param {[number, number]} coord - [lng, lat]
+ * @param {number} maxMeters
+ * @param {(line: object) => boolean} [accept] - skip lines it rejects
+ * @returns {{ feature: object, point: number[], segmentIndex: number, distance: number }|null}
+ */
+export function findNearestLine(index, coord, maxMeters, accept = () => true) {
+  const dLat = maxMeters / 110540;
+  const dLng = maxMeters / (111320 * Math.max(0.01, Math.cos(coord[1] * Math.PI / 180)));
+  const x0 = Math.floor((coord[0] - dLng) / CELL_DEG);
+  const x1 = Math.floor((coord[0] + dLng) / CELL_DEG);
+  const y0 = Math.floor((coord[1] - dLat) / CELL_DEG);
+  const y1 = Math.floor((coord[1] + dLat) / CELL_DEG);
+
+  const verdicts = new Map(); // lineIdx → accept() result, asked once per line
+  let best = null;
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cy = y0; cy <= y1; cy++) {
+      const cell = index.grid.get(`${cx}:${cy}`);
+      if (!cell) continue;
+      for (let k = 0; k < cell.length; k += 2) {
+        const lineIdx = cell[k];
+        const seg = cell[k + 1];
+        const line = index.lines[lineIdx];
+        if (!verdicts.has(lineIdx)) verdicts.set(lineIdx, accept(line));
+        if (!verdicts.get(lineIdx)) continue;
+
+        const coords = line.geometry.coordinates;
+        const hit = closestPointOnSegment(coord, coords[seg], coords[seg + 1]);
+        if (hit.distance > maxMeters || (best && hit.distance >= best.distance)) continue;
+        // Land exactly on a vertex when the closest point is one
+        const atEnd = hit.t >= 1;
+        best = {
+          feature: line,
+          point: hit.t <= 0 ? coords[seg].slice(0, 2) : atEnd ? coords[seg + 1].slice(0, 2) : hit.point,
+          segmentIndex: atEnd ? seg + 1 : seg,
+          distance: hit.distance,
+        };
+      }
+    }
+  }
+  return best;
+}
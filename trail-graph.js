@@ -0,0 +1,612 @@
+/**
+ * OutHere Trip Planning — Trail Network Graph
+ *
+ * Builds a routable graph from `trails` source-layer features and runs A*
+ * shortest-path searches between arbitrary points on the network.
+ *
+ * Vector tiles split long trails at tile boundaries, so the raw features are
+ * fragments. Vertices shared between features (junctions, identical tile
+ * cut points) collapse into one node via coordinate quantization; fragment
+ * ends that still dangle are stitched to the nearest trail within
+ * MERGE_GAP_TOLERANCE_METERS — the same tolerance mergeTrailFragments uses.
+ *
+ * Pure module: no map or turf dependency (distances are haversine), so it can
+ * run anywhere the feature coordinates can be handed to it.
+ */
+
+export const MERGE_GAP_TOLERANCE_METERS = 20; // max gap between trail fragment endpoints for merge
+
+const EARTH_RADIUS_M = 6371008.8;
+const NODE_PRECISION = 1e5;      // node key quantization (~1 m)
+const GRID_CELL_DEG = 0.002;     // edge index cell size (~200 m)
+const MAX_SEARCH_NODES = 200000; // A* expansion cap — give up rather than freeze
+const AVOID_COST_FACTOR = 3;     // edges on an `avoid` path cost this many times their length
+const AVOID_MATCH_METERS = 3;    // nodes this close to an `avoid` path are on it (routed lines are simplified)
+
+// ---------------------------------------------------------------------------
+// Geometry helpers
+// ---------------------------------------------------------------------------
+
+/** Great-circle distance between two [lng, lat] positions, in meters. */
+export function haversineMeters(a, b) {
+  const toRad = Math.PI / 180;
+  const dLat = (b[1] - a[1]) * toRad;
+  const dLng = (b[0] - a[0]) * toRad;
+  const s = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a[1] * toRad) * Math.cos(b[1] * toRad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(s)));
+}
+
+/**
+ * Closest point to `p` on segment a→b, using a local equirectangular
+ * projection (accurate to well under a meter at trail-segment scale).
+ * @returns {{ t: number, point: [number, number], distance: number }}
+ */
+export function closestPointOnSegment(p, a, b) {
+  const kx = Math.cos(p[1] * Math.PI / 180) * 111320;
+  const ky = 110540;
+  const ax = (a[0] - p[0]) * kx, ay = (a[1] - p[1]) * ky;
+  const bx = (b[0] - p[0]) * kx, by = (b[1] - p[1]) * ky;
+  const dx = bx - ax, dy = by - ay;
+  const lenSq = dx * dx + dy * dy;
+  let t = lenSq > 0 ? -(ax * dx + ay * dy) / lenSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  return { t, point, distance: haversineMeters(p, point) };
+}
+
+/**
+ * Junctions between two trails: every pair of coordinates, one from each
+ * line, within MERGE_GAP_TOLERANCE_METERS of each other, in order along
+ * line A. Cue sheets place their turns at them.
+ * @returns {{ ai: number, bi: number, gapMeters: number }[]}
+ */
+export function findTrailJunctions(coordsA, coordsB) {
+  const junctions = [];
+  for (let ai = 0; ai < coordsA.length; ai++) {
+    for (let bi = 0; bi < coordsB.length; bi++) {
+      const gapMeters = haversineMeters(coordsA[ai], coordsB[bi]);
+      if (gapMeters <= MERGE_GAP_TOLERANCE_METERS) junctions.push({ ai, bi, gapMeters });
+    }
+  }
+  return junctions;
+}
+
+function nodeKey(coord) {
+  return `${Math.round(coord[0] * NODE_PRECISION)},${Math.round(coord[1] * NODE_PRECISION)}`;
+}
+
+function cellKey(cx, cy) {
+  return `${cx}:${cy}`;
+}
+
+/** Split a LineString / MultiLineString geometry into coordinate arrays. */
+function lineParts(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "LineString") return [geometry.coordinates];
+  if (geometry.type === "MultiLineString") return geometry.coordinates;
+  return [];
+}
+
+/** Trail attributes carried on every edge (mirrors planning.js trail refs). */
+export function trailInfo(feature) {
+  return {
+    trailId: feature.id ?? feature.properties?.osm_id ?? null,
+    trailName: feature.properties?.name ?? null,
+    difficulty: feature.properties?.difficulty ?? null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Graph construction
+// ---------------------------------------------------------------------------
+
+function addNode(graph, coord) {
+  const key = nodeKey(coord);
+  let idx = graph.nodeIndex.get(key);
+  if (idx === undefined) {
+    idx = graph.nodes.length;
+    graph.nodes.push({ coord, edges: [] });
+    graph.nodeIndex.set(key, idx);
+  }
+  return idx;
+}
+
+function indexEdge(graph, edgeIdx) {
+  const e = graph.edges[edgeIdx];
+  const a = graph.nodes[e.a].coord;
+  const b = graph.nodes[e.b].coord;
+  const x0 = Math.floor(Math.min(a[0], b[0]) / GRID_CELL_DEG);
+  const x1 = Math.floor(Math.max(a[0], b[0]) / GRID_CELL_DEG);
+  const y0 = Math.floor(Math.min(a[1], b[1]) / GRID_CELL_DEG);
+  const y1 = Math.floor(Math.max(a[1], b[1]) / GRID_CELL_DEG);
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cy = y0; cy <= y1; cy++) {
+      const key = cellKey(cx, cy);
+      let cell = graph.grid.get(key);
+      if (!cell) graph.grid.set(key, cell = []);
+      cell.push(edgeIdx);
+    }
+  }
+}
+
+function addEdge(graph, a, b, trail, part) {
+  if (a === b) return -1;
+  const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+  if (graph.edgeKeys.has(key)) return -1; // duplicate from an overlapping tile
+  graph.edgeKeys.add(key);
+  const idx = graph.edges.length;
+  const length = haversineMeters(graph.nodes[a].coord, graph.nodes[b].coord);
+  graph.edges.push({ a, b, length, trail, part });
+  graph.nodes[a].edges.push(idx);
+  graph.nodes[b].edges.push(idx);
+  indexEdge(graph, idx);
+  return idx;
+}
+
+/** Edge indices whose grid cells intersect a radius around `coord`. */
+function edgesNear(graph, coord, radiusMeters) {
+  const dLat = radiusMeters / 110540;
+  const dLng = radiusMeters / (111320 * Math.max(0.01, Math.cos(coord[1] * Math.PI / 180)));
+  const x0 = Math.floor((coord[0] - dLng) / GRID_CELL_DEG);
+  const x1 = Math.floor((coord[0] + dLng) / GRID_CELL_DEG);
+  const y0 = Math.floor((coord[1] - dLat) / GRID_CELL_DEG);
+  const y1 = Math.floor((coord[1] + dLat) / GRID_CELL_DEG);
+  const found = new Set();
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cy = y0; cy <= y1; cy++) {
+      for (const e of graph.grid.get(cellKey(cx, cy)) || []) found.add(e);
+    }
+  }
+  return found;
+}
+
+/**
+ * Split edge `edgeIdx` at `coord`, returning the new middle node. The
+ * original edge slot keeps the a→mid half so existing indices stay valid.
+ */
+function splitEdge(graph, edgeIdx, coord) {
+  const e = graph.edges[edgeIdx];
+  const mid = addNode(graph, coord);
+  if (mid === e.a || mid === e.b) return mid;
+  const oldB = e.b;
+  graph.nodes[oldB].edges = graph.nodes[oldB].edges.filter(i => i !== edgeIdx);
+  graph.edgeKeys.delete(e.a < oldB ? `${e.a}-${oldB}` : `${oldB}-${e.a}`);
+  e.b = mid;
+  e.length = haversineMeters(graph.nodes[e.a].coord, coord);
+  graph.edgeKeys.add(e.a < mid ? `${e.a}-${mid}` : `${mid}-${e.a}`);
+  graph.nodes[mid].edges.push(edgeIdx);
+  indexEdge(graph, edgeIdx);
+  addEdge(graph, mid, oldB, e.trail, e.part);
+  return mid;
+}
+
+/**
+ * Connect dangling fragment ends (degree-1 nodes) to the closest other trail
+ * geometry within MERGE_GAP_TOLERANCE_METERS — splitting that trail's edge
+ * when the closest point falls between two of its vertices.
+ */
+function stitchDeadEnds(graph) {
+  const deadEnds = [];
+  graph.nodes.forEach((node, idx) => {
+    if (node.edges.length === 1) deadEnds.push(idx);
+  });
+
+  for (const nodeIdx of deadEnds) {
+    const node = graph.nodes[nodeIdx];
+    if (node.edges.length !== 1) continue; // already stitched from the other side
+    const ownEdge = graph.edges[node.edges[0]];
+
+    let best = null;
+    for (const edgeIdx of edgesNear(graph, node.coord, MERGE_GAP_TOLERANCE_METERS)) {
+      const e = graph.edges[edgeIdx];
+      if (e.part === ownEdge.part || e.a === nodeIdx || e.b === nodeIdx) continue;
+      const hit = closestPointOnSegment(node.coord, graph.nodes[e.a].coord, graph.nodes[e.b].coord);
+      if (hit.distance <= MERGE_GAP_TOLERANCE_METERS && (!best || hit.distance < best.distance)) {
+        best = { edgeIdx, ...hit };
+      }
+    }
+    if (!best) continue;
+
+    const e = graph.edges[best.edgeIdx];
+    const target = best.t <= 0 ? e.a
+      : best.t >= 1 ? e.b
+      : splitEdge(graph, best.edgeIdx, best.point);
+    addEdge(graph, nodeIdx, target, ownEdge.trail, ownEdge.part);
+  }
+}
+
+/**
+ * Build a routable graph from trail features (e.g. querySourceFeatures on
+ * the `trails` source layer). Accepts LineString and MultiLineString.
+ */
+export function buildTrailGraph(features) {
+  const graph = {
+    nodes: [],              // { coord, edges: [edgeIdx] }
+    edges: [],              // { a, b, length (m), trail, part }
+    nodeIndex: new Map(),   // quantized coord key → node index
+    edgeKeys: new Set(),    // "a-b" dedupe keys
+    grid: new Map(),        // cell key → [edgeIdx] spatial index
+  };
+
+  let part = 0;
+  for (const feature of features || []) {
+    const trail = trailInfo(feature);
+    for (const coords of lineParts(feature.geometry)) {
+      if (!coords || coords.length < 2) continue;
+      let prev = addNode(graph, coords[0]);
+      for (let i = 1; i < coords.length; i++) {
+        const curr = addNode(graph, coords[i]);
+        addEdge(graph, prev, curr, trail, part);
+        prev = curr;
+      }
+      part++;
+    }
+  }
+
+  stitchDeadEnds(graph);
+  return graph;
+}
+
+// ---------------------------------------------------------------------------
+// Locating points + shortest path
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the closest point on the network to `coord` within maxMeters.
+ * @param {(edge: object) => boolean} [accept] - skip edges it rejects
+ * @returns {{ edgeIdx: number, t: number, point: [number, number], distance: number }|null}
+ */
+export function locateOnGraph(graph, coord, maxMeters = MERGE_GAP_TOLERANCE_METERS, accept = () => true) {
+  let best = null;
+  for (const edgeIdx of edgesNear(graph, coord, maxMeters)) {
+    const e = graph.edges[edgeIdx];
+    if (!accept(e)) continue;
+    const hit = closestPointOnSegment(coord, graph.nodes[e.a].coord, graph.nodes[e.b].coord);
+    if (hit.distance <= maxMeters && (!best || hit.distance < best.distance)) {
+      best = { edgeIdx, ...hit };
+    }
+  }
+  return best;
+}
+
+/** Add to `found` every node within toleranceMeters of the line `path`. */
+function nodesAlong(graph, path, toleranceMeters, found) {
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1], b = path[i];
+    const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const radius = haversineMeters(a, b) / 2 + toleranceMeters;
+    for (const edgeIdx of edgesNear(graph, mid, radius)) {
+      const e = graph.edges[edgeIdx];
+      for (const node of [e.a, e.b]) {
+        if (found.has(node)) continue;
+        if (closestPointOnSegment(graph.nodes[node].coord, a, b).distance <= toleranceMeters) found.add(node);
+      }
+    }
+  }
+  return found;
+}
+
+/** Minimal binary min-heap keyed on `f`. */
+class MinHeap {
+  constructor() { this.items = []; }
+  get size() { return this.items.length; }
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (a[parent].f <= a[i].f) break;
+      [a[parent], a[i]] = [a[i], a[parent]];
+      i = parent;
+    }
+  }
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length > 0) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let m = i;
+        if (l < a.length && a[l].f < a[m].f) m = l;
+        if (r < a.length && a[r].f < a[m].f) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+function sameTrail(a, b) {
+  if (!a || !b) return false;
+  if (a.trailId != null && b.trailId != null) return a.trailId === b.trailId;
+  return a.trailName === b.trailName;
+}
+
+/** Collapse a per-step trail list into consecutive runs with distances. */
+function summarizeTrails(steps) {
+  const runs = [];
+  for (const step of steps) {
+    const last = runs[runs.length - 1];
+    if (last && sameTrail(last, step.trail)) {
+      last.distanceMeters += step.length;
+    } else {
+      runs.push({ ...step.trail, distanceMeters: step.length });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Shortest path over the trail network between two arbitrary points (each
+ * must lie within maxSnapMeters of a trail). Endpoints in the result are the
+ * exact input coordinates, so callers can treat them as canonical vertices.
+ *
+ * Edges along any of the `avoid` paths (e.g. the way out, when looking for
+ * a different way back) cost AVOID_COST_FACTOR times their length, so the
+ * search takes another trail unless it is much longer. The paths are matched
+ * by geometry, not node for node: routed lines come back simplified, so most
+ * of a path's graph nodes are no longer among its coordinates.
+ *
+ * ignoreHardTrails / namedTrailsOnly leave out the trails the snap settings
+ * pass over (see getSnapSettings in planning.js), so routes keep to the
+ * trails a vertex could snap to.
+ *
+ * @param {object} graph - from buildTrailGraph()
+ * @param {[number, number]} fromCoord
+ * @param {[number, number]} toCoord
+ * @param {{ maxSnapMeters?: number, avoid?: number[][][], ignoreHardTrails?: boolean,
+ *   namedTrailsOnly?: boolean }} [options]
+ * @returns {{ coords: number[][], distanceMeters: number,
+ *             trails: { trailId, trailName, difficulty, distanceMeters }[] }|null}
+ *   distanceMeters is the true length, penalties aside
+ */
+export function findRoute(graph, fromCoord, toCoord, {
+  maxSnapMeters = MERGE_GAP_TOLERANCE_METERS, avoid = [], ignoreHardTrails = false, namedTrailsOnly = false,
+} = {}) {
+  if (!graph || graph.edges.length === 0) return null;
+  const usable = (e) => !(ignoreHardTrails && e.trail.difficulty === "hard") && !(namedTrailsOnly && !e.trail.trailName);
+  const start = locateOnGraph(graph, fromCoord, maxSnapMeters, usable);
+  const end = locateOnGraph(graph, toCoord, maxSnapMeters, usable);
+  if (!start || !end) return null;
+
+  const startEdge = graph.edges[start.edgeIdx];
+  const endEdge = graph.edges[end.edgeIdx];
+
+  // Both points on the same straight edge — the edge itself is the route.
+  if (start.edgeIdx === end.edgeIdx) {
+    const length = haversineMeters(fromCoord, toCoord);
+    return {
+      coords: [fromCoord, toCoord],
+      distanceMeters: length,
+      trails: summarizeTrails([{ trail: startEdge.trail, length }]),
+    };
+  }
+
+  // Virtual goal: reachable from either endpoint of the end edge.
+  const GOAL = -1;
+  const goalCost = new Map([
+    [endEdge.a, end.t * endEdge.length],
+    [endEdge.b, (1 - end.t) * endEdge.length],
+  ]);
+
+  const avoided = new Set();
+  for (const path of avoid) nodesAlong(graph, path, AVOID_MATCH_METERS, avoided);
+  const edgeCost = (e) => (avoided.has(e.a) && avoided.has(e.b) ? e.length * AVOID_COST_FACTOR : e.length);
+
+  const g = new Map();      // node → best known cost
+  const prev = new Map();   // node → { from, edgeIdx, length }
+  const closed = new Set();
+  const open = new MinHeap();
+  const h = (nodeIdx) => haversineMeters(graph.nodes[nodeIdx].coord, toCoord);
+
+  for (const [nodeIdx, cost] of [
+    [startEdge.a, start.t * startEdge.length],
+    [startEdge.b, (1 - start.t) * startEdge.length],
+  ]) {
+    if (cost < (g.get(nodeIdx) ?? Infinity)) {
+      g.set(nodeIdx, cost);
+      prev.set(nodeIdx, { from: null, edgeIdx: start.edgeIdx, length: cost });
+      open.push({ node: nodeIdx, f: cost + h(nodeIdx) });
+    }
+  }
+
+  let goalPrev = null;
+  let expanded = 0;
+  while (open.size > 0) {
+    const { node } = open.pop();
+    if (node === GOAL) break;
+    if (closed.has(node)) continue;
+    closed.add(node);
+    if (++expanded > MAX_SEARCH_NODES) return null;
+
+    const gNode = g.get(node);
+    if (goalCost.has(node)) {
+      const total = gNode + goalCost.get(node);
+      if (total < (g.get(GOAL) ?? Infinity)) {
+        g.set(GOAL, total);
+        goalPrev = { from: node, edgeIdx: end.edgeIdx, length: goalCost.get(node) };
+        open.push({ node: GOAL, f: total });
+      }
+    }
+
+    for (const edgeIdx of graph.nodes[node].edges) {
+      const e = graph.edges[edgeIdx];
+      const next = e.a === node ? e.b : e.a;
+      if (closed.has(next) || !usable(e)) continue;
+      const cost = gNode + edgeCost(e);
+      if (cost < (g.get(next) ?? Infinity)) {
+        g.set(next, cost);
+        prev.set(next, { from: node, edgeIdx, length: e.length });
+        open.push({ node: next, f: cost + h(next) });
+      }
+    }
+  }
+
+  if (!goalPrev) return null;
+
+  // Walk back from the goal to rebuild the coordinate path
+  const nodePath = [];
+  const steps = [{ trail: endEdge.trail, length: goalPrev.length }];
+  let cursor = goalPrev.from;
+  while (cursor !== null) {
+    nodePath.push(cursor);
+    const p = prev.get(cursor);
+    steps.push({ trail: graph.edges[p.edgeIdx].trail, length: p.length });
+    cursor = p.from;
+  }
+  nodePath.reverse();
+  steps.reverse();
+
+  const coords = [fromCoord, ...nodePath.map(n => graph.nodes[n].coord), toCoord];
+  return {
+    coords,
+    distanceMeters: steps.reduce((sum, s) => sum + s.length, 0),
+    trails: summarizeTrails(steps.filter(s => s.length > 0)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Whole-trail tracing
+// ---------------------------------------------------------------------------
+
+/**
+ * Stitch the loaded fragments of one trail (matched by id, else name) into a
+ * single line: the longest end-to-end path over that trail's own edges, in
+ * its largest connected piece. A trail with no dead ends (a loop) is traced
+ * all the way round.
+ *
+ * @param {object} graph - from buildTrailGraph()
+ * @param {{ trailId, trailName }} trail - e.g. trailInfo(feature)
+ * @returns {{ coords: number[][], lengthMeters: number, pathMeters: number }|null}
+ *   lengthMeters sums every loaded edge of the trail (branches included);
+ *   pathMeters is the length of `coords`
+ */
+export function traceTrail(graph, trail) {
+  if (!graph) return null;
+  const own = [];
+  graph.edges.forEach((e, idx) => { if (sameTrail(e.trail, trail)) own.push(idx); });
+  if (own.length === 0) return null;
+  const lengthMeters = own.reduce((sum, idx) => sum + graph.edges[idx].length, 0);
+
+  const edgeSet = largestComponent(graph, own);
+  const degree = new Map();
+  for (const idx of edgeSet) {
+    const e = graph.edges[idx];
+    degree.set(e.a, (degree.get(e.a) || 0) + 1);
+    degree.set(e.b, (degree.get(e.b) || 0) + 1);
+  }
+  const deadEnd = [...degree].find(([, d]) => d === 1)?.[0];
+
+  let nodePath;
+  if (deadEnd !== undefined) {
+    // Double sweep: the farthest node from any end, then the farthest from that
+    const a = farthestNode(sweepWithin(graph, edgeSet, deadEnd).dist);
+    const sweep = sweepWithin(graph, edgeSet, a);
+    nodePath = walkBack(sweep.prev, farthestNode(sweep.dist));
+  } else {
+    // Loop: out to the far side, then home along the edges not yet used
+    const seed = graph.edges[edgeSet.values().next().value].a;
+    const out = sweepWithin(graph, edgeSet, seed);
+    const far = farthestNode(out.dist);
+    nodePath = walkBack(out.prev, far);
+    const used = new Set(nodePath.slice(1).map(n => out.prev.get(n).edgeIdx));
+    const back = sweepWithin(graph, new Set([...edgeSet].filter(idx => !used.has(idx))), far);
+    if (back.dist.has(seed)) nodePath = nodePath.concat(walkBack(back.prev, seed).slice(1));
+  }
+
+  const coords = nodePath.map(n => graph.nodes[n].coord);
+  let pathMeters = 0;
+  for (let i = 1; i < coords.length; i++) pathMeters += haversineMeters(coords[i - 1], coords[i]);
+  return coords.length >= 2 ? { coords, lengthMeters, pathMeters } : null;
+}
+
+/** The connected subset of `edgeIdxs` with the greatest total length. */
+function largestComponent(graph, edgeIdxs) {
+  const byNode = new Map();
+  for (const idx of edgeIdxs) {
+    const e = graph.edges[idx];
+    for (const n of [e.a, e.b]) {
+      if (!byNode.has(n)) byNode.set(n, []);
+      byNode.get(n).push(idx);
+    }
+  }
+  const seen = new Set();
+  let best = null, bestLength = -1;
+  for (const start of edgeIdxs) {
+    if (seen.has(start)) continue;
+    const component = new Set([start]);
+    const stack = [start];
+    seen.add(start);
+    let length = 0;
+    while (stack.length > 0) {
+      const e = graph.edges[stack.pop()];
+      length += e.length;
+      for (const n of [e.a, e.b]) {
+        for (const next of byNode.get(n)) {
+          if (seen.has(next)) continue;
+          seen.add(next);
+          component.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    if (length > bestLength) {
+      best = component;
+      bestLength = length;
+    }
+  }
+  return best;
+}
+
+/** Dijkstra from `source` over a subset of edges. */
+function sweepWithin(graph, edgeSet, source) {
+  const dist = new Map([[source, 0]]);
+  const prev = new Map([[source, null]]);
+  const open = new MinHeap();
+  open.push({ node: source, f: 0 });
+  const closed = new Set();
+  while (open.size > 0) {
+    const { node } = open.pop();
+    if (closed.has(node)) continue;
+    closed.add(node);
+    for (const edgeIdx of graph.nodes[node].edges) {
+      if (!edgeSet.has(edgeIdx)) continue;
+      const e = graph.edges[edgeIdx];
+      const next = e.a === node ? e.b : e.a;
+      const cost = dist.get(node) + e.length;
+      if (cost < (dist.get(next) ?? Infinity)) {
+        dist.set(next, cost);
+        prev.set(next, { from: node, edgeIdx });
+        open.push({ node: next, f: cost });
+      }
+    }
+  }
+  return { dist, prev };
+}
+
+function farthestNode(dist) {
+  let best = null, bestDist = -1;
+  for (const [node, d] of dist) {
+    if (d > bestDist) {
+      best = node;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+/** Node path from the sweep source to `target`. */
+function walkBack(prev, target) {
+  const path = [];
+  for (let node = target; node !== null && node !== undefined; node = prev.get(node)?.from ?? null) {
+    path.push(node);
+  }
+  return path.reverse();
+}
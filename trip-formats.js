@@ -0,0 +1,217 @@
+/**
+ * OutHere Trip Formats — shared plumbing for GPX / KML exchange
+ *
+ * The format modules (gpx.js, kml.js) only translate elements; building
+ * trip features from them and assembling the imported trip (spur links,
+ * days, unassigned pool) happens here so every format imports alike:
+ *   - routes and spurs are flagged elevation_pending, so the elevation
+ *     queue profiles them once the trip opens
+ *   - features with a date land on that day; days are created for every
+ *     date between the first and last one
+ */
+
+import { haversineMeters } from "./trail-graph.js";
+import { lineLengthMeters, M_PER_MI } from "./geometry.js";
+
+export const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+export const LINE_TYPES = new Set(["route", "dayhike_spur", "gps_track"]);
+export const TRIP_POINT_TYPES = new Set(["camp", "dayhike", "rest"]);
+export const WAYPOINT_SUBTYPES = ["water", "hazard", "resupply", "scenic"];
+
+// Spurs whose start lies this close to a route line are linked to it
+const SPUR_LINK_TOLERANCE_METERS = 25;
+
+// Guards against a stray far-off date turning into hundreds of empty days
+const MAX_IMPORTED_DAYS = 60;
+
+// ---------------------------------------------------------------------------
+// Feature builders
+// ---------------------------------------------------------------------------
+
+/**
+ * A trip point from an imported marker.
+ * @param {number[]} coord - [lng, lat]
+ * @param {string} kind - our feature type or waypoint subtype, if the file carries one
+ * @param {{ name?: string, notes?: string, date?: string, hint?: string }} fields -
+ *   hint is the file's own icon / symbol name, used to guess a waypoint subtype
+ */
+export function makePointFeature(coord, kind, { name = "", notes = "", date = "", hint = "" } = {}) {
+  const props = { _id: crypto.randomUUID(), name, notes };
+  if (TRIP_POINT_TYPES.has(kind)) {
+    props.type = kind;
+    props.point_type = kind;
+    props.date = ISO_DATE_RE.test(date) ? date : "";
+  } else {
+    props.type = "waypoint";
+    props.subtype = guessWaypointSubtype(kind, hint);
+  }
+  return { type: "Feature", geometry: { type: "Point", coordinates: coord.slice(0, 2) }, properties: props };
+}
+
+/** Waypoint subtype from our own type, else a best guess from the file's symbol. */
+function guessWaypointSubtype(kind, hint) {
+  if (WAYPOINT_SUBTYPES.includes(kind)) return kind;
+  const s = hint.toLowerCase();
+  if (/water|drink|spring/.test(s)) return "water";
+  if (/danger|hazard|skull|caution/.test(s)) return "hazard";
+  if (/shop|store|convenience|restaurant|lodging|post/.test(s)) return "resupply";
+  return "scenic"; // generic marker
+}
+
+/**
+ * A route, dayhike spur or GPS track from imported coordinates. Consecutive
+ * duplicates (segment joins) are dropped; only GPS tracks keep a third
+ * (elevation) value, planned lines are profiled from the DEM like drawn ones.
+ * @returns {object|null} null when fewer than 2 positions remain
+ */
+export function makeLineFeature(coords, type, { name = "", notes = "" } = {}) {
+  const line = [];
+  for (const c of coords) {
+    const prev = line[line.length - 1];
+    if (prev && prev[0] === c[0] && prev[1] === c[1]) continue;
+    line.push(type === "gps_track" && Number.isFinite(c[2]) ? c.slice(0, 3) : c.slice(0, 2));
+  }
+  if (line.length < 2) return null;
+
+  const props = { _id: crypto.randomUUID(), type, name, notes };
+  if (type === "route") {
+    props.main_route_distance_mi = lineLengthMeters(line) / M_PER_MI;
+    props.dayhike_distance_mi = 0;
+  }
+  if (type === "gps_track") props.distance_mi = lineLengthMeters(line) / M_PER_MI;
+  else props.elevation_pending = true;
+  return { type: "Feature", geometry: { type: "LineString", coordinates: line }, properties: props };
+}
+
+// ---------------------------------------------------------------------------
+// Trip assembly
+// ---------------------------------------------------------------------------
+
+/**
+ * Assemble imported features into a new trip FeatureCollection, ready for
+ * TripManager.loadFromGeoJSON.
+ * @param {{ name: string, readme?: string, features: object[], featureDates?: Map<string, string> }} parts -
+ *   featureDates maps feature _id → day date for features without a date of
+ *   their own (e.g. lines inside a KML day folder)
+ * @throws {Error} when there are no features
+ */
+export function createImportedTrip({ name, readme = "", features, featureDates = new Map() }) {
+  if (features.length === 0) throw new Error("file has no points, routes or tracks");
+  linkSpursToRoutes(features);
+
+  const trip = {
+    type: "FeatureCollection",
+    properties: {
+      trip_id: crypto.randomUUID(),
+      name,
+      location: "",
+      created: new Date().toISOString(),
+      sharing: "private",
+      readme,
+      notes: readme,
+      dates: null,
+      _schema_version: 4,
+    },
+    days: [],
+    unassigned: [],
+    features,
+  };
+  assignDays(trip, (f) => f.properties.date || featureDates.get(f.properties._id) || "");
+  return trip;
+}
+
+/**
+ * Reattach imported dayhike spurs to the route they branch off (the spur
+ * starts on the route line) and credit their walked distance to it.
+ * Spurs with no route nearby become plain GPS tracks.
+ */
+function linkSpursToRoutes(features) {
+  const routes = features.filter(f => f.properties.type === "route");
+  for (const spur of features) {
+    if (spur.properties.type !== "dayhike_spur") continue;
+    const start = spur.geometry.coordinates[0];
+    const route = routes.find(r =>
+      r.geometry.coordinates.some(c => haversineMeters(c, start) <= SPUR_LINK_TOLERANCE_METERS));
+    if (!route) {
+      spur.properties.type = "gps_track";
+      spur.properties.distance_mi = lineLengthMeters(spur.geometry.coordinates) / M_PER_MI;
+      delete spur.properties.elevation_pending;
+      continue;
+    }
+    spur.properties.route_index = features.indexOf(route);
+    spur.properties.route_id = route.properties._id;
+    // A spur that comes back to where it started is a loop, walked once
+    const coords = spur.geometry.coordinates;
+    const miles = lineLengthMeters(coords) / M_PER_MI;
+    if (haversineMeters(coords[0], coords[coords.length - 1]) <= SPUR_LINK_TOLERANCE_METERS) {
+      spur.properties.shape = "loop";
+      route.properties.dayhike_distance_mi += miles;
+    } else {
+      route.properties.dayhike_distance_mi += miles * 2;
+    }
+  }
+}
+
+/**
+ * Create a day for every date between the first and last dated feature and
+ * place dated features on their day; everything else lands in the
+ * unassigned pool.
+ */
+function assignDays(trip, dateOf) {
+  const dates = trip.features.map(dateOf).filter(d => ISO_DATE_RE.test(d)).sort();
+  if (dates.length > 0) {
+    const end = dates[dates.length - 1];
+    for (let date = dates[0]; date <= end && trip.days.length < MAX_IMPORTED_DAYS; date = nextDate(date)) {
+      trip.days.push({ id: crypto.randomUUID(), date, features: [], notes: "" });
+    }
+  }
+  const dayByDate = new Map(trip.days.map(d => [d.date, d]));
+  for (const f of trip.features) {
+    const day = dayByDate.get(dateOf(f));
+    if (day) day.features.push(f.properties._id);
+    else trip.unassigned.push(f.properties._id);
+  }
+  if (trip.days.length > 0) {
+    trip.properties.dates = { start: trip.days[0].date, end: trip.days[trip.days.length - 1].date };
+  }
+}
+
+function nextDate(isoDate) {
+  const d = new Date(isoDate + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// ---------------------------------------------------------------------------
+// XML helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an XML document, checking for the expected root element.
+ * @throws {Error} on malformed XML or a different root
+ */
+export function parseXML(text, rootName, label) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error(`Invalid ${label}: malformed XML`);
+  const root = doc.documentElement;
+  if (!root || root.localName !== rootName) throw new Error(`Invalid ${label}: missing <${rootName}> root`);
+  return root;
+}
+
+export function escapeXML(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/** Direct children with the given local name (ignores namespace prefixes). */
+export function getChildren(el, name) {
+  return Array.from(el.children).filter(c => c.localName === name);
+}
+
+export function childText(el, name) {
+  return getChildren(el, name)[0]?.textContent.trim() || "";
+}
@@ -0,0 +1,119 @@
+/**
+ * OutHere Trip History — undo / redo for trip edits
+ *
+ * Every TripManager mutation is recorded here as a command:
+ *   { label, undo(), redo(), mergeKey? }
+ * where undo/redo mutate the open trip in place; TripManager re-renders and
+ * saves after each step. Commands recorded while a group is open (see
+ * TripManager.batch) collapse into one entry, so a single Ctrl+Z reverts a
+ * drawn route together with its spurs and camps. A command whose mergeKey
+ * matches the newest entry's folds into it, so typing into a field is one
+ * step rather than one per keystroke.
+ *
+ * History is in-memory and belongs to the open trip: TripManager clears it
+ * whenever a different trip is opened or the trip is closed.
+ */
+
+const MAX_HISTORY = 100; // oldest entries fall off beyond this
+
+export const TripHistory = {
+  undoStack: [],
+  redoStack: [],
+  _group: null,     // open group: { label, commands, depth } or null
+  _listeners: [],
+
+  /** Remember an already-applied command. Recording forks the history. */
+  record(command) {
+    if (this._group) {
+      this._group.commands.push(command);
+      return;
+    }
+    const top = this.undoStack[this.undoStack.length - 1];
+    if (command.mergeKey != null && top?.mergeKey === command.mergeKey) {
+      // Keep the oldest undo, take the newest redo
+      this.undoStack[this.undoStack.length - 1] = { ...top, redo: command.redo };
+      this.redoStack = [];
+      this._notify();
+      return;
+    }
+    this.undoStack.push(command);
+    if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+    this.redoStack = [];
+    this._notify();
+  },
+
+  /** Start grouping commands; nested groups fold into the outermost one. */
+  beginGroup(label) {
+    if (this._group) {
+      this._group.depth++;
+      return;
+    }
+    this._group = { label, commands: [], depth: 1 };
+  },
+
+  endGroup() {
+    const group = this._group;
+    if (!group || --group.depth > 0) return;
+    this._group = null;
+    if (group.commands.length === 0) return;
+    const commands = group.commands;
+    this.record(commands.length === 1 ? commands[0] : {
+      label: group.label,
+      undo: () => { for (let i = commands.length - 1; i >= 0; i--) commands[i].undo(); },
+      redo: () => { for (const cmd of commands) cmd.redo(); },
+    });
+  },
+
+  /** Revert the most recent command. Returns it, or null if there was none. */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    this.redoStack.push(command);
+    this._notify();
+    return command;
+  },
+
+  /** Re-apply the most recently undone command. Returns it, or null. */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    command.redo();
+    this.undoStack.push(command);
+    this._notify();
+    return command;
+  },
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._group = null;
+    this._notify();
+  },
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  },
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  },
+
+  /** Label of the command the next undo / redo would apply, or null. */
+  get undoLabel() {
+    return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+  },
+
+  get redoLabel() {
+    return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+  },
+
+  /** Subscribe to stack changes (used to refresh the toolbar buttons). */
+  onChange(fn) {
+    this._listeners.push(fn);
+  },
+
+  _notify() {
+    for (const fn of this._listeners) fn(this);
+  },
+};
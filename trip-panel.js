@@ -18,12 +18,37 @@ import { map } from "./app.js"; // circular with app.js; only used at runtime
 import {
   cancelDrawing,
   initPointTypeSelector,
+  initTouchDrawControls,
+  initWaypointSubtypeSelector,
   startRouteDrawing,
+  startWaypointPlacement,
   startDeleteMode,
   exitDeleteMode,
   isDeleteMode,
+  startRouteEdit,
+  refreshRouteEdit,
+  isDrawingRoute,
+  isPlacingWaypoint,
+  isPickingTrailSection,
+  stopTrailSectionPick,
   getTripDateRange,
+  getSnapSettings,
+  updateSnapInstruction,
 } from "./planning.js";
+import { TripHistory } from "./trip-history.js";
+import { requestRouteElevation, retryPendingElevation } from "./elevation-queue.js"; // circular; only used at runtime
+import { Preferences } from "./preferences.js";
+import { applyTimeEstimates } from "./pace.js";
+import { applyRouteLegs, findLegsForDay, findRouteChildren, getLegCoords, getLegProfile, locateOnLine } from "./route-legs.js";
+import { createElevationChart } from "./elevation-chart.js";
+import { getGradeSettings, buildTripGrades } from "./grade.js";
+import { summarizeRouteTrails } from "./route-trails.js";
+import { buildRouteCueSheet, describeCue, describeCuePois } from "./cue-sheet.js";
+import { GRADE_COLORS } from "./config.js";
+import { M_PER_MI } from "./geometry.js";
+import { getSplittableVertices, findJoinableRoutes, splitRoute, joinRoutes, reverseRoute } from "./route-ops.js";
+import { downloadTripGPX, parseTripGPX } from "./gpx.js";
+import { downloadTripKML, parseTripKML, readKMZ } from "./kml.js";
 import { TripsStore, hideTripsHome } from "./trips-home.js"; // circular; only used at runtime
 import { getActiveRegionId } from "./region-picker.js"; // circular; only used at runtime
 
@@ -37,8 +62,14 @@ import { getActiveRegionId } from "./region-picker.js"; // circular; only used a
 // Distinct from the legacy _schema_version integer migration counter.
 const TRIP_SCHEMA_VERSION = "1.0";
 
+// Derived from a line's shape; travel with its geometry through the history
+const ELEVATION_KEYS = ["elevation_profile", "elevation_gain_ft", "elevation_loss_ft", "elevation_source", "elevation_pending"];
+
 let activeDayId = null;       // day ID currently highlighted on map, or null
+let batchDepth = 0;           // > 0 while TripManager.batch() defers render + save
 const expandedDayIds = new Set(); // which day sections are expanded (UI state only)
+const expandedRouteIds = new Set(); // route tiles showing their chart, trails and cues (UI state only)
+let typingSession = 0;        // bumped whenever focus moves, so one visit to a text field is one undo step
 
 export const TripManager = {
   currentTrip: null,
@@ -66,6 +97,7 @@ export const TripManager = {
       unassigned: [],
       features: [],
     };
+    TripHistory.clear();
     // Pre-create days
     for (let i = 0; i <= nights; i++) {
       this.currentTrip.days.push({
@@ -82,89 +114,254 @@ export const TripManager = {
 
   /** Add a feature, assign it a stable ID, and place it in the unassigned pool. */
   addFeature(geometry, properties) {
+    const trip = this.currentTrip;
     const id = crypto.randomUUID();
     properties._id = id;
-    this.currentTrip.features.push({ type: "Feature", geometry, properties });
-    this.currentTrip.unassigned.push(id);
-    const idx = this.currentTrip.features.length - 1;
-    this.render();
-    this.save();
+    const feature = { type: "Feature", geometry, properties };
+    const idx = trip.features.length;
+    this.apply({
+      label: `Add ${describeFeature(properties)}`,
+      redo: () => {
+        trip.features.splice(idx, 0, feature);
+        trip.unassigned.push(id);
+      },
+      undo: () => {
+        spliceFeature(trip, id);
+        detachFeature(trip, id);
+      },
+    });
     return idx;
   },
 
   removeFeature(index) {
-    const feature = this.currentTrip.features[index];
+    const trip = this.currentTrip;
+    const feature = trip.features[index];
     if (!feature) return;
     const id = feature.properties._id;
+    const location = locateFeature(trip, id);
 
-    this.currentTrip.features.splice(index, 1);
+    this.apply({
+      label: `Delete ${describeFeature(feature.properties)}`,
+      redo: () => {
+        spliceFeature(trip, id);
+        detachFeature(trip, id);
+      },
+      undo: () => {
+        trip.features.splice(Math.min(index, trip.features.length), 0, feature);
+        attachFeature(trip, id, location);
+      },
+    });
+  },
 
-    // Remove from unassigned
-    this.currentTrip.unassigned = (this.currentTrip.unassigned || []).filter(fid => fid !== id);
+  /**
+   * Merge properties into a feature; pass geometry to replace its shape too.
+   * A reshape also snapshots the elevation fields, so undo brings back the
+   * profile that matches the old shape.
+   */
+  updateFeature(index, properties, geometry) {
+    const trip = this.currentTrip;
+    const feature = trip.features[index];
+    if (!feature) return;
+    const keys = geometry
+      ? [...new Set([...Object.keys(properties), ...ELEVATION_KEYS])]
+      : Object.keys(properties);
+    const snapshot = () => ({
+      geometry: feature.geometry,
+      values: keys.map(k => (Object.hasOwn(feature.properties, k) ? { value: feature.properties[k] } : null)),
+    });
+    const restore = (state) => {
+      keys.forEach((k, i) => {
+        if (state.values[i]) feature.properties[k] = state.values[i].value;
+        else delete feature.properties[k];
+      });
+      feature.geometry = state.geometry;
+    };
+    const before = snapshot();
+    // Re-captured on undo so redo brings back values patched in afterwards
+    // (e.g. an elevation profile that resolved after the edit)
+    let after = null;
+
+    this.apply({
+      label: geometry ? `Reshape ${describeFeature(feature.properties)}` : `Edit ${describeFeature(feature.properties)}`,
+      redo: () => {
+        if (after) {
+          restore(after);
+          return;
+        }
+        Object.assign(feature.properties, properties);
+        if (geometry) feature.geometry = geometry;
+      },
+      undo: () => {
+        after = snapshot();
+        restore(before);
+      },
+    });
+  },
 
-    // Remove from any day
-    for (const day of (this.currentTrip.days || [])) {
-      day.features = (day.features || []).filter(fid => fid !== id);
-    }
+  /**
+   * Set trip-level text (name, readme) as it's typed. Edits made during one
+   * visit to the field are a single undo step.
+   */
+  setTripText(values, label) {
+    const props = this.currentTrip?.properties;
+    if (!props) return;
+    const before = Object.fromEntries(Object.keys(values).map(k => [k, props[k]]));
+    this.applyTyping({
+      label,
+      mergeKey: `trip:${Object.keys(values).join(",")}:${typingSession}`,
+      redo: () => { Object.assign(props, values); },
+      undo: () => { Object.assign(props, before); },
+    });
+  },
 
-    this.render();
-    this.save();
+  /** Set a day's notes as they're typed; see setTripText. */
+  setDayNotes(dayId, notes) {
+    const day = this.currentTrip?.days.find(d => d.id === dayId);
+    if (!day) return;
+    const before = day.notes;
+    this.applyTyping({
+      label: "Edit day notes",
+      mergeKey: `day:${dayId}:${typingSession}`,
+      redo: () => { day.notes = notes; },
+      undo: () => { day.notes = before; },
+    });
   },
 
-  updateFeature(index, properties) {
-    Object.assign(this.currentTrip.features[index].properties, properties);
-    this.render();
-    this.save();
+  /**
+   * Patch derived data (an elevation profile that resolved, its pending
+   * flag) into a feature in place. It follows from the feature's shape, so
+   * it's no undo step of its own; keys set to undefined are removed. Inside
+   * a batch the render and save wait for the batch to end.
+   */
+  patchFeature(feature, properties) {
+    for (const [key, value] of Object.entries(properties)) {
+      if (value === undefined) delete feature.properties[key];
+      else feature.properties[key] = value;
+    }
+    if (batchDepth === 0) {
+      this.render();
+      this.save();
+    }
   },
 
   addDay() {
-    if (!this.currentTrip.days) this.currentTrip.days = [];
-    const idx = this.currentTrip.days.length;
+    const trip = this.currentTrip;
+    if (!trip.days) trip.days = [];
     const day = {
       id: crypto.randomUUID(),
-      date: computeDayDate(this.currentTrip, idx),
+      date: computeDayDate(trip, trip.days.length),
       features: [],
       notes: "",
     };
-    this.currentTrip.days.push(day);
-    this.render();
-    this.save();
+    this.apply({
+      label: "Add day",
+      redo: () => { trip.days.push(day); },
+      undo: () => { trip.days = trip.days.filter(d => d.id !== day.id); },
+    });
   },
 
   /** Move a feature to a new location: "day" (with optional insertBeforeId) or "unassigned". */
   moveFeature(featureId, targetType, targetDayId, insertBeforeId) {
     const trip = this.currentTrip;
     if (!trip) return;
+    if (targetType === "day" && !trip.days?.some(d => d.id === targetDayId)) return;
+    const feature = trip.features.find(f => f.properties._id === featureId);
+    const before = locateFeature(trip, featureId);
+
+    this.apply({
+      label: `Move ${describeFeature(feature?.properties || {})}`,
+      redo: () => {
+        // Remove from unassigned and all days
+        detachFeature(trip, featureId);
+
+        if (targetType === "unassigned") {
+          trip.unassigned.push(featureId);
+        } else if (targetType === "day") {
+          const day = trip.days.find(d => d.id === targetDayId);
+          if (!day.features) day.features = [];
+          if (insertBeforeId) {
+            const idx = day.features.indexOf(insertBeforeId);
+            day.features.splice(idx !== -1 ? idx : day.features.length, 0, featureId);
+          } else {
+            day.features.push(featureId);
+          }
+        }
+      },
+      undo: () => {
+        detachFeature(trip, featureId);
+        attachFeature(trip, featureId, before);
+      },
+    });
+  },
 
-    // Remove from unassigned and all days
-    trip.unassigned = (trip.unassigned || []).filter(id => id !== featureId);
-    for (const day of (trip.days || [])) {
-      day.features = (day.features || []).filter(id => id !== featureId);
+  // -------------------------------------------------------------------------
+  // History — every mutation above goes through apply() so it can be undone
+  // -------------------------------------------------------------------------
+
+  /** Run a command against the open trip, record it, then render + save. */
+  apply(command) {
+    command.redo();
+    TripHistory.record(command);
+    if (batchDepth === 0) {
+      this.render();
+      this.save();
     }
+  },
 
-    if (targetType === "unassigned") {
-      trip.unassigned.push(featureId);
-    } else if (targetType === "day") {
-      const day = trip.days.find(d => d.id === targetDayId);
-      if (!day) return;
-      if (!day.features) day.features = [];
-      if (insertBeforeId) {
-        const idx = day.features.indexOf(insertBeforeId);
-        day.features.splice(idx !== -1 ? idx : day.features.length, 0, featureId);
-      } else {
-        day.features.push(featureId);
+  /**
+   * apply() for text typed into the panel: the field already shows it, so
+   * this only saves — re-rendering would rebuild the field under the caret.
+   */
+  applyTyping(command) {
+    command.redo();
+    TripHistory.record(command);
+    this.save();
+  },
+
+  /**
+   * Run several mutations as one undo step, rendering and saving once at the
+   * end. Returns whatever fn returns.
+   */
+  batch(label, fn) {
+    batchDepth++;
+    TripHistory.beginGroup(label);
+    try {
+      return fn();
+    } finally {
+      TripHistory.endGroup();
+      batchDepth--;
+      if (batchDepth === 0 && this.currentTrip) {
+        this.render();
+        this.save();
       }
     }
+  },
+
+  undo() {
+    if (!this.currentTrip || !TripHistory.undo()) return;
+    this.render();
+    this.save();
+    refreshRouteEdit();
+  },
 
+  redo() {
+    if (!this.currentTrip || !TripHistory.redo()) return;
     this.render();
     this.save();
+    refreshRouteEdit();
   },
 
   /** Update MapLibre source and sidebar. */
   render() {
+    // Time estimates are derived data — refreshed on every render so pace
+    // changes and late-arriving elevation profiles flow straight through
+    const pace = Preferences.get("pace");
+    applyTimeEstimates(this.currentTrip, pace);
+    applyRouteLegs(this.currentTrip, pace);
     if (map.getSource("trip")) {
       map.getSource("trip").setData(this.currentTrip || { type: "FeatureCollection", features: [] });
     }
+    renderRouteGrades();
     renderSidebar();
     renderTripTitle();
     renderMetaChips();
@@ -198,7 +395,9 @@ export const TripManager = {
       return false;
     }
     this.currentTrip = migrateTrip(saved);
+    TripHistory.clear();
     this.render();
+    retryPendingElevation();
     return true;
   },
 
@@ -208,8 +407,10 @@ export const TripManager = {
     // finishRouteDrawing deposit it into the newly opened trip.
     cancelDrawing();
     this.currentTrip = migrateTrip(trip);
+    TripHistory.clear();
     this.render();
     this.save();
+    retryPendingElevation();
   },
 
   loadFromGeoJSON(geojson) {
@@ -226,8 +427,10 @@ export const TripManager = {
       };
     }
     this.currentTrip = migrateTrip(geojson);
+    TripHistory.clear();
     this.render();
     this.save();
+    retryPendingElevation();
   },
 
   buildExport() {
@@ -238,6 +441,14 @@ export const TripManager = {
     downloadTripGeoJSON(this.currentTrip);
   },
 
+  downloadGPX() {
+    downloadTripGPX(this.currentTrip);
+  },
+
+  downloadKML() {
+    downloadTripKML(this.currentTrip);
+  },
+
   exportMarkdown() {
     if (!this.currentTrip) return;
     const trip = this.currentTrip;
@@ -269,7 +480,21 @@ export const TripManager = {
         md += `- **${label}**${stats ? ` — ${stats}` : ""}\n`;
       }
 
-      if (dayFeatures.length > 0) md += "\n";
+      const dayLegs = findLegsForDay(trip, day.id);
+      for (const { route, leg } of dayLegs) {
+        const { label, stats } = describeLeg(route, leg);
+        md += `- **${label}** — ${stats}\n`;
+      }
+
+      if (dayFeatures.length > 0 || dayLegs.length > 0) md += "\n";
+
+      const dayStats = computeDayStats(dayFeatures, day.id);
+      if (dayStats.totalMinutes > 0) {
+        const parts = [`~${formatDuration(dayStats.totalMinutes)} moving`];
+        if (dayStats.totalMiles > 0) parts.push(`${dayStats.totalMiles.toFixed(1)} mi`);
+        if (dayStats.totalElevGain > 0) parts.push(`+${dayStats.totalElevGain.toLocaleString()} ft`);
+        md += `*${parts.join(" · ")}*\n\n`;
+      }
 
       if (day.notes?.trim()) {
         md += day.notes.trim() + "\n\n";
@@ -278,6 +503,19 @@ export const TripManager = {
       }
     }
 
+    // Cue sheets, one per route, for the printed itinerary
+    const cueSheets = trip.features
+      .filter(f => f.properties.type === "route")
+      .map(route => ({ route, cues: buildRouteCueSheet(route) }))
+      .filter(({ cues }) => cues.length > 0);
+    if (cueSheets.length > 0) {
+      md += `---\n\n## Cue sheets\n\n`;
+      for (const { route, cues } of cueSheets) {
+        md += `### ${getFeatureLabel(route.properties, getDisplayType(route.properties))}\n\n`;
+        md += buildCueSheetMarkdown(cues) + "\n";
+      }
+    }
+
     const blob = new Blob([md], { type: "text/markdown" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -292,10 +530,51 @@ export const TripManager = {
   clear() {
     TripsStore.setActiveTripId(null);
     this.currentTrip = null;
+    TripHistory.clear();
     this.render();
   },
 };
 
+// ---------------------------------------------------------------------------
+// Edit command helpers — where a feature sits (unassigned pool or a day) so
+// undo can put it back in the same slot
+// ---------------------------------------------------------------------------
+
+/** @returns {{ dayId: string|null, position: number }|null} */
+function locateFeature(trip, featureId) {
+  const pos = (trip.unassigned || []).indexOf(featureId);
+  if (pos !== -1) return { dayId: null, position: pos };
+  for (const day of (trip.days || [])) {
+    const dayPos = (day.features || []).indexOf(featureId);
+    if (dayPos !== -1) return { dayId: day.id, position: dayPos };
+  }
+  return null;
+}
+
+function detachFeature(trip, featureId) {
+  trip.unassigned = (trip.unassigned || []).filter(id => id !== featureId);
+  for (const day of (trip.days || [])) {
+    day.features = (day.features || []).filter(id => id !== featureId);
+  }
+}
+
+function attachFeature(trip, featureId, location) {
+  if (!location) return;
+  const day = location.dayId && trip.days?.find(d => d.id === location.dayId);
+  const list = day ? (day.features ||= []) : (trip.unassigned ||= []);
+  list.splice(Math.min(location.position, list.length), 0, featureId);
+}
+
+function spliceFeature(trip, featureId) {
+  const idx = trip.features.findIndex(f => f.properties._id === featureId);
+  if (idx !== -1) trip.features.splice(idx, 1);
+}
+
+/** Short noun for undo labels, e.g. "camp" or "route". */
+function describeFeature(props) {
+  return (getDisplayType(props) || "feature").replace(/_/g, " ");
+}
+
 // ---------------------------------------------------------------------------
 // Canonical export helpers (shared with trips-home.js so any stored trip can
 // be exported without opening it)
@@ -642,6 +921,170 @@ function renderDaySections() {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Hiking pace settings (overview section)
+// ---------------------------------------------------------------------------
+
+function initPaceSettings() {
+  const modelSel = document.getElementById("paceModel");
+  const flatInput = document.getElementById("paceFlatMph");
+  const climbInput = document.getElementById("paceClimbRate");
+  if (!modelSel || !flatInput || !climbInput) return;
+
+  const sync = () => {
+    const pace = Preferences.get("pace");
+    modelSel.value = pace.model;
+    flatInput.value = pace.flatMph;
+    climbInput.value = pace.climbFtPerHour;
+    // Tobler derives climbing cost from the grade itself
+    document.getElementById("paceClimbField")?.classList.toggle("disabled", pace.model === "tobler");
+    climbInput.disabled = pace.model === "tobler";
+  };
+  sync();
+
+  modelSel.addEventListener("change", () => Preferences.set("pace", { model: modelSel.value }));
+  flatInput.addEventListener("change", () => {
+    const v = parseFloat(flatInput.value);
+    if (v > 0) Preferences.set("pace", { flatMph: v });
+    else sync();
+  });
+  climbInput.addEventListener("change", () => {
+    const v = parseFloat(climbInput.value);
+    if (v > 0) Preferences.set("pace", { climbFtPerHour: v });
+    else sync();
+  });
+
+  Preferences.onChange((section) => {
+    if (section !== "pace") return;
+    sync();
+    if (TripManager.currentTrip) {
+      TripManager.render();
+      TripManager.save();
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Snap settings (overview section)
+// ---------------------------------------------------------------------------
+
+function initSnapSettings() {
+  const radiusInput = document.getElementById("snapRadius");
+  const layerBoxes = document.querySelectorAll("#snapSettings [data-snap-layer]");
+  const hardBox = document.getElementById("snapIgnoreHard");
+  const namedBox = document.getElementById("snapNamedOnly");
+  if (!radiusInput || !hardBox || !namedBox) return;
+
+  const sync = () => {
+    const snap = getSnapSettings();
+    radiusInput.value = snap.radiusPx;
+    layerBoxes.forEach((box) => { box.checked = snap.layers.includes(box.dataset.snapLayer); });
+    hardBox.checked = snap.ignoreHardTrails;
+    namedBox.checked = snap.namedTrailsOnly;
+    // The trail filters mean nothing unless trails are a snap target
+    const trailsOn = snap.layers.includes("trails");
+    document.querySelectorAll("#snapSettings [data-snap-trail-filter]").forEach((label) => {
+      label.classList.toggle("disabled", !trailsOn);
+      label.querySelector("input").disabled = !trailsOn;
+    });
+  };
+  sync();
+
+  radiusInput.addEventListener("change", () => {
+    const v = parseFloat(radiusInput.value);
+    if (v > 0) Preferences.set("snap", { radiusPx: v });
+    else sync();
+  });
+  layerBoxes.forEach((box) => box.addEventListener("change", () => {
+    const layers = Array.from(layerBoxes).filter(b => b.checked).map(b => b.dataset.snapLayer);
+    Preferences.set("snap", { layers });
+  }));
+  hardBox.addEventListener("change", () => Preferences.set("snap", { ignoreHardTrails: hardBox.checked }));
+  namedBox.addEventListener("change", () => Preferences.set("snap", { namedTrailsOnly: namedBox.checked }));
+
+  Preferences.onChange((section) => {
+    if (section !== "snap") return;
+    sync();
+    updateSnapInstruction();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Grade settings (overview section)
+// ---------------------------------------------------------------------------
+
+function initGradeSettings() {
+  const enabledBox = document.getElementById("gradeEnabled");
+  const thresholdInputs = document.querySelectorAll("#gradeSettings [data-grade-threshold]");
+  if (!enabledBox) return;
+
+  const sync = () => {
+    const grade = getGradeSettings();
+    enabledBox.checked = grade.enabled;
+    thresholdInputs.forEach((input) => { input.value = grade.thresholdPct[Number(input.dataset.gradeThreshold)]; });
+  };
+  sync();
+
+  enabledBox.addEventListener("change", () => Preferences.set("grade", { enabled: enabledBox.checked }));
+  thresholdInputs.forEach((input) => input.addEventListener("change", () => {
+    const thresholdPct = Array.from(thresholdInputs).map(i => parseFloat(i.value));
+    // Thresholds must keep rising; anything else snaps back
+    if (thresholdPct.every((v, i) => v > 0 && (i === 0 || v > thresholdPct[i - 1]))) {
+      Preferences.set("grade", { thresholdPct });
+    } else {
+      sync();
+    }
+  }));
+
+  Preferences.onChange((section) => {
+    if (section !== "grade") return;
+    sync();
+    renderRouteGrades();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Route grade coloring — map layer + legend (see grade.js)
+// ---------------------------------------------------------------------------
+
+function renderRouteGrades() {
+  const legend = document.getElementById("gradeLegend");
+  const { enabled, thresholdPct } = getGradeSettings();
+  const show = enabled && !!TripManager.currentTrip;
+  if (map.getLayer("trip-route-grades")) {
+    map.setLayoutProperty("trip-route-grades", "visibility", show ? "visible" : "none");
+  }
+  legend?.classList.toggle("visible", show);
+  if (!show) return;
+
+  const { collection, above, profiled } = buildTripGrades(TripManager.currentTrip, thresholdPct);
+  map.getSource("trip-grades")?.setData(collection);
+  if (legend) legend.innerHTML = buildGradeLegendHTML(thresholdPct, above, profiled);
+}
+
+/** Band swatches, then the trip's distance above each threshold. */
+function buildGradeLegendHTML(thresholdPct, above, profiled) {
+  const bands = GRADE_COLORS.map((color, band) => {
+    const label = band === 0 ? `under ${thresholdPct[0]}%`
+      : band === thresholdPct.length ? `${thresholdPct[band - 1]}% and up`
+      : `${thresholdPct[band - 1]}–${thresholdPct[band]}%`;
+    return `<li><span class="grade-swatch" style="background:${color}"></span>${escapeHTML(label)}</li>`;
+  }).join("");
+
+  const miles = (m) => (m / M_PER_MI).toFixed(1);
+  const summary = profiled === 0
+    ? `<p class="grade-legend-empty">No elevation profiles yet</p>`
+    : `<table class="grade-legend-summary">${thresholdPct.map((pct, t) => `
+        <tr>
+          <th>≥ ${pct}%</th>
+          <td>${miles(above[t].upMeters + above[t].downMeters)} mi</td>
+          <td class="grade-legend-split">${miles(above[t].upMeters)} up · ${miles(above[t].downMeters)} down</td>
+        </tr>`).join("")}
+      </table>`;
+
+  return `<div class="grade-legend-title">Grade</div><ul class="grade-legend-bands">${bands}</ul>${summary}`;
+}
+
 // ---------------------------------------------------------------------------
 // Sparkline — SVG elevation profile renderer
 // ---------------------------------------------------------------------------
@@ -655,7 +1098,7 @@ function renderDaySections() {
  * @param {number}   height   - SVG pixel height
  * @param {string}   cssClass - class name applied to the <svg>
  */
-function buildSparklineSVG(profile, width, height, cssClass) {
+export function buildSparklineSVG(profile, width, height, cssClass) {
   if (!profile || profile.length < 2) return "";
 
   const min = Math.min(...profile);
@@ -693,21 +1136,79 @@ function buildSparklineSVG(profile, width, height, cssClass) {
 }
 
 /**
- * Get the combined elevation profile for a day's route features.
+ * Get the combined elevation profile of a day's chart segments.
  * If a day has multiple routes, concatenates their profiles.
  */
-function getDayElevationProfile(dayFeatures) {
+function getDayElevationProfile(segments) {
   const profile = [];
-  for (const f of dayFeatures) {
-    const p = f.properties;
-    if (getDisplayType(p) === "route" && Array.isArray(p.elevation_profile)) {
-      if (profile.length > 0) profile.push(...p.elevation_profile.slice(1));
-      else profile.push(...p.elevation_profile);
-    }
+  for (const { profile: values } of segments) {
+    if (!Array.isArray(values) || values.length === 0) continue;
+    if (profile.length > 0) profile.push(...values.slice(1));
+    else profile.push(...values);
   }
   return profile;
 }
 
+// ---------------------------------------------------------------------------
+// Elevation chart segments (see elevation-chart.js)
+// ---------------------------------------------------------------------------
+
+const CHART_MARKER_TYPES = new Set(["camp", "dayhike", "rest"]);
+
+/**
+ * Chart segments for a day: its single-day routes, then the legs of
+ * multi-day routes that fall on it.
+ */
+function getDayChartSegments(dayFeatures, dayId) {
+  const segments = [];
+  for (const f of dayFeatures) {
+    if (getDisplayType(f.properties) === "route" && !f.properties.legs) segments.push(getRouteChartSegment(f));
+  }
+  for (const { route, leg } of findLegsForDay(TripManager.currentTrip, dayId)) {
+    const coords = getLegCoords(route, leg);
+    segments.push({
+      coords,
+      profile: getLegProfile(route, leg),
+      markers: getRouteChartMarkers(route, coords, leg.from_vertex, leg.to_vertex),
+    });
+  }
+  return segments;
+}
+
+function getRouteChartSegment(route) {
+  const coords = route.geometry.coordinates;
+  return {
+    coords,
+    profile: route.properties.elevation_profile,
+    markers: getRouteChartMarkers(route, coords, 0, Infinity),
+  };
+}
+
+/**
+ * Camp / dayhike / rest markers for a route's vertices fromVertex..toVertex,
+ * located on `line` (the route's line, or a leg's slice of it).
+ */
+function getRouteChartMarkers(route, line, fromVertex, toVertex) {
+  const types = route.properties.vertex_types;
+  const vertexCoords = route.properties.vertex_coords;
+  if (!Array.isArray(types) || !Array.isArray(vertexCoords)) return [];
+
+  const { points } = findRouteChildren(TripManager.currentTrip, route);
+  const markers = [];
+  let pos = 0;
+  for (let i = fromVertex; i <= toVertex && i < vertexCoords.length; i++) {
+    if (!CHART_MARKER_TYPES.has(types[i])) continue;
+    pos = locateOnLine(line, vertexCoords[i], pos);
+    const point = points.find(p => p.properties.route_vertex_index === i);
+    markers.push({
+      index: pos,
+      type: types[i],
+      label: point ? getFeatureLabel(point.properties, types[i]) : POINT_TYPE_LABELS[types[i]],
+    });
+  }
+  return markers;
+}
+
 // ---------------------------------------------------------------------------
 // Map: day highlight
 // ---------------------------------------------------------------------------
@@ -725,7 +1226,7 @@ function setActiveDayHighlight(dayId) {
   if (!map || !map.isStyleLoaded()) return;
 
   const tripLayerIds = [
-    "trip-routes", "trip-dayhike-spurs",
+    "trip-routes", "trip-route-grades", "trip-dayhike-spurs",
     "trip-camps", "trip-dayhikes", "trip-rest", "trip-waypoints",
     "trip-labels",
   ];
@@ -852,8 +1353,9 @@ function buildDaySection(day, dayIndex) {
   const dayFeatures = (day.features || [])
     .map(id => trip.features.find(f => f.properties._id === id))
     .filter(Boolean);
-  const stats = computeDayStats(dayFeatures);
-  const profile = getDayElevationProfile(dayFeatures);
+  const stats = computeDayStats(dayFeatures, day.id);
+  const chartSegments = getDayChartSegments(dayFeatures, day.id);
+  const profile = getDayElevationProfile(chartSegments);
   const isExpanded = expandedDayIds.has(day.id);
 
   const section = document.createElement("div");
@@ -866,6 +1368,7 @@ function buildDaySection(day, dayIndex) {
   const statParts = [];
   if (stats.totalMiles > 0) statParts.push(`${stats.totalMiles.toFixed(1)} mi`);
   if (stats.totalElevGain > 0) statParts.push(`+${stats.totalElevGain.toLocaleString()} ft`);
+  if (stats.totalMinutes > 0) statParts.push(`~${formatDuration(stats.totalMinutes)}`);
 
   const header = document.createElement("div");
   header.className = "day-collapsed-header";
@@ -924,20 +1427,21 @@ function buildDaySection(day, dayIndex) {
   const body = document.createElement("div");
   body.className = "day-body";
 
-  // Full-width sparkline
-  if (profile.length >= 2) {
-    const sparklineWrap = document.createElement("div");
-    sparklineWrap.className = "day-sparkline-full-wrap";
+  // Full-width elevation chart, linked to the map
+  const chart = createElevationChart(chartSegments);
+  if (chart) {
+    const chartWrap = document.createElement("div");
+    chartWrap.className = "day-chart-wrap";
     const gainLabel = stats.totalElevGain > 0 ? `+${stats.totalElevGain.toLocaleString()} ft` : "";
     const lossLabel = stats.totalElevLoss > 0 ? `−${stats.totalElevLoss.toLocaleString()} ft` : "";
-    sparklineWrap.innerHTML = `
+    chartWrap.innerHTML = `
       <div class="day-sparkline-labels">
         ${gainLabel ? `<span class="sparkline-gain">${escapeHTML(gainLabel)}</span>` : ""}
         ${lossLabel ? `<span class="sparkline-loss">${escapeHTML(lossLabel)}</span>` : ""}
       </div>
-      ${buildSparklineSVG(profile, 460, 52, "day-sparkline-full")}
     `;
-    body.appendChild(sparklineWrap);
+    chartWrap.appendChild(chart);
+    body.appendChild(chartWrap);
   }
 
   // Auto-summary (elevated feature list)
@@ -951,10 +1455,7 @@ function buildDaySection(day, dayIndex) {
   notesEl.className = "notes-editor";
   notesEl.placeholder = "Day notes — water sources, hazards, beta, key distances…\n\nMarkdown supported.";
   notesEl.value = day.notes || "";
-  notesEl.addEventListener("input", () => {
-    const d = TripManager.currentTrip?.days.find(dd => dd.id === day.id);
-    if (d) { d.notes = notesEl.value; TripManager.save(); }
-  });
+  notesEl.addEventListener("input", () => TripManager.setDayNotes(day.id, notesEl.value));
   // Prevent drag from textarea propagating to outer drag handlers
   notesEl.addEventListener("mousedown", e => e.stopPropagation());
   notesWrap.appendChild(notesEl);
@@ -972,6 +1473,27 @@ function buildDayAutoSummary(dayFeatures, dayId) {
   const wrap = document.createElement("div");
   wrap.className = "day-auto-summary";
 
+  // Legs of multi-day routes that fall on this day (derived, not draggable)
+  const legs = findLegsForDay(TripManager.currentTrip, dayId);
+  if (legs.length > 0) {
+    const legList = document.createElement("div");
+    legList.className = "day-leg-list";
+    for (const { route, leg } of legs) {
+      const { label, stats } = describeLeg(route, leg);
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = "day-leg-row";
+      row.title = "Zoom to this leg";
+      row.innerHTML = `
+        <span class="day-leg-label">${escapeHTML(label)}</span>
+        <span class="tile-stat">${escapeHTML(stats)}</span>
+      `;
+      row.addEventListener("click", () => zoomToCoords(getLegCoords(route, leg)));
+      legList.appendChild(row);
+    }
+    wrap.appendChild(legList);
+  }
+
   // Feature list area (also serves as the drag-and-drop target)
   const featureList = document.createElement("div");
   featureList.className = "day-feature-list";
@@ -1032,6 +1554,31 @@ function buildFeatureTile(feature, dayId) {
       if (idx !== -1) TripManager.updateFeature(idx, updates);
       return;
     }
+    // Reshape button — hand the route over to map edit mode
+    if (e.target.closest(".tile-reshape-btn")) {
+      tile.classList.remove("editing");
+      tile.draggable = true;
+      setTileViewContent(tile, featureId);
+      startRouteEdit(featureId);
+      return;
+    }
+    // Reverse button — flip the route's direction
+    if (e.target.closest(".tile-reverse-btn")) {
+      reverseRoute(featureId);
+      return;
+    }
+    // Route details toggle (elevation chart + trail breakdown)
+    if (e.target.closest(".tile-details-btn")) {
+      if (expandedRouteIds.has(featureId)) expandedRouteIds.delete(featureId);
+      else expandedRouteIds.add(featureId);
+      setTileViewContent(tile, featureId);
+      return;
+    }
+    // Recompute elevation button
+    if (e.target.closest(".tile-elev-btn")) {
+      requestRouteElevation(featureId);
+      return;
+    }
     // Delete button
     if (e.target.closest(".tile-delete-btn")) {
       if (confirm("Delete this feature?")) {
@@ -1049,6 +1596,15 @@ function buildFeatureTile(feature, dayId) {
     }
   });
 
+  // Split / join pickers act as soon as a choice is made
+  tile.addEventListener("change", (e) => {
+    if (e.target.matches(".tile-split-sel") && e.target.value !== "") {
+      splitRoute(featureId, Number(e.target.value));
+    } else if (e.target.matches(".tile-join-sel") && e.target.value) {
+      joinRoutes(featureId, e.target.value);
+    }
+  });
+
   // Prevent text selection/drag in editing inputs from propagating to tile drag
   tile.addEventListener("mousedown", (e) => {
     if (tile.classList.contains("editing")) e.stopPropagation();
@@ -1100,11 +1656,74 @@ function setTileViewContent(tile, featureId) {
       <span class="tile-type-icon">${buildTypeIconHTML(type)}</span>
       <span class="tile-title">${escapeHTML(getFeatureLabel(props, type))}</span>
       ${stats ? `<span class="tile-stat">${escapeHTML(stats)}</span>` : ""}
+      ${type === "route" ? buildElevationActionHTML(props) : ""}
       <button class="tile-edit-btn" title="Edit">&#9998;</button>
       <div class="tile-drag-handle" aria-hidden="true"><svg width="10" height="14" viewBox="0 0 10 14" fill="currentColor"><circle cx="3" cy="2.5" r="1.2"/><circle cx="7" cy="2.5" r="1.2"/><circle cx="3" cy="7" r="1.2"/><circle cx="7" cy="7" r="1.2"/><circle cx="3" cy="11.5" r="1.2"/><circle cx="7" cy="11.5" r="1.2"/></svg></div>
     </div>
     ${notes ? `<p class="tile-description">${escapeHTML(notes)}</p>` : ""}
   `;
+  if (type === "route" && expandedRouteIds.has(featureId)) {
+    const chart = createElevationChart([getRouteChartSegment(feature)], "tile-chart");
+    if (chart) tile.appendChild(chart);
+    const trails = summarizeRouteTrails(feature);
+    if (trails) tile.insertAdjacentHTML("beforeend", buildTrailBreakdownHTML(trails));
+    const cues = buildRouteCueSheet(feature);
+    if (cues.length > 0) tile.insertAdjacentHTML("beforeend", buildCueSheetHTML(cues));
+  }
+}
+
+/** Table of the trails a route follows, with distance and difficulty. */
+function buildTrailBreakdownHTML(trails) {
+  const rows = trails.map(t => {
+    const name = t.off_trail ? "Off trail" : t.name || "Unnamed trail";
+    return `<tr${t.off_trail ? ` class="tile-trails-off"` : ""}>
+      <td>${escapeHTML(name)}</td>
+      <td class="tile-trails-difficulty">${t.difficulty ? escapeHTML(t.difficulty) : ""}</td>
+      <td class="tile-trails-distance">${t.distance_mi.toFixed(1)} mi</td>
+    </tr>`;
+  }).join("");
+  return `<table class="tile-trails" aria-label="Trails on this route">${rows}</table>`;
+}
+
+/** Cue sheet table: distance, cue, elevation and nearby POIs per junction. */
+function buildCueSheetHTML(cues) {
+  const rows = cues.map(c => {
+    const pois = describeCuePois(c);
+    return `<tr>
+      <td class="tile-cues-distance">${c.mi.toFixed(1)}</td>
+      <td>${escapeHTML(describeCue(c))}${pois ? `<div class="tile-cues-pois">${escapeHTML(pois)}</div>` : ""}</td>
+      <td class="tile-cues-elev">${c.elevationFt != null ? `${Math.round(c.elevationFt).toLocaleString()} ft` : ""}</td>
+    </tr>`;
+  }).join("");
+  return `<table class="tile-cues" aria-label="Cue sheet">
+    <caption title="Trail changes are read from the trails loaded on the map">Cue sheet</caption>
+    ${rows}
+  </table>`;
+}
+
+/** Markdown table of a route's cue sheet, for the itinerary export. */
+function buildCueSheetMarkdown(cues) {
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  let md = "| Mi | Cue | Elev. | Nearby |\n|---:|---|---:|---|\n";
+  for (const c of cues) {
+    const elev = c.elevationFt != null ? `${Math.round(c.elevationFt).toLocaleString()} ft` : "";
+    md += `| ${c.mi.toFixed(1)} | ${cell(describeCue(c))} | ${elev} | ${cell(describeCuePois(c))} |\n`;
+  }
+  return md;
+}
+
+/**
+ * Route tiles: a pending badge while the elevation profile is queued, a
+ * toggle for the route details (elevation chart, trail breakdown, cue
+ * sheet) and a button to recompute the profile.
+ */
+function buildElevationActionHTML(props) {
+  const pending = props.elevation_pending
+    ? `<span class="tile-elev-pending" title="Elevation profile pending — retried when back online">elev. pending</span>`
+    : "";
+  const shown = expandedRouteIds.has(props._id);
+  const details = `<button class="tile-details-btn" title="${shown ? "Hide" : "Show"} elevation chart, trails and cue sheet" aria-label="Route details" aria-pressed="${shown}"><svg width="12" height="10" viewBox="0 0 12 10" fill="none" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="1,9 4,3 6,6 8,1.5 11,9"/></svg></button>`;
+  return `${pending}${details}<button class="tile-elev-btn" title="Recompute elevation" aria-label="Recompute elevation">&#8635;</button>`;
 }
 
 function setTileEditContent(tile, featureId, dayId) {
@@ -1119,8 +1738,17 @@ function setTileEditContent(tile, featureId, dayId) {
     fieldsHTML += `<label class="tile-checkbox-row"><input type="checkbox" class="tile-water-check" ${props.water_nearby ? "checked" : ""}> Water nearby</label>`;
   } else if (type === "dayhike" || type === "rest") {
     fieldsHTML += `<div class="tile-field"><label class="tile-field-label">Date</label><select class="tile-date-sel">${buildDateOptions(props.date)}</select></div>`;
+  } else if (type === "waypoint") {
+    const options = WAYPOINT_SUBTYPES.map(st =>
+      `<option value="${st}"${props.subtype === st ? " selected" : ""}>${WAYPOINT_LABELS[st]}</option>`).join("");
+    fieldsHTML += `<div class="tile-field"><label class="tile-field-label">Type</label><select class="tile-subtype-sel">${options}</select></div>`;
   } else if (type === "route") {
     fieldsHTML += `<label class="tile-checkbox-row"><input type="checkbox" class="tile-planned-check" ${props.planned ? "checked" : ""}> Planned route</label>`;
+    // Only drawn routes keep the vertices needed to reshape them
+    if (Array.isArray(props.vertex_coords)) {
+      fieldsHTML += `<button class="tile-reshape-btn" type="button">Reshape on map</button>`;
+    }
+    fieldsHTML += buildRouteOpsHTML(feature);
   }
 
   tile.innerHTML = `
@@ -1142,6 +1770,27 @@ function setTileEditContent(tile, featureId, dayId) {
   tile.querySelector(".tile-title-input")?.focus();
 }
 
+/** Reverse / split / join controls for a route's edit form (see route-ops.js). */
+function buildRouteOpsHTML(route) {
+  const types = route.properties.vertex_types || [];
+  let html = `<button class="tile-reverse-btn" type="button">Reverse direction</button>`;
+
+  const splits = getSplittableVertices(route);
+  if (splits.length > 0) {
+    const options = splits.map(i =>
+      `<option value="${i}">Point ${i + 1} · ${POINT_TYPE_LABELS[types[i]] || "Route"}</option>`).join("");
+    html += `<div class="tile-field"><label class="tile-field-label">Split into two routes</label><select class="tile-split-sel"><option value="">Split at…</option>${options}</select></div>`;
+  }
+
+  const joinable = findJoinableRoutes(TripManager.currentTrip, route.properties._id);
+  if (joinable.length > 0) {
+    const options = joinable.map(f =>
+      `<option value="${escapeAttr(f.properties._id)}">${escapeHTML(getFeatureLabel(f.properties, "route"))}</option>`).join("");
+    html += `<div class="tile-field"><label class="tile-field-label">Join with a route that meets this one</label><select class="tile-join-sel"><option value="">Join with…</option>${options}</select></div>`;
+  }
+  return html;
+}
+
 function collectTileFormValues(tile, type) {
   const updates = { name: tile.querySelector(".tile-title-input")?.value || "" };
   if (type === "camp") {
@@ -1149,6 +1798,8 @@ function collectTileFormValues(tile, type) {
     updates.water_nearby = tile.querySelector(".tile-water-check")?.checked || false;
   } else if (type === "dayhike" || type === "rest") {
     updates.date = tile.querySelector(".tile-date-sel")?.value;
+  } else if (type === "waypoint") {
+    updates.subtype = tile.querySelector(".tile-subtype-sel")?.value;
   } else if (type === "route") {
     updates.planned = tile.querySelector(".tile-planned-check")?.checked || false;
   }
@@ -1166,6 +1817,7 @@ function buildTypeIconHTML(type) {
     case "route":
     case "dayhike":
     case "dayhike_spur":
+    case "gps_track":
       return `<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="${stroke}" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"><polyline points="2,12 5,4 7,8 9,2 12,12"/></svg>`;
     case "camp":
       return `<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="${stroke}" stroke-linecap="round" stroke-linejoin="round"><polyline points="3,12 7,4 11,12" stroke-width="1.2"/><polyline points="5,12 7,8 9,12" stroke-width="0.8"/></svg>`;
@@ -1187,6 +1839,7 @@ export const POINT_TYPE_LABELS = {
   camp: "Camp",
   dayhike: "Day Hike",
   dayhike_spur: "Day Hike Spur",
+  gps_track: "GPS Track",
   rest: "Rest Day",
   meal: "Meal",
   waypoint: "Waypoint",
@@ -1211,7 +1864,7 @@ const WAYPOINT_LABELS = {
   resupply: "Resupply",
 };
 
-function getFeatureLabel(props, type) {
+export function getFeatureLabel(props, type) {
   if (props.name) return props.name;
   switch (type) {
     case "route": return "Untitled Route";
@@ -1224,13 +1877,17 @@ function getFeatureLabel(props, type) {
   }
 }
 
+const ROUTE_SHAPE_LABELS = { loop: "loop", out_and_back: "out & back" };
+
 function getFeatureStats(props, type) {
   if (type === "route") {
     const mainDist = props.main_route_distance_mi;
     const dhDist = props.dayhike_distance_mi;
     if (mainDist && mainDist > 0) {
       let s = `${mainDist.toFixed(1)} mi`;
+      if (props.shape) s += ` ${ROUTE_SHAPE_LABELS[props.shape] || ""}`;
       if (dhDist && dhDist > 0) s += ` + ${dhDist.toFixed(1)} mi day hikes`;
+      if (props.estimatedDuration) s += ` · ~${formatDuration(props.estimatedDuration)}`;
       return s;
     }
     const numPts = props.vertex_coords?.length || 0;
@@ -1238,8 +1895,10 @@ function getFeatureStats(props, type) {
   }
   const parts = [];
   if (type === "camp" && props.water_nearby) parts.push("Water nearby");
-  if (type === "dayhike_spur") parts.push("Day hike spur");
+  if (type === "dayhike_spur") parts.push(props.shape === "loop" ? "Loop day hike" : "Day hike spur");
+  if (type === "gps_track" && props.distance_mi > 0) parts.push(`${props.distance_mi.toFixed(1)} mi`);
   if (type === "waypoint" && props.subtype) parts.push(WAYPOINT_LABELS[props.subtype] || props.subtype);
+  if (props.elevation_ft) parts.push(`${props.elevation_ft.toLocaleString()} ft`);
   if (props.estimatedDuration) parts.push(`~${formatDuration(props.estimatedDuration)}`);
   return parts.join(" · ");
 }
@@ -1248,7 +1907,7 @@ function getFeatureStats(props, type) {
 // Day stats aggregation
 // ---------------------------------------------------------------------------
 
-function computeDayStats(features) {
+function computeDayStats(features, dayId) {
   let totalMiles = 0;
   let totalElevGain = 0;
   let totalElevLoss = 0;
@@ -1258,6 +1917,8 @@ function computeDayStats(features) {
   for (const f of features) {
     const p = f.properties;
     const type = getDisplayType(p);
+    // Multi-day routes (and their spurs) count through their legs below
+    if (isCoveredByLegs(f)) continue;
     if (type === "route") {
       totalMiles += (p.main_route_distance_mi || 0) + (p.dayhike_distance_mi || 0);
       totalElevGain += p.elevation_gain_ft || 0;
@@ -1267,9 +1928,28 @@ function computeDayStats(features) {
     if ((type === "camp") && p.water_nearby) hasWater = true;
   }
 
+  for (const { leg } of findLegsForDay(TripManager.currentTrip, dayId)) {
+    totalMiles += leg.distance_mi + leg.dayhike_distance_mi;
+    totalElevGain += leg.gain_ft;
+    totalElevLoss += leg.loss_ft;
+    totalMinutes += leg.estimatedDuration || 0;
+  }
+
   return { totalMiles, totalElevGain, totalElevLoss, totalMinutes, hasWater };
 }
 
+/** True for a route split into legs, or a dayhike spur of one. */
+function isCoveredByLegs(feature) {
+  const p = feature.properties;
+  if (p.type === "route") return Array.isArray(p.legs);
+  if (p.type !== "dayhike_spur") return false;
+  const features = TripManager.currentTrip?.features || [];
+  const parent = p.route_id
+    ? features.find(f => f.properties._id === p.route_id)
+    : features[p.route_index];
+  return parent?.properties.type === "route" && Array.isArray(parent.properties.legs);
+}
+
 function formatDuration(minutes) {
   if (minutes < 60) return `${minutes}m`;
   const h = Math.floor(minutes / 60);
@@ -1304,15 +1984,44 @@ function zoomToFeature(index) {
   const geom = feature.geometry;
   if (geom.type === "Point") {
     map.flyTo({ center: geom.coordinates, zoom: 13, duration: 800 });
-  } else if (geom.type === "LineString" && geom.coordinates.length > 0) {
-    const bounds = geom.coordinates.reduce(
-      (b, c) => b.extend(c),
-      new maplibregl.LngLatBounds(geom.coordinates[0], geom.coordinates[0])
-    );
-    map.fitBounds(bounds, { padding: 60, duration: 800 });
+  } else if (geom.type === "LineString") {
+    zoomToCoords(geom.coordinates);
   }
 }
 
+function zoomToCoords(coords) {
+  if (!coords.length) return;
+  const bounds = coords.reduce(
+    (b, c) => b.extend(c),
+    new maplibregl.LngLatBounds(coords[0], coords[0])
+  );
+  map.fitBounds(bounds, { padding: 60, duration: 800 });
+}
+
+/**
+ * Label ("Route name: Start → Camp Night 1") and stats line for one leg of
+ * a multi-day route.
+ */
+function describeLeg(route, leg) {
+  const { points } = findRouteChildren(TripManager.currentTrip, route);
+  const lastVertex = route.properties.vertex_coords.length - 1;
+  const endpoint = (v) => {
+    const point = points.find(p => p.properties.route_vertex_index === v);
+    if (point) return getFeatureLabel(point.properties, getDisplayType(point.properties));
+    if (v === 0) return "Start";
+    return v === lastVertex ? "End" : "Route point";
+  };
+  const routeLabel = getFeatureLabel(route.properties, "route");
+  const label = `${routeLabel}: ${endpoint(leg.from_vertex)} → ${endpoint(leg.to_vertex)}`;
+
+  const parts = [`${leg.distance_mi.toFixed(1)} mi`];
+  if (leg.dayhike_distance_mi > 0) parts.push(`+ ${leg.dayhike_distance_mi.toFixed(1)} mi day hikes`);
+  if (leg.gain_ft > 0) parts.push(`+${leg.gain_ft.toLocaleString()} ft`);
+  if (leg.loss_ft > 0) parts.push(`−${leg.loss_ft.toLocaleString()} ft`);
+  if (leg.estimatedDuration > 0) parts.push(`~${formatDuration(leg.estimatedDuration)}`);
+  return { label, stats: parts.join(" · ") };
+}
+
 // ---------------------------------------------------------------------------
 // Drawing progress live preview (shown in sidebar during route drawing)
 // ---------------------------------------------------------------------------
@@ -1350,17 +2059,27 @@ export function updateDrawingPreview(info) {
 // File upload handler
 // ---------------------------------------------------------------------------
 
-function handleFileUpload(file) {
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const geojson = JSON.parse(e.target.result);
-      TripManager.loadFromGeoJSON(geojson);
-    } catch (err) {
-      alert("Could not load file: " + err.message);
-    }
-  };
-  reader.readAsText(file);
+/**
+ * Read an uploaded trip file: GPX, KML or KMZ by extension, otherwise trip
+ * GeoJSON.
+ * @param {File} file
+ * @returns {Promise<object>} trip FeatureCollection for TripManager.loadFromGeoJSON
+ */
+export async function readTripFile(file) {
+  const ext = (file.name.match(/\.([^.]+)$/)?.[1] || "").toLowerCase();
+  const fallbackName = file.name.replace(/\.[^.]+$/, "") || undefined;
+  if (ext === "gpx") return parseTripGPX(await file.text(), fallbackName);
+  if (ext === "kml") return parseTripKML(await file.text(), fallbackName);
+  if (ext === "kmz") return parseTripKML(await readKMZ(await file.arrayBuffer()), fallbackName);
+  return JSON.parse(await file.text());
+}
+
+async function handleFileUpload(file) {
+  try {
+    TripManager.loadFromGeoJSON(await readTripFile(file));
+  } catch (err) {
+    alert("Could not load file: " + err.message);
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -1437,6 +2156,10 @@ export function initTripPanel() {
 
   // Drawing tool buttons
   document.getElementById("addRouteBtn").addEventListener("click", startRouteDrawing);
+  document.getElementById("addWaypointBtn")?.addEventListener("click", () => {
+    if (isPlacingWaypoint) cancelDrawing();
+    else startWaypointPlacement();
+  });
   const deleteWaypointBtn = document.getElementById("deleteWaypointBtn");
   if (deleteWaypointBtn) {
     deleteWaypointBtn.addEventListener("click", () => {
@@ -1445,21 +2168,55 @@ export function initTripPanel() {
     });
   }
 
-  // Point-type selector buttons
+  // Point-type and waypoint-subtype selector buttons
   initPointTypeSelector();
+  initTouchDrawControls();
+  initWaypointSubtypeSelector();
 
-  // Cancel drawing on Escape
+  // Cancel drawing on Escape — a trail section pick backs out to the
+  // route being drawn, if any
   document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") cancelDrawing();
+    if (e.key !== "Escape") return;
+    if (isPickingTrailSection) stopTrailSectionPick();
+    else cancelDrawing();
   });
 
+  initPaceSettings();
+  initSnapSettings();
+  initGradeSettings();
+
+  // Trip-wide undo / redo. While a route is being drawn the same keys undo
+  // vertices (planning.js), and text fields keep their native undo.
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  undoBtn?.addEventListener("click", () => TripManager.undo());
+  redoBtn?.addEventListener("click", () => TripManager.redo());
+  TripHistory.onChange((history) => {
+    if (undoBtn) {
+      undoBtn.disabled = !history.canUndo;
+      undoBtn.title = history.canUndo ? `Undo ${history.undoLabel.toLowerCase()} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !history.canRedo;
+      redoBtn.title = history.canRedo ? `Redo ${history.redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)";
+    }
+  });
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z" || isDrawingRoute) return;
+    const tag = e.target.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target.isContentEditable) return;
+    e.preventDefault();
+    if (e.shiftKey) TripManager.redo();
+    else TripManager.undo();
+  });
+
+  document.addEventListener("focusin", () => { typingSession++; });
+
   // Trip title input
   const tripTitleInput = document.getElementById("tripTitle");
   if (tripTitleInput) {
     tripTitleInput.addEventListener("input", () => {
-      if (!TripManager.currentTrip) return;
-      TripManager.currentTrip.properties.name = tripTitleInput.value;
-      TripManager.save();
+      TripManager.setTripText({ name: tripTitleInput.value }, "Rename trip");
     });
   }
 
@@ -1475,13 +2232,10 @@ export function initTripPanel() {
   const readmeEditor = document.getElementById("readmeEditor");
   if (readmeEditor) {
     readmeEditor.addEventListener("input", () => {
-      if (!TripManager.currentTrip) return;
-      TripManager.currentTrip.properties.readme = readmeEditor.value;
       // Keep the canonical `notes` mirror in sync (mobile reads `notes`;
       // also prevents a stale notes value from resurrecting cleared readme
       // text via the notes->readme normalization on the next load).
-      TripManager.currentTrip.properties.notes = readmeEditor.value;
-      TripManager.save();
+      TripManager.setTripText({ readme: readmeEditor.value, notes: readmeEditor.value }, "Edit overview");
     });
     readmeEditor.addEventListener("mousedown", e => e.stopPropagation());
   }
@@ -1494,11 +2248,15 @@ export function initTripPanel() {
       if (!file) return;
       const reader = new FileReader();
       reader.onload = (ev) => {
-        if (!TripManager.currentTrip) return;
-        TripManager.currentTrip.properties.readme = ev.target.result;
-        TripManager.currentTrip.properties.notes = ev.target.result;
-        TripManager.save();
-        if (readmeEditor) readmeEditor.value = ev.target.result;
+        const trip = TripManager.currentTrip;
+        if (!trip) return;
+        const text = ev.target.result;
+        const before = { readme: trip.properties.readme, notes: trip.properties.notes };
+        TripManager.apply({
+          label: "Import overview",
+          redo: () => { Object.assign(trip.properties, { readme: text, notes: text }); },
+          undo: () => { Object.assign(trip.properties, before); },
+        });
       };
       reader.readAsText(file);
       e.target.value = "";
@@ -1510,6 +2268,16 @@ export function initTripPanel() {
     TripManager.download();
   });
 
+  // Download GPX
+  document.getElementById("downloadGpxBtn")?.addEventListener("click", () => {
+    TripManager.downloadGPX();
+  });
+
+  // Download KML
+  document.getElementById("downloadKmlBtn")?.addEventListener("click", () => {
+    TripManager.downloadKML();
+  });
+
   // Export Markdown
   document.getElementById("exportMarkdownBtn")?.addEventListener("click", () => {
     TripManager.exportMarkdown();
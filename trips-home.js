@@ -10,7 +10,8 @@
  * this store on first load — see TripsStore.migrateLegacy().
  *
  * The home view is the app's state when no trip is open: a card per trip
- * with open / duplicate / export / delete actions, plus import + new trip.
+ * with open / duplicate / export (GeoJSON, GPX or KML) / delete actions,
+ * plus import + new trip.
  */
 
 import { map } from "./app.js"; // circular with app.js; only used at runtime
@@ -18,6 +19,7 @@ import {
   TripManager,
   migrateTrip,
   downloadTripGeoJSON,
+  readTripFile,
   openSidebar,
   showOnboardingModal,
   escapeHTML,
@@ -25,6 +27,8 @@ import {
   getDisplayType,
 } from "./trip-panel.js"; // circular; only used at runtime
 import { getActiveRegionId, findRegionById, getRegionName, applyRegion } from "./region-picker.js";
+import { downloadTripGPX } from "./gpx.js";
+import { downloadTripKML } from "./kml.js";
 
 const INDEX_KEY = "outhere_trips_index";
 const TRIP_KEY_PREFIX = "outhere_trip_";
@@ -228,13 +232,28 @@ function deleteTrip(id) {
   renderTripsHome();
 }
 
-function exportTrip(id) {
+const TRIP_EXPORTERS = {
+  geojson: downloadTripGeoJSON,
+  gpx: downloadTripGPX,
+  kml: downloadTripKML,
+};
+
+function exportTrip(id, format) {
   const trip = TripsStore.loadTrip(id);
   if (!trip) return;
   // Run through the same migration path the planner uses so the export is
   // canonical (schema_version 1.0, readme/notes mirrored) even for trips
   // that were never re-opened after import.
-  downloadTripGeoJSON(migrateTrip(trip));
+  TRIP_EXPORTERS[format](migrateTrip(trip));
+}
+
+/** Show / hide a card's export format buttons. */
+function toggleExportRow(card) {
+  const row = card.querySelector(".trip-card-export-row");
+  const btn = card.querySelector('[data-action="export"]');
+  if (!row) return;
+  row.hidden = !row.hidden;
+  btn?.setAttribute("aria-expanded", String(!row.hidden));
 }
 
 // ---------------------------------------------------------------------------
@@ -299,9 +318,14 @@ function buildTripCard(trip) {
     <div class="trip-card-actions">
       <button type="button" data-action="open">Open</button>
       <button type="button" data-action="duplicate">Duplicate</button>
-      <button type="button" data-action="export">Export</button>
+      <button type="button" data-action="export" aria-expanded="false">Export</button>
       <button type="button" data-action="delete" class="trip-card-delete">Delete</button>
     </div>
+    <div class="trip-card-actions trip-card-export-row" hidden>
+      <button type="button" data-action="export-geojson">GeoJSON</button>
+      <button type="button" data-action="export-gpx">GPX</button>
+      <button type="button" data-action="export-kml">KML</button>
+    </div>
   `;
   return card;
 }
@@ -316,7 +340,7 @@ export function renderTripsHome() {
     grid.innerHTML = `
       <div class="trips-empty">
         <p>No trips yet.</p>
-        <p class="trips-empty-sub">Start a new trip or import a saved .geojson file.</p>
+        <p class="trips-empty-sub">Start a new trip or import a saved .geojson, .gpx or .kml file.</p>
       </div>`;
     return;
   }
@@ -374,7 +398,8 @@ export function initTripsHome() {
     const action = e.target.closest("[data-action]")?.dataset.action;
     if (action === "open") openTrip(id);
     else if (action === "duplicate") duplicateTrip(id);
-    else if (action === "export") exportTrip(id);
+    else if (action === "export") toggleExportRow(card);
+    else if (action?.startsWith("export-")) exportTrip(id, action.slice("export-".length));
     else if (action === "delete") deleteTrip(id);
   });
   document.getElementById("tripsGrid")?.addEventListener("keydown", (e) => {
@@ -390,23 +415,18 @@ export function initTripsHome() {
   });
 
   // Import — same path as the planner's Load Trip
-  document.getElementById("tripsHomeImportInput")?.addEventListener("change", (e) => {
+  document.getElementById("tripsHomeImportInput")?.addEventListener("change", async (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const geojson = JSON.parse(ev.target.result);
-        TripManager.loadFromGeoJSON(geojson);
-        syncRegionForTrip(TripManager.currentTrip);
-        hideTripsHome();
-        openSidebar();
-      } catch (err) {
-        alert("Could not load file: " + err.message);
-      }
-    };
-    reader.readAsText(file);
     e.target.value = "";
+    try {
+      TripManager.loadFromGeoJSON(await readTripFile(file));
+      syncRegionForTrip(TripManager.currentTrip);
+      hideTripsHome();
+      openSidebar();
+    } catch (err) {
+      alert("Could not load file: " + err.message);
+    }
   });
 
   // Home is the default state when no trip is open.